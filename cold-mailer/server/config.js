@@ -0,0 +1,47 @@
+import { fileURLToPath } from 'node:url';
+
+// --- Companion Server Configuration ---
+
+const toNumber = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+};
+
+const toBoolean = (value) => ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+
+/**
+ * Reads the companion server settings from environment variables. The
+ * defaults talk to a local SMTP sink such as MailHog or smtp4dev.
+ * @param {object} [env=process.env] - The environment.
+ * @returns {object} The server configuration.
+ */
+export const loadConfig = (env = process.env) => ({
+  host: env.HOST || '127.0.0.1',
+  port: toNumber(env.PORT, 3001),
+  // The origin the app is served from; browsers refuse other origins.
+  corsOrigin: env.CORS_ORIGIN || 'http://localhost:5173',
+  smtp: {
+    host: env.SMTP_HOST || 'localhost',
+    port: toNumber(env.SMTP_PORT, 1025),
+    secure: toBoolean(env.SMTP_SECURE),
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS || '' } : undefined,
+  },
+  from: env.MAIL_FROM || 'outreach@localhost',
+  // Reply and bounce tracking is off until an IMAP server is configured.
+  imap: env.IMAP_HOST ? {
+    host: env.IMAP_HOST,
+    port: toNumber(env.IMAP_PORT, 993),
+    secure: env.IMAP_SECURE === undefined ? true : toBoolean(env.IMAP_SECURE),
+    auth: { user: env.IMAP_USER || '', pass: env.IMAP_PASS || '' },
+    mailbox: env.IMAP_MAILBOX || 'INBOX',
+    pollSeconds: toNumber(env.IMAP_POLL_SECONDS, 60),
+    lookbackDays: toNumber(env.IMAP_LOOKBACK_DAYS, 14),
+  } : null,
+  // Open and click tracking is off until the server has a public address
+  // recipients' mail clients can reach. The tracking routes get a listener
+  // of their own, so exposing them never exposes the /api routes.
+  trackingUrl: (env.TRACKING_URL || '').replace(/\/+$/, ''),
+  trackingHost: env.TRACKING_HOST || '127.0.0.1',
+  trackingPort: toNumber(env.TRACKING_PORT, 3002),
+  stateFile: env.STATE_FILE || fileURLToPath(new URL('./.data/state.json', import.meta.url)),
+});
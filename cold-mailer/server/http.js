@@ -0,0 +1,92 @@
+// --- HTTP Helpers ---
+
+/**
+ * An error that should be reported to the client with a status code.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - The HTTP status code.
+   * @param {string} message - The message shown to the client.
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Writes a JSON response.
+ * @param {import('node:http').ServerResponse} res - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {*} body - The value to serialize.
+ */
+export const sendJSON = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Reads and parses a JSON request body. Other content types are refused:
+ * browsers send plain-text and form posts from any page without asking
+ * the server first, but never JSON.
+ * @param {import('node:http').IncomingMessage} req - The request.
+ * @param {number} [limit=1000000] - The largest body accepted, in bytes.
+ * @returns {Promise<*>} The parsed body.
+ */
+export const readJSON = async (req, limit = 1_000_000) => {
+  const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (type !== 'application/json') throw new HttpError(415, 'Send the request body as application/json.');
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw new HttpError(413, 'Request body is too large.');
+    chunks.push(chunk);
+  }
+  if (size === 0) return {};
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw new HttpError(400, 'Request body is not valid JSON.');
+  }
+};
+
+/**
+ * Creates a request handler that dispatches to routes keyed by
+ * "METHOD /path", answers CORS preflights and reports errors as JSON.
+ * @param {Object<string, Function>} routes - Handlers called with (req, res, url).
+ * @param {object} [options]
+ * @param {string} [options.corsOrigin] - The origin allowed to call the
+ *   server. Requests from any other page are refused; without one, no
+ *   CORS headers are sent and origins are not checked.
+ * @returns {Function} The request listener.
+ */
+export const createRouter = (routes, { corsOrigin } = {}) => async (req, res) => {
+  if (corsOrigin) {
+    // CORS only hides the response; the request itself would still run.
+    const { origin } = req.headers;
+    if (origin && origin !== corsOrigin) {
+      sendJSON(res, 403, { error: `Requests from ${origin} are not allowed.` });
+      return;
+    }
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  const handler = routes[`${req.method} ${url.pathname}`];
+  try {
+    if (!handler) throw new HttpError(404, `No route for ${req.method} ${url.pathname}.`);
+    await handler(req, res, url);
+  } catch (error) {
+    const status = error instanceof HttpError ? error.status : 500;
+    if (status === 500) console.error(error);
+    if (!res.headersSent) sendJSON(res, status, { error: error.message });
+  }
+};
@@ -0,0 +1,98 @@
+import { ImapFlow } from 'imapflow';
+import { simpleParser } from 'mailparser';
+import { toInboxEvent } from './messages.js';
+
+// --- IMAP Inbox Poller ---
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates the poller that reads new mail from the IMAP inbox and records
+ * it as inbox events. The mailbox is opened read-only, so messages keep
+ * their unread state.
+ * @param {object} config - The server configuration from loadConfig.
+ * @param {object} store - The state store from createStore.
+ * @returns {{start: Function, pollNow: Function, getStatus: Function}} The poller.
+ */
+export const createInboxPoller = (config, store) => {
+  const { imap } = config;
+  let status = { enabled: Boolean(imap), lastPollAt: null, error: '' };
+  let polling = null;
+
+  const poll = async () => {
+    const client = new ImapFlow({
+      host: imap.host,
+      port: imap.port,
+      secure: imap.secure,
+      auth: imap.auth,
+      logger: false,
+    });
+    let lock = null;
+    try {
+      await client.connect();
+      lock = await client.getMailboxLock(imap.mailbox, { readOnly: true });
+      const uidValidity = String(client.mailbox.uidValidity);
+      const { inbox } = store.get();
+      // A new UIDVALIDITY means the server renumbered the mailbox.
+      const lastUid = inbox.uidValidity === uidValidity ? inbox.lastUid : 0;
+
+      let query = `${lastUid + 1}:*`;
+      if (lastUid === 0) {
+        // The first time, look back a couple of weeks rather than at the whole mailbox.
+        const uids = await client.search({ since: new Date(Date.now() - imap.lookbackDays * DAY) }, { uid: true });
+        query = (uids || []).join(',');
+      }
+
+      const events = [];
+      // With nothing in the lookback window, start after the newest message
+      // so the next poll does not search the window again.
+      let maxUid = query ? lastUid : Math.max(lastUid, client.mailbox.uidNext - 1);
+      if (query) {
+        for await (const message of client.fetch(query, { uid: true, source: true }, { uid: true })) {
+          // "n:*" always returns the newest message, even when it is old.
+          if (message.uid <= lastUid) continue;
+          maxUid = Math.max(maxUid, message.uid);
+          // One unreadable message must not stop every later poll.
+          try {
+            events.push(toInboxEvent(await simpleParser(message.source), message.uid, message.source.toString('utf8')));
+          } catch (error) {
+            console.warn(`Skipping unreadable inbox message ${message.uid}: ${error.message}`);
+          }
+        }
+      }
+      store.addEvents(events, { inbox: { uidValidity, lastUid: maxUid } });
+      return events.length;
+    } finally {
+      if (lock) lock.release();
+      // Closes the connection even when connecting or opening the mailbox failed.
+      await client.logout().catch(() => client.close());
+    }
+  };
+
+  /**
+   * Checks the inbox now, or waits for the check already running.
+   * @returns {Promise<object>} The poller status afterwards.
+   */
+  const pollNow = () => {
+    if (!imap) return Promise.resolve(status);
+    if (!polling) {
+      polling = poll()
+        .then(() => { status = { ...status, lastPollAt: new Date().toISOString(), error: '' }; })
+        .catch(error => { status = { ...status, lastPollAt: new Date().toISOString(), error: error.message }; })
+        .then(() => { polling = null; return status; });
+    }
+    return polling;
+  };
+
+  return {
+    /** Polls now and then on the configured interval. */
+    start: () => {
+      if (!imap) return;
+      pollNow();
+      setInterval(pollNow, imap.pollSeconds * 1000);
+    },
+    pollNow,
+    /** @returns {{enabled: boolean, lastPollAt: (string|null), error: string}} */
+    getStatus: () => status,
+  };
+};
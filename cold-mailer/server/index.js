@@ -0,0 +1,114 @@
+import { createServer } from 'node:http';
+import { loadConfig } from './config.js';
+import { HttpError, createRouter, readJSON, sendJSON } from './http.js';
+import { createMailer } from './mailer.js';
+import { createStore } from './store.js';
+import { createInboxPoller } from './inbox.js';
+import { PIXEL, createTracker } from './tracking.js';
+import { isValidEmailSyntax } from '../src/lib/emailValidation.js';
+
+// --- Cold Mailer Companion Server ---
+// Optional local backend the app calls to send email over SMTP, to learn
+// about replies and bounces arriving in an IMAP inbox, and to record opens
+// and clicks on the emails it sent.
+
+const config = loadConfig();
+const mailer = createMailer(config);
+const store = createStore(config.stateFile);
+const inbox = createInboxPoller(config, store);
+const tracker = createTracker(config, store);
+
+/**
+ * Answers with the inbox events after the client's cursor.
+ */
+const sendInboxEvents = (res, url) => {
+  const after = Number(url.searchParams.get('after')) || 0;
+  const { events, lastEventId } = store.get();
+  sendJSON(res, 200, { events: events.filter(e => e.id > after), cursor: lastEventId, status: inbox.getStatus() });
+};
+
+const routes = {
+  'GET /api/health': async (req, res) => {
+    let smtp = { ok: true, host: `${config.smtp.host}:${config.smtp.port}` };
+    try {
+      await mailer.verify();
+    } catch (error) {
+      smtp = { ...smtp, ok: false, error: error.message };
+    }
+    sendJSON(res, 200, { ok: true, from: config.from, smtp, inbox: inbox.getStatus(), tracking: { enabled: tracker.enabled, url: config.trackingUrl } });
+  },
+
+  'POST /api/send': async (req, res) => {
+    const { to, toName, fromName, subject, text, track } = await readJSON(req);
+    if (!isValidEmailSyntax(to)) throw new HttpError(400, 'A valid recipient address is required.');
+    if (!(subject || '').trim()) throw new HttpError(400, 'The email needs a subject line.');
+    if (!(text || '').trim()) throw new HttpError(400, 'The email body is empty.');
+
+    const tracked = tracker.prepare(text, track);
+    try {
+      const result = await mailer.send({ to: to.trim(), toName, fromName, subject: subject.trim(), text, html: tracked?.html });
+      if (result.rejected.length > 0) {
+        throw new HttpError(502, `The SMTP server rejected ${result.rejected.join(', ')}.`);
+      }
+      if (tracked) tracker.register(tracked.token, result.messageId, tracked.links);
+      sendJSON(res, 200, { ...result, tracked: Boolean(tracked) });
+    } catch (error) {
+      if (error instanceof HttpError) throw error;
+      throw new HttpError(502, `SMTP error: ${error.message}`);
+    }
+  },
+
+  'GET /api/inbox': async (req, res, url) => {
+    sendInboxEvents(res, url);
+  },
+
+  'POST /api/inbox/poll': async (req, res, url) => {
+    if (!config.imap) throw new HttpError(409, 'Reply tracking is off. Set IMAP_HOST, IMAP_USER and IMAP_PASS on the companion server.');
+    await inbox.pollNow();
+    sendInboxEvents(res, url);
+  },
+};
+
+// Served on their own listener: this is the only part of the server that
+// may face the internet.
+const trackingRoutes = {
+  'GET /t/open': async (req, res, url) => {
+    tracker.recordOpen(url.searchParams.get('m'));
+    // Always answer with the pixel, so unknown tokens look the same.
+    res.writeHead(200, {
+      'Content-Type': 'image/gif',
+      'Content-Length': PIXEL.length,
+      'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    });
+    res.end(PIXEL);
+  },
+
+  'GET /t/click': async (req, res, url) => {
+    const target = tracker.recordClick(url.searchParams.get('m'), Number(url.searchParams.get('l')));
+    if (!target) throw new HttpError(404, 'This link has expired.');
+    res.writeHead(302, { Location: target, 'Cache-Control': 'no-store' });
+    res.end();
+  },
+};
+
+createServer(createRouter(routes, config)).listen(config.port, config.host, () => {
+  console.log(`Companion server listening on http://${config.host}:${config.port}`);
+  console.log(`Sending through SMTP ${config.smtp.host}:${config.smtp.port} as ${config.from}`);
+  console.log(config.imap
+    ? `Checking IMAP ${config.imap.host}:${config.imap.port} ${config.imap.mailbox} every ${config.imap.pollSeconds}s`
+    : 'Reply tracking is off (no IMAP_HOST)');
+  if (!tracker.enabled) console.log('Open and click tracking is off (no TRACKING_URL)');
+  inbox.start();
+});
+
+// Write tracking hits still waiting to be saved before stopping.
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+  store.flush();
+  process.exit(0);
+}));
+
+if (tracker.enabled) {
+  createServer(createRouter(trackingRoutes)).listen(config.trackingPort, config.trackingHost, () => {
+    console.log(`Tracking listener on http://${config.trackingHost}:${config.trackingPort}, reached through ${config.trackingUrl}`);
+  });
+}
@@ -0,0 +1,56 @@
+import { randomUUID } from 'node:crypto';
+import nodemailer from 'nodemailer';
+
+// --- SMTP Transport ---
+
+/**
+ * Formats an address with an optional display name.
+ */
+const formatAddress = (address, name) => (name ? { name, address } : address);
+
+/**
+ * Creates the mailer used to send outreach emails.
+ * @param {object} config - The server configuration from loadConfig.
+ * @returns {{verify: Function, send: Function}} The mailer.
+ */
+export const createMailer = (config) => {
+  const transport = nodemailer.createTransport(config.smtp);
+  const fromDomain = config.from.split('@').pop();
+
+  return {
+    /**
+     * Checks that the SMTP server accepts connections.
+     * @returns {Promise<boolean>} Resolves true, or rejects with the reason.
+     */
+    verify: () => transport.verify(),
+
+    /**
+     * Sends a plain-text email.
+     * @param {object} message
+     * @param {string} message.to - The recipient's address.
+     * @param {string} [message.toName] - The recipient's display name.
+     * @param {string} [message.fromName] - The sender's display name.
+     * @param {string} message.subject - The subject line.
+     * @param {string} message.text - The plain-text body.
+     * @param {string} [message.html] - An optional HTML body.
+     * @returns {Promise<{messageId: string, sentAt: string, accepted: string[], rejected: string[]}>}
+     */
+    send: async ({ to, toName, fromName, subject, text, html }) => {
+      const info = await transport.sendMail({
+        from: formatAddress(config.from, fromName),
+        to: formatAddress(to, toName),
+        subject,
+        text,
+        html,
+        // Our own id, so replies can be matched to the prospect by thread.
+        messageId: `<${randomUUID()}@${fromDomain}>`,
+      });
+      return {
+        messageId: info.messageId,
+        sentAt: new Date().toISOString(),
+        accepted: info.accepted.map(String),
+        rejected: info.rejected.map(String),
+      };
+    },
+  };
+};
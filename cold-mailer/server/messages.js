@@ -0,0 +1,115 @@
+// --- Inbound Message Parsing ---
+
+const BOUNCE_SENDERS = /^(mailer-daemon|postmaster|mail-daemon|mailerdaemon)@/i;
+const BOUNCE_SUBJECTS = /undeliver|delivery (status|failure|has failed)|returned mail|failure notice|mail delivery failed/i;
+const AUTO_REPLY_SUBJECTS = /^(auto(matic)?[ -]?reply|out of (the )?office|abwesenheit|absence)/i;
+const EMAIL_IN_TEXT = /[a-z0-9._%+'-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+
+/**
+ * Joins folded header lines and splits a block into name/value fields.
+ */
+const parseFields = (block) => {
+  const fields = {};
+  block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const match = line.match(/^([\w-]+):\s*(.*)$/);
+    if (match) fields[match[1].toLowerCase()] = match[2].trim();
+  });
+  return fields;
+};
+
+/**
+ * Strips an address-type prefix like "rfc822;" from a DSN recipient field.
+ */
+const stripAddressType = (value) => (value || '').replace(/^[\w-]+;\s*/, '').replace(/[<>]/g, '').trim().toLowerCase();
+
+/**
+ * Parses the machine-readable part of an RFC 3464 delivery status
+ * notification.
+ * @param {string} text - The message/delivery-status body.
+ * @returns {{email: string, action: string, status: string, diagnostic: string}[]}
+ *   One entry per recipient the report is about.
+ */
+export const parseDeliveryStatus = (text) => text
+  .split(/\r?\n\s*\r?\n/)
+  .slice(1)
+  .map(parseFields)
+  .filter(fields => fields['final-recipient'] || fields['original-recipient'])
+  .map(fields => ({
+    email: stripAddressType(fields['final-recipient'] || fields['original-recipient']),
+    action: (fields.action || '').toLowerCase(),
+    status: fields.status || '',
+    diagnostic: (fields['diagnostic-code'] || '').replace(/^[\w-]+;\s*/, ''),
+  }));
+
+/**
+ * Finds the delivery-status part in a raw message. Mail parsers fold it
+ * into the text body, so it is read from the source instead.
+ */
+const findDeliveryStatus = (source) => {
+  const match = source.match(/^Content-Type:[ \t]*message\/(?:global-)?delivery-status[^]*?\r?\n\r?\n([^]*?)(?:\r?\n--|(?![^]))/im);
+  return match ? match[1] : '';
+};
+
+const toList = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : value.split(/\s+/);
+  return list.map(id => id.trim()).filter(Boolean);
+};
+
+const addresses = (field) => (field?.value || []).map(({ address, name }) => ({ email: (address || '').toLowerCase(), name: name || '' }));
+
+/**
+ * Turns a parsed message into the inbox event the app matches against its
+ * prospects: who it is from, which of our messages it answers, whether it
+ * is an automatic reply, and which recipients bounced.
+ * @param {object} parsed - A message from mailparser's simpleParser.
+ * @param {number} uid - The message's IMAP UID.
+ * @param {string} source - The raw message.
+ * @returns {object} The inbox event, without an id.
+ */
+export const toInboxEvent = (parsed, uid, source) => {
+  const header = (name) => parsed.headers.get(name);
+  const from = addresses(parsed.from)[0] || { email: '', name: '' };
+  const subject = parsed.subject || '';
+  const attachments = parsed.attachments || [];
+
+  const deliveryStatus = /multipart\/report/i.test(parsed.headers.get('content-type')?.value || '') ? findDeliveryStatus(source) : '';
+  const originalPart = attachments.find(a => a.contentType === 'text/rfc822-headers' || a.contentType === 'message/rfc822');
+  const originalMessageId = originalPart
+    ? (originalPart.content.toString('utf8').match(/^Message-ID:\s*(<[^>]+>)/im) || [])[1] || ''
+    : '';
+
+  let bounce = null;
+  if (deliveryStatus) {
+    const recipients = parseDeliveryStatus(deliveryStatus).filter(r => r.action === 'failed');
+    if (recipients.length > 0) bounce = { recipients, originalMessageId, standard: true };
+  } else if (BOUNCE_SENDERS.test(from.email) && BOUNCE_SUBJECTS.test(subject)) {
+    // Not a standard report: guess the failed recipients from the text.
+    const found = [...new Set((parsed.text || '').match(EMAIL_IN_TEXT) || [])]
+      .map(email => email.toLowerCase())
+      .filter(email => !BOUNCE_SENDERS.test(email));
+    bounce = { recipients: found.map(email => ({ email, action: 'failed', status: '', diagnostic: '' })), originalMessageId, standard: false };
+  }
+
+  const autoSubmitted = String(header('auto-submitted') || 'no').toLowerCase();
+  const autoReply = !bounce && (
+    autoSubmitted !== 'no'
+    || Boolean(header('x-autoreply') || header('x-autorespond'))
+    || /auto_reply|auto-reply/i.test(String(header('precedence') || ''))
+    || AUTO_REPLY_SUBJECTS.test(subject)
+  );
+
+  return {
+    uid,
+    messageId: parsed.messageId || '',
+    inReplyTo: toList(parsed.inReplyTo),
+    references: toList(parsed.references),
+    from,
+    to: addresses(parsed.to),
+    subject,
+    date: (parsed.date || new Date()).toISOString(),
+    snippet: (parsed.text || '').replace(/\s+/g, ' ').trim().slice(0, 200),
+    autoReply,
+    bounce,
+  };
+};
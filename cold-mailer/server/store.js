@@ -0,0 +1,82 @@
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+// --- Companion Server State ---
+
+/**
+ * The most inbox and tracking events kept; the app fetches them long before this fills.
+ */
+const MAX_EVENTS = 1000;
+
+/**
+ * How long deferred changes wait before they are written, so a burst of
+ * tracking hits costs one write.
+ */
+const SAVE_DELAY_MS = 2000;
+
+const EMPTY_STATE = { inbox: { uidValidity: '', lastUid: 0 }, events: [], lastEventId: 0, tracking: {} };
+
+/**
+ * Keeps the server's state in a JSON file so that a restart neither
+ * re-reports old mail nor loses events the app has not fetched yet.
+ * @param {string} file - The path of the state file.
+ * @returns {{get: Function, update: Function, addEvents: Function, flush: Function}} The store.
+ */
+export const createStore = (file) => {
+  let state = EMPTY_STATE;
+  try {
+    state = { ...EMPTY_STATE, ...JSON.parse(readFileSync(file, 'utf8')) };
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Ignoring unreadable state file ${file}: ${error.message}`);
+  }
+
+  let timer = null;
+
+  const save = () => {
+    clearTimeout(timer);
+    timer = null;
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2));
+    renameSync(`${file}.tmp`, file);
+  };
+
+  const saveLater = () => {
+    if (!timer) timer = setTimeout(save, SAVE_DELAY_MS);
+  };
+
+  return {
+    /** @returns {object} The current state. */
+    get: () => state,
+
+    /**
+     * Applies changes to the state and saves it.
+     * @param {Function} change - Called with the state; returns the new state.
+     */
+    update: (change) => {
+      state = change(state);
+      save();
+    },
+
+    /**
+     * Appends events, numbering them so clients can ask for everything after
+     * the last one they saw.
+     * @param {object[]} events - The new events.
+     * @param {object} [changes] - Other state changes to save along with them.
+     * @param {object} [options]
+     * @param {boolean} [options.defer=false] - Batch the write with others
+     *   made shortly after, for changes that arrive from the outside world.
+     */
+    addEvents: (events, changes = {}, { defer = false } = {}) => {
+      let id = state.lastEventId;
+      const numbered = events.map(event => ({ ...event, id: (id += 1) }));
+      state = { ...state, ...changes, events: [...state.events, ...numbered].slice(-MAX_EVENTS), lastEventId: id };
+      if (defer) saveLater();
+      else save();
+    },
+
+    /** Writes any deferred changes now. */
+    flush: () => {
+      if (timer) save();
+    },
+  };
+};
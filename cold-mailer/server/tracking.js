@@ -0,0 +1,135 @@
+import { randomUUID } from 'node:crypto';
+
+// --- Open and Click Tracking ---
+
+/**
+ * The most sent messages remembered for tracking; older ones stop
+ * recording opens and their links answer 404.
+ */
+const MAX_TRACKED_MESSAGES = 5000;
+
+/**
+ * Repeat opens of the same message within this window are counted once,
+ * since mail clients often load images several times while rendering.
+ */
+const REPEAT_OPEN_MS = 10 * 60 * 1000;
+
+// A transparent 1x1 GIF.
+export const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const URL_IN_TEXT = /\bhttps?:\/\/[^\s<>"']+[^\s<>"'.,;:!?)\]]/g;
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+/**
+ * Turns a plain-text body into HTML for tracking: links become anchors
+ * pointing at the click redirect, and the open pixel is appended.
+ * @param {string} text - The plain-text body.
+ * @param {object} options
+ * @param {Function} [options.linkUrl] - Maps a link's index to its tracked
+ *   URL; links are left alone when omitted.
+ * @param {string} [options.pixelUrl] - The open-tracking pixel URL.
+ * @returns {{html: string, links: string[]}} The HTML body and the links found, in order.
+ */
+export const buildTrackedHtml = (text, { linkUrl, pixelUrl }) => {
+  const links = [];
+  let html = '';
+  let last = 0;
+  text.replace(URL_IN_TEXT, (url, offset) => {
+    html += escapeHtml(text.slice(last, offset));
+    const href = linkUrl ? linkUrl(links.push(url) - 1) : url;
+    html += `<a href="${escapeHtml(href)}">${escapeHtml(url)}</a>`;
+    last = offset + url.length;
+    return url;
+  });
+  html += escapeHtml(text.slice(last));
+  const pixel = pixelUrl ? `<img src="${escapeHtml(pixelUrl)}" width="1" height="1" alt="" style="display:block;border:0">` : '';
+  return {
+    html: `<div style="white-space:pre-wrap;font-family:sans-serif">${html}</div>${pixel}`,
+    links,
+  };
+};
+
+/**
+ * Looks up a tracked message by token. Only the store's own entries
+ * count, so tokens such as "__proto__" find nothing.
+ */
+const findMessage = (tracking, token) => (token && Object.hasOwn(tracking, token) ? tracking[token] : null);
+
+/**
+ * Creates the tracker that adds open pixels and click redirects to
+ * outgoing mail, and turns hits on them into events for the app.
+ * @param {object} config - The server configuration from loadConfig.
+ * @param {object} store - The state store from createStore.
+ * @returns {{enabled: boolean, prepare: Function, register: Function,
+ *   recordOpen: Function, recordClick: Function}} The tracker.
+ */
+export const createTracker = (config, store) => {
+  const base = config.trackingUrl;
+
+  return {
+    enabled: Boolean(base),
+
+    /**
+     * Builds the tracked HTML body for a message about to be sent.
+     * @param {string} text - The plain-text body.
+     * @param {object} track
+     * @param {boolean} [track.opens] - Add the open pixel.
+     * @param {boolean} [track.clicks] - Send links through the redirect.
+     * @returns {({token: string, html: string, links: string[]}|null)} The
+     *   tracked body, or null when nothing is tracked.
+     */
+    prepare: (text, { opens, clicks } = {}) => {
+      if (!base || (!opens && !clicks)) return null;
+      const token = randomUUID();
+      const { html, links } = buildTrackedHtml(text, {
+        linkUrl: clicks ? (index) => `${base}/t/click?m=${token}&l=${index}` : undefined,
+        pixelUrl: opens ? `${base}/t/open?m=${token}` : undefined,
+      });
+      return { token, html, links };
+    },
+
+    /**
+     * Remembers a sent message so hits on its pixel and links can be
+     * matched to it.
+     * @param {string} token - The token from prepare.
+     * @param {string} messageId - The sent message's Message-ID.
+     * @param {string[]} links - The links from prepare.
+     */
+    register: (token, messageId, links) => {
+      store.update(state => {
+        const entries = Object.entries({ ...state.tracking, [token]: { messageId, links, lastOpenAt: 0 } });
+        return { ...state, tracking: Object.fromEntries(entries.slice(-MAX_TRACKED_MESSAGES)) };
+      });
+    },
+
+    /**
+     * Records an open, unless the message was opened moments ago.
+     * @param {string} token - The message token.
+     */
+    recordOpen: (token) => {
+      const message = findMessage(store.get().tracking, token);
+      const now = Date.now();
+      if (!message || now - message.lastOpenAt < REPEAT_OPEN_MS) return;
+      store.addEvents([{ tracking: { type: 'open', messageId: message.messageId }, date: new Date(now).toISOString() }], {
+        tracking: { ...store.get().tracking, [token]: { ...message, lastOpenAt: now } },
+      }, { defer: true });
+    },
+
+    /**
+     * Records a click and looks up where the link goes. Only links that
+     * were in the message are followed, so the redirect cannot be used to
+     * send people anywhere else.
+     * @param {string} token - The message token.
+     * @param {number} index - The link's position in the message.
+     * @returns {(string|null)} The original URL, or null when unknown.
+     */
+    recordClick: (token, index) => {
+      const message = findMessage(store.get().tracking, token);
+      const url = message && Number.isInteger(index) ? message.links[index] : null;
+      if (!url) return null;
+      store.addEvents([{ tracking: { type: 'click', messageId: message.messageId, url }, date: new Date().toISOString() }], {}, { defer: true });
+      return url;
+    },
+  };
+};
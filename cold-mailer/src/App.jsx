@@ -1,9 +1,9 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback, useDeferredValue } from 'react';
 import { 
   User, 
   Building, 
   Search, 
-  Linkedin, 
+  Check,
   Copy, 
   Download, 
   Brain, 
@@ -12,75 +12,96 @@ import {
   ChevronUp,
   ExternalLink,
   Plus,
-  Trash2,
-  FileText
+  FileText,
+  Upload,
+  Settings,
+  AlertTriangle,
+  Square,
+  ListOrdered,
+  Archive,
+  Server,
+  Megaphone,
+  SlidersHorizontal,
+  Tag,
+  MailOpen,
+  FileDown,
+  FileArchive
 } from 'lucide-react';
-
-// --- AI Simulation Functions ---
-
-/**
- * Simulates an AI generating likely email permutations.
- * @param {string} firstName - The prospect's first name.
- * @param {string} lastName - The prospect's last name.
- * @param {string} domain - The company's domain.
- * @returns {string} A newline-separated string of email guesses.
- */
-const generateAIGuesses = (firstName, lastName, domain) => {
-  if (!firstName || !lastName || !domain) {
-    return "Please enter a first name, last name, and domain to generate guesses.";
-  }
-
-  const fn = firstName.toLowerCase();
-  const ln = lastName.toLowerCase();
-  const fi = fn[0] || '';
-  const li = ln[0] || '';
-
-  const patterns = [
-    `${fn}.${ln}@${domain}`,
-    `${fi}${ln}@${domain}`,
-    `${fn}${li}@${domain}`,
-    `${fn}@${domain}`,
-    `${ln}@${domain}`,
-    `${fn}_${ln}@${domain}`,
-    `${fi}.${ln}@${domain}`,
-    `${fn}${ln}@${domain}`,
-    `${ln}.${fn}@${domain}`,
-    `${fn[0]}${ln[0]}@${domain}`,
-  ];
-
-  return patterns.join('\n');
-};
-
-/**
- * Simulates an AI drafting a cold email.
- * @param {string} firstName - The prospect's first name.
- * @param {string} company - The prospect's company.
- * @returns {string} A drafted cold email.
- */
-const draftAIEmail = (firstName, company) => {
-  const myService = "[Your Service, e.g., 'modern web design']";
-  const myValueProp = "[Your Value Prop, e.g., 'help companies increase user engagement']";
-  const myName = "[Your Name]";
-
-  if (!firstName) {
-    return "Please enter at least a first name to draft an email.";
-  }
-
-  return `Subject: Quick question re: ${company}
-
-Hi ${firstName},
-
-I was on ${company}'s website and noticed you're the [Prospect's Title].
-
-I specialize in ${myService} and ${myValueProp}. I had a quick idea on how you could [Specific Idea for Them].
-
-Would you be open to a 10-minute chat next week if you're interested?
-
-Best,
-
-${myName}
-`;
-};
+import ImportCSVModal from './components/ImportCSVModal.jsx';
+import ExportModal from './components/ExportModal.jsx';
+import PatternEditor from './components/PatternEditor.jsx';
+import EmailGuesses from './components/EmailGuesses.jsx';
+import EmailCheck from './components/EmailCheck.jsx';
+import TemplateManager from './components/TemplateManager.jsx';
+import LLMSettingsModal from './components/LLMSettingsModal.jsx';
+import SequenceManager from './components/SequenceManager.jsx';
+import ComposeModal from './components/ComposeModal.jsx';
+import ProspectTable from './components/ProspectTable.jsx';
+import EditProspectModal from './components/EditProspectModal.jsx';
+import ProspectToolbar from './components/ProspectToolbar.jsx';
+import Pagination from './components/Pagination.jsx';
+import BackupModal from './components/BackupModal.jsx';
+import CompaniesView from './components/CompaniesView.jsx';
+import CompanionSettingsModal from './components/CompanionSettingsModal.jsx';
+import SelectionBar from './components/SelectionBar.jsx';
+import CampaignModal from './components/CampaignModal.jsx';
+import CampaignsView from './components/CampaignsView.jsx';
+import InboxView from './components/InboxView.jsx';
+import DashboardView from './components/DashboardView.jsx';
+import BoardView from './components/BoardView.jsx';
+import PipelineSettingsModal from './components/PipelineSettingsModal.jsx';
+import CustomFieldInputs from './components/CustomFieldInputs.jsx';
+import SegmentManager from './components/SegmentManager.jsx';
+import SearchProvidersModal from './components/SearchProvidersModal.jsx';
+import DraftCheck from './components/DraftCheck.jsx';
+import ExperimentsView from './components/ExperimentsView.jsx';
+import ExperimentModal from './components/ExperimentModal.jsx';
+import { createProspect, validateProspect, parseTags } from './lib/prospects.js';
+import { restorePipeline, getStatuses, applyStageRenames } from './lib/pipeline.js';
+import { restoreProviders, buildSearchValues, buildSearchUrl, getMissingFields } from './lib/searchProviders.js';
+import { createSegment, rulesFromFilters, filterBySegment, restoreSegments, addTags, removeTags } from './lib/segments.js';
+import { validateEmail } from './lib/emailValidation.js';
+import { DEFAULT_PATTERNS, generateEmailGuesses, detectDomainPattern } from './lib/emailPatterns.js';
+import { DEFAULT_TEMPLATES, DEFAULT_SENDER, buildVariables, renderTemplate, parseDraft } from './lib/templates.js';
+import { DEFAULT_SEQUENCES, startSequence, getDueProspects, markStepSent } from './lib/sequences.js';
+import { addEvent, changeStatus, editProspect, recordSentEmail } from './lib/timeline.js';
+import { EMPTY_FILTERS, hasActiveFilters, listCompanies, listTags, filterProspects, sortProspects, paginate } from './lib/prospectQuery.js';
+import { DEFAULT_LLM_SETTINGS, getDraftProvider, draftAIEmail } from './lib/llm.js';
+import { loadJSON, saveJSON } from './lib/storage.js';
+import { loadProspects, loadCompanies, saveProspectChanges, saveCompanyChanges } from './lib/db.js';
+import { linkProspects, syncCompanyToProspects, mergeCompanies } from './lib/companies.js';
+import { createBackup, restoreBackup } from './lib/backup.js';
+import { downloadFile } from './lib/download.js';
+import { DEFAULT_COMPANION_SETTINGS, sendEmail, fetchInboxEvents } from './lib/companion.js';
+import { processInboxEvents, applyInboxEvent } from './lib/inbox.js';
+import { buildEml, emlFilename, createEmlArchive } from './lib/eml.js';
+import { buildMailtoUrl } from './lib/mailto.js';
+import { lintDraft } from './lib/deliverability.js';
+import {
+  createExperiment,
+  createVariant,
+  restoreExperiments,
+  assignVariant,
+  countAssignment,
+  getAssignedVariant,
+  getVariantTemplate,
+  recordVariant,
+  recordVariants,
+  buildVariantMessages,
+} from './lib/experiments.js';
+import {
+  buildMessages,
+  createCampaign,
+  restoreCampaigns,
+  resumeCampaign,
+  pauseCampaign,
+  cancelCampaign,
+  retryFailed,
+  getNextRecipient,
+  completeCampaign,
+  markSending,
+  recordResult,
+} from './lib/campaigns.js';
 
 // --- Main App Component ---
 
@@ -92,77 +113,468 @@ export default function App() {
   const [domain, setDomain] = useState('');
   const [email, setEmail] = useState('');
   const [title, setTitle] = useState('');
+  const [tags, setTags] = useState('');
+  const [customValues, setCustomValues] = useState({});
   
   const [prospects, setProspects] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [storageWarnings, setStorageWarnings] = useState([]);
+  const savedProspects = useRef([]);
+  const [companies, setCompanies] = useState([]);
+  const savedCompanies = useRef([]);
   const [showHelpers, setShowHelpers] = useState(true);
-  const [aiGuesses, setAiGuesses] = useState('');
+  const [aiGuesses, setAiGuesses] = useState([]);
+  const [guessMessage, setGuessMessage] = useState('');
+  const [emailPatterns, setEmailPatterns] = useState(() => loadJSON('emailPatterns', DEFAULT_PATTERNS));
+  const [showPatternEditor, setShowPatternEditor] = useState(false);
+  const [templates, setTemplates] = useState(() => loadJSON('templates', DEFAULT_TEMPLATES));
+  const [selectedTemplateId, setSelectedTemplateId] = useState(() => templates[0]?.id ?? null);
+  const [sender, setSender] = useState(() => ({ ...DEFAULT_SENDER, ...loadJSON('senderProfile', {}) }));
+  const [showTemplateManager, setShowTemplateManager] = useState(false);
+  const [llmSettings, setLlmSettings] = useState(() => ({ ...DEFAULT_LLM_SETTINGS, ...loadJSON('llmSettings', {}) }));
+  const [showLLMSettings, setShowLLMSettings] = useState(false);
+  const [isDrafting, setIsDrafting] = useState(false);
+  const draftController = useRef(null);
+  const [sequences, setSequences] = useState(() => loadJSON('sequences', DEFAULT_SEQUENCES));
+  const [showSequenceManager, setShowSequenceManager] = useState(false);
+  const [listView, setListView] = useState('all');
+  const [compose, setCompose] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState(null);
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(() => loadJSON('pageSize', 50));
   const [aiDraft, setAiDraft] = useState('');
+  const [showImport, setShowImport] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showBackup, setShowBackup] = useState(false);
+  const [companionSettings, setCompanionSettings] = useState(() => ({ ...DEFAULT_COMPANION_SETTINGS, ...loadJSON('companionSettings', {}) }));
+  const [showCompanionSettings, setShowCompanionSettings] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [campaigns, setCampaigns] = useState(() => restoreCampaigns(loadJSON('campaigns', [])));
+  const [campaignProspects, setCampaignProspects] = useState(null);
+  const inboxCursor = useRef(loadJSON('inboxCursor', 0));
+  const [inboxQueue, setInboxQueue] = useState([]);
+  const [inboxReview, setInboxReview] = useState(() => loadJSON('inboxReview', []));
+  const [inboxStatus, setInboxStatus] = useState(null);
+  const [inboxError, setInboxError] = useState('');
+  const [isCheckingInbox, setIsCheckingInbox] = useState(false);
+  const [pipeline, setPipeline] = useState(() => restorePipeline(loadJSON('pipeline', null)));
+  const [showPipelineSettings, setShowPipelineSettings] = useState(false);
+  const [segments, setSegments] = useState(() => restoreSegments(loadJSON('segments', [])));
+  const [segmentManager, setSegmentManager] = useState(null);
+  const [exportSegmentId, setExportSegmentId] = useState(null);
+  const [bulkTag, setBulkTag] = useState('');
+  const [searchProviders, setSearchProviders] = useState(() => restoreProviders(loadJSON('searchProviders', null)));
+  const [showSearchProviders, setShowSearchProviders] = useState(false);
+  const [checkedSources, setCheckedSources] = useState([]);
+  const [experiments, setExperiments] = useState(() => restoreExperiments(loadJSON('experiments', [])));
+  const [selectedExperimentId, setSelectedExperimentId] = useState(null);
+  const [draftVariant, setDraftVariant] = useState(null);
+  const [editingExperiment, setEditingExperiment] = useState(null);
+  const statuses = useMemo(() => getStatuses(pipeline), [pipeline]);
 
-  // --- Load from LocalStorage on mount ---
+  // --- Load from the database on mount ---
   useEffect(() => {
-    const storedProspects = localStorage.getItem('prospects');
-    if (storedProspects) {
-      setProspects(JSON.parse(storedProspects));
-    }
+    let cancelled = false;
+    Promise.all([loadProspects(), loadCompanies()]).then(([{ prospects: stored, warnings }, storedCompanies]) => {
+      if (cancelled) return;
+      savedProspects.current = stored;
+      savedCompanies.current = storedCompanies;
+      // Prospects saved before companies existed are linked on first load.
+      const linked = linkProspects(stored, storedCompanies);
+      setProspects(linked.prospects);
+      setCompanies(linked.companies);
+      setStorageWarnings(warnings);
+      setIsLoaded(true);
+    }, (err) => {
+      if (cancelled) return;
+      setStorageWarnings([`Could not load saved prospects: ${err.message}`]);
+    });
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
-  // --- Save to LocalStorage on change ---
+  // --- Save changed prospects ---
+  useEffect(() => {
+    if (!isLoaded) return;
+    saveProspectChanges(savedProspects.current, prospects).catch((err) => {
+      setStorageWarnings(current => [...current, `Could not save changes: ${err.message}`]);
+    });
+    savedProspects.current = prospects;
+  }, [prospects, isLoaded]);
+
+  useEffect(() => {
+    if (!isLoaded) return;
+    saveCompanyChanges(savedCompanies.current, companies).catch((err) => {
+      setStorageWarnings(current => [...current, `Could not save company changes: ${err.message}`]);
+    });
+    savedCompanies.current = companies;
+  }, [companies, isLoaded]);
+
   useEffect(() => {
-    localStorage.setItem('prospects', JSON.stringify(prospects));
-  }, [prospects]);
+    saveJSON('templates', templates);
+  }, [templates]);
+
+  useEffect(() => {
+    saveJSON('senderProfile', sender);
+  }, [sender]);
+
+  useEffect(() => {
+    saveJSON('sequences', sequences);
+  }, [sequences]);
+
+  useEffect(() => {
+    saveJSON('campaigns', campaigns);
+  }, [campaigns]);
+
+  useEffect(() => {
+    saveJSON('inboxReview', inboxReview);
+  }, [inboxReview]);
+
+  useEffect(() => {
+    saveJSON('segments', segments);
+  }, [segments]);
+
+  useEffect(() => {
+    saveJSON('searchProviders', searchProviders);
+  }, [searchProviders]);
+
+  useEffect(() => {
+    saveJSON('experiments', experiments);
+  }, [experiments]);
+
+  // --- Track replies and bounces through the companion server ---
+  const receiveInbox = useCallback(({ events, cursor, status }) => {
+    inboxCursor.current = cursor;
+    saveJSON('inboxCursor', cursor);
+    setInboxStatus(status);
+    setInboxError('');
+    if (events.length > 0) setInboxQueue(current => [...current, ...events]);
+  }, []);
+
+  useEffect(() => {
+    if (!isLoaded || !companionSettings.enabled) return;
+    const check = () => fetchInboxEvents(companionSettings, inboxCursor.current)
+      .then(receiveInbox, (err) => setInboxError(err.message));
+    check();
+    const timer = setInterval(check, 60 * 1000);
+    return () => clearInterval(timer);
+  }, [isLoaded, companionSettings, receiveInbox]);
+
+  // Events are matched against the latest prospects once they arrive.
+  useEffect(() => {
+    if (!isLoaded || inboxQueue.length === 0) return;
+    const result = processInboxEvents(prospects, inboxQueue, statuses);
+    setInboxQueue([]);
+    if (result.applied > 0) setProspects(result.prospects);
+    if (result.review.length > 0) setInboxReview(current => [...current, ...result.review]);
+  }, [isLoaded, inboxQueue, prospects, statuses]);
+
+  // --- Send the next campaign message when it is due ---
+  // One message at a time across all campaigns, so that together they stay
+  // within the hourly limit.
+  const isSending = campaigns.some(c => c.recipients.some(r => r.status === 'sending'));
+  const runningCampaign = isSending ? undefined : campaigns.find(c => c.status === 'running');
+  useEffect(() => {
+    if (!runningCampaign) return;
+    const { id, name, templateName, nextSendAt } = runningCampaign;
+    const index = getNextRecipient(runningCampaign);
+    if (index === -1) {
+      // Nobody is left to send to, e.g. the last queued prospects were removed.
+      setCampaigns(current => current.map(c => (c.id === id && getNextRecipient(c) === -1 ? completeCampaign(c) : c)));
+      return;
+    }
+    const recipient = runningCampaign.recipients[index];
+
+    const timer = setTimeout(async () => {
+      setCampaigns(current => current.map(c => (c.id === id ? markSending(c, index) : c)));
+      let result;
+      try {
+        result = await sendEmail(companionSettings, {
+          to: recipient.email,
+          toName: recipient.name,
+          fromName: sender.senderName,
+          subject: recipient.subject,
+          text: recipient.body,
+        });
+      } catch (err) {
+        result = { error: err.message };
+      }
+      setCampaigns(current => current.map(c => (c.id === id ? recordResult(c, index, result) : c)));
+      if (!result.error) {
+        const details = { subject: recipient.subject, messageId: result.messageId, campaign: name, template: recipient.template || templateName };
+        setProspects(current => current.map(p =>
+          p.id === recipient.prospectId ? recordSentEmail(p, details, new Date(result.sentAt)) : p
+        ));
+      }
+    }, Math.max(0, new Date(nextSendAt) - Date.now()));
+    return () => clearTimeout(timer);
+  }, [runningCampaign, companionSettings, sender]);
+
+  const draftCheck = useMemo(() => lintDraft(aiDraft, { firstName, company }), [aiDraft, firstName, company]);
+  // A test left without variants cannot split anyone, so it is not offered.
+  const activeExperiments = experiments.filter(x => x.active && x.variants.length > 0);
+  const selectedExperiment = activeExperiments.find(x => x.id === selectedExperimentId) || null;
+  const dueProspects = useMemo(() => getDueProspects(prospects), [prospects]);
+  const companyNames = useMemo(() => listCompanies(prospects), [prospects]);
+  const tagNames = useMemo(() => listTags(prospects), [prospects]);
+  const statusCounts = useMemo(() => prospects.reduce((counts, p) => ({ ...counts, [p.status]: (counts[p.status] || 0) + 1 }), {}), [prospects]);
+
+  // Filtering 10,000 rows on every keystroke would make typing lag, so the
+  // table trails the search box slightly behind while React catches up.
+  const deferredFilters = useDeferredValue(filters);
+  const visibleProspects = useMemo(() => {
+    const base = listView === 'due' ? dueProspects : prospects;
+    const segment = segments.find(s => s.id === deferredFilters.segmentId) || null;
+    return sortProspects(filterProspects(filterBySegment(base, segment), deferredFilters), sort, statuses);
+  }, [listView, dueProspects, prospects, segments, deferredFilters, sort, statuses]);
+  const currentPage = paginate(visibleProspects, page, pageSize);
+  const showsProspects = listView === 'all' || listView === 'due';
+  const showsFilters = showsProspects || listView === 'board';
+  const selectedProspects = useMemo(() => prospects.filter(p => selectedIds.has(p.id)), [prospects, selectedIds]);
 
   // --- Event Handlers ---
 
-  const handleMagicSearch = (service) => {
-    let query = '';
-    let url = '';
-
-    switch (service) {
-      case 'linkedin':
-        query = `${firstName} ${lastName} ${company}`;
-        url = `https://www.linkedin.com/search/results/people/?keywords=${encodeURIComponent(query)}`;
-        break;
-      case 'google':
-        query = `${firstName} ${lastName} ${company} linkedin`;
-        url = `https://www.google.com/search?q=${encodeURIComponent(query)}`;
-        break;
-      case 'domain':
-        query = `${company} website`;
-        url = `https://www.google.com/search?q=${encodeURIComponent(query)}`;
-        break;
-      default:
-        return;
+  /**
+   * Sets the prospect list after linking any new or re-pointed prospects
+   * to company records.
+   * @param {object[]} next - The new prospect list.
+   * @param {object[]} [baseCompanies=companies] - The companies to link against.
+   */
+  const setLinkedProspects = (next, baseCompanies = companies) => {
+    const linked = linkProspects(next, baseCompanies);
+    setProspects(linked.prospects);
+    if (linked.companies !== companies) {
+      setCompanies(linked.companies);
     }
-    window.open(url, '_blank', 'noopener,noreferrer');
+  };
+
+  const searchValues = buildSearchValues({ firstName, lastName, company, domain, email, title });
+  const enabledProviders = searchProviders.filter(p => p.enabled);
+
+  /**
+   * Opens Magic Search sources in new tabs and remembers them, so the
+   * prospect records where they were looked up once logged.
+   * @param {object[]} providers - The sources to open.
+   */
+  const handleMagicSearch = (providers) => {
+    const opened = providers.filter(provider => {
+      const url = buildSearchUrl(provider, searchValues);
+      if (url) window.open(url, '_blank', 'noopener,noreferrer');
+      return Boolean(url);
+    });
+    setCheckedSources(current => [...new Set([...current, ...opened.map(p => p.name)])]);
+  };
+
+  const handleSaveSearchProviders = (next) => {
+    setSearchProviders(next);
+    setShowSearchProviders(false);
   };
 
   const handleGenerateAIGuesses = () => {
-    const guesses = generateAIGuesses(firstName, lastName, domain);
+    if (!firstName || !lastName || !domain) {
+      setAiGuesses([]);
+      setGuessMessage('Please enter a first name, last name, and domain to generate guesses.');
+      return;
+    }
+    const guesses = generateEmailGuesses(
+      { firstName, lastName, domain },
+      { patterns: emailPatterns, knownProspects: prospects }
+    );
+    const learned = detectDomainPattern(prospects, domain, emailPatterns);
     setAiGuesses(guesses);
+    setGuessMessage(learned
+      ? `Learned ${learned.pattern} from ${learned.matches} of ${learned.total} logged contacts at this domain.`
+      : '');
+  };
+
+  const handleSavePatterns = (patterns) => {
+    setEmailPatterns(patterns);
+    saveJSON('emailPatterns', patterns);
+    setShowPatternEditor(false);
   };
   
-  const handleDraftAIEmail = () => {
-    const draft = draftAIEmail(firstName, company);
-    setAiDraft(draft);
+  const saveExperiment = (experiment) => {
+    setExperiments(current => current.map(x => (x.id === experiment.id ? experiment : x)));
+  };
+
+  /**
+   * Picks an A/B test's variant for a prospect. The test is not saved here:
+   * its round-robin position only moves on once the variant is recorded on a
+   * saved prospect, so abandoned drafts do not use up a turn.
+   * @param {object} experiment - The A/B test.
+   * @param {(string|null)} current - The variant the prospect already has in the test.
+   * @returns {({variant: object, template: (object|null)}|null)} The variant
+   *   and the template it sends, or null for the template when it was
+   *   deleted. Null when the test has no variants, to draft from the selected
+   *   template instead.
+   */
+  const pickVariant = (experiment, current) => {
+    const assigned = assignVariant(experiment, current);
+    if (!assigned) return null;
+    return { variant: assigned.variant, template: getVariantTemplate(assigned.variant, templates) };
+  };
+
+  const handleDraftAIEmail = async () => {
+    if (!firstName) {
+      setAiDraft('Please enter at least a first name to draft an email.');
+      return;
+    }
+    const picked = selectedExperiment
+      ? pickVariant(selectedExperiment, draftVariant?.experimentId === selectedExperiment.id ? draftVariant.variant : null)
+      : null;
+    const template = picked ? picked.template : templates.find(t => t.id === selectedTemplateId) || templates[0];
+    if (picked && !template) {
+      alert(`Variant ${picked.variant.id} uses a template that was deleted. Edit the A/B test first.`);
+      return;
+    }
+    if (!template) {
+      alert('Create a template first.');
+      setShowTemplateManager(true);
+      return;
+    }
+    setDraftVariant(picked ? { experimentId: selectedExperiment.id, variant: picked.variant.id, template: template.name } : null);
+
+    const controller = new AbortController();
+    draftController.current = controller;
+    setIsDrafting(true);
+    setAiDraft('');
+
+    try {
+      await draftAIEmail({
+        prospect: { firstName, lastName, company, domain, email, title },
+        sender,
+        template,
+        // A test measures its variants as written, so the AI provider does not rewrite them.
+        provider: picked ? null : getDraftProvider(llmSettings),
+        signal: controller.signal,
+        onToken: (token) => setAiDraft(prev => prev + token),
+      });
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        alert(`Drafting failed: ${err.message}`);
+      }
+    } finally {
+      draftController.current = null;
+      setIsDrafting(false);
+    }
+  };
+
+  const handleCancelDraft = () => {
+    if (draftController.current) {
+      draftController.current.abort();
+    }
+  };
+
+  const handleSaveLLMSettings = (settings) => {
+    setLlmSettings(settings);
+    saveJSON('llmSettings', settings);
+    setShowLLMSettings(false);
+  };
+
+  const handleSavePipeline = (next) => {
+    setProspects(applyStageRenames(prospects, pipeline, next));
+    setPipeline(next);
+    saveJSON('pipeline', next);
+    const names = getStatuses(next);
+    setFilters({
+      ...filters,
+      statuses: filters.statuses.filter(s => names.includes(s)),
+      ...(next.fields.some(f => f.key === filters.field) ? {} : { field: '', fieldValue: '' }),
+    });
+    setShowPipelineSettings(false);
+  };
+
+  const handleSaveCompanionSettings = (settings) => {
+    setCompanionSettings(settings);
+    saveJSON('companionSettings', settings);
+    setShowCompanionSettings(false);
+  };
+
+  const handleChangeTemplates = (next) => {
+    setTemplates(next);
+    if (!next.some(t => t.id === selectedTemplateId)) {
+      setSelectedTemplateId(next[0]?.id ?? null);
+    }
+  };
+
+  const confirmDraftVariables = (action) => {
+    const errors = draftCheck.issues.filter(issue => issue.severity === 'error');
+    if (errors.length === 0) return true;
+    return window.confirm(`${errors.map(issue => issue.message).join('\n')}\n\n${action} anyway?`);
+  };
+
+  const handleCopyDraft = () => {
+    if (!confirmDraftVariables('Copy')) return;
+    handleCopyText(aiDraft);
+  };
+
+  /**
+   * Hands a draft over to the user's mail client, either by opening a
+   * prefilled mailto: link or by downloading it as an .eml file.
+   * @param {object} recipient - The firstName, lastName and email to address it to.
+   * @param {string} draft - The draft text, with the subject on a "Subject:" line.
+   * @param {string} format - "mailto" or "eml".
+   */
+  const exportDraft = (recipient, draft, format) => {
+    const { subject, body } = parseDraft(draft);
+    if (format === 'mailto') {
+      window.location.href = buildMailtoUrl({ to: recipient.email, subject, body });
+      return;
+    }
+    const eml = buildEml({
+      from: { address: sender.senderEmail, name: sender.senderName },
+      to: { address: recipient.email, name: `${recipient.firstName} ${recipient.lastName}`.trim() },
+      subject,
+      body,
+    });
+    downloadFile(eml, emlFilename(recipient, subject), 'message/rfc822');
+  };
+
+  const handleExportDraft = (format) => {
+    if (!confirmDraftVariables(format === 'mailto' ? 'Open' : 'Download')) return;
+    exportDraft({ firstName, lastName, email: email.trim() }, aiDraft, format);
   };
 
   const handleLogProspect = (e) => {
     e.preventDefault();
-    if (!email || !firstName || !company) {
-      alert('Please fill in at least First Name, Company, and Email to log a prospect.');
+    const fields = {
+      firstName: firstName.trim(),
+      lastName: lastName.trim(),
+      company: company.trim(),
+      domain: domain.trim(),
+      email: email.trim(),
+      title: title.trim(),
+      tags: parseTags(tags),
+      custom: Object.fromEntries(Object.entries(customValues).map(([key, value]) => [key, value.trim()]).filter(([, value]) => value)),
+      ...(checkedSources.length > 0 ? { checkedSources } : {}),
+    };
+    const errors = validateProspect(fields);
+    if (Object.keys(errors).length > 0) {
+      alert(Object.values(errors).join('\n'));
       return;
     }
-    const newProspect = {
-      id: Date.now(),
-      firstName,
-      lastName,
-      company,
-      domain,
-      email,
-      title,
-      status: 'Not Contacted',
-    };
-    setProspects([newProspect, ...prospects]);
+    const emailCheck = validateEmail(fields.email, { domain: fields.domain });
+    if (emailCheck.level === 'risky') {
+      const issues = emailCheck.issues.map(issue => `- ${issue.message}`).join('\n');
+      if (!window.confirm(`This email address looks risky:\n${issues}\n\nLog it anyway?`)) return;
+    }
+    let newProspect = createProspect(fields, undefined, statuses);
+    if (checkedSources.length > 0) {
+      newProspect = addEvent(newProspect, 'sources_checked', { sources: checkedSources });
+    }
+    const draftExperiment = draftVariant && experiments.find(x => x.id === draftVariant.experimentId);
+    if (aiDraft && !isDrafting && draftExperiment) {
+      newProspect = recordVariant(newProspect, draftExperiment, draftVariant.variant);
+      saveExperiment(countAssignment(draftExperiment));
+      newProspect = addEvent(newProspect, 'email_drafted', { template: draftVariant.template });
+    } else if (aiDraft && !isDrafting) {
+      const template = templates.find(t => t.id === selectedTemplateId);
+      newProspect = addEvent(newProspect, 'email_drafted', template ? { template: template.name } : {});
+    }
+    setLinkedProspects([newProspect, ...prospects]);
     
     // Clear the form
     setFirstName('');
@@ -171,7 +583,12 @@ export default function App() {
     setDomain('');
     setEmail('');
     setTitle('');
-    setAiGuesses('');
+    setTags('');
+    setCustomValues({});
+    setCheckedSources([]);
+    setDraftVariant(null);
+    setAiGuesses([]);
+    setGuessMessage('');
     setAiDraft('');
   };
 
@@ -183,10 +600,377 @@ export default function App() {
 
   const handleUpdateStatus = (id, newStatus) => {
     setProspects(prospects.map(p => 
-      p.id === id ? { ...p, status: newStatus } : p
+      p.id === id ? changeStatus(p, newStatus) : p
+    ));
+  };
+
+  const handleSaveEdit = (changes) => {
+    setLinkedProspects(prospects.map(p => {
+      if (p.id !== editingId) return p;
+      let edited = editProspect(p, changes, sender.senderName);
+      // A corrected address has not bounced yet.
+      if (edited.email !== p.email && edited.bouncedAt) {
+        const { bouncedAt: _bouncedAt, ...rest } = edited;
+        edited = rest;
+      }
+      // A new company name or domain may point at a different account.
+      if (edited.company !== p.company || edited.domain !== p.domain) {
+        const { companyId: _companyId, ...unlinked } = edited;
+        return unlinked;
+      }
+      return edited;
+    }));
+    setEditingId(null);
+  };
+
+  const handleUpdateCompany = (company) => {
+    const previous = companies.find(c => c.id === company.id);
+    setCompanies(companies.map(c => (c.id === company.id ? company : c)));
+    setProspects(syncCompanyToProspects(prospects, company, previous));
+  };
+
+  const handleMergeCompany = (sourceId, targetId) => {
+    const merged = mergeCompanies(prospects, companies, sourceId, targetId);
+    setCompanies(merged.companies);
+    setProspects(merged.prospects);
+  };
+
+  const handleAddNote = (id, text) => {
+    setProspects(prospects.map(p =>
+      p.id === id ? addEvent(p, 'note_added', { text }) : p
     ));
   };
   
+  const handleChangeFilters = (next) => {
+    setFilters(next);
+    setPage(1);
+  };
+
+  const handleBulkTag = (remove) => {
+    const tagList = parseTags(bulkTag);
+    if (tagList.length === 0) return;
+    const update = remove ? removeTags : addTags;
+    setProspects(update(prospects, selectedIds, tagList, sender.senderName));
+    setBulkTag('');
+  };
+
+  const handleSaveSegment = () => {
+    // The new segment is built from the filters alone, so it would drop the applied segment's rules.
+    if (filters.segmentId !== null) return;
+    const name = window.prompt('Name this segment:', filters.tag || filters.company || filters.statuses.join(', '));
+    if (!name || !name.trim()) return;
+    const segment = createSegment({ name: name.trim(), rules: rulesFromFilters(filters) });
+    setSegments([...segments, segment]);
+    const { search, field, fieldValue } = filters;
+    handleChangeFilters({ ...EMPTY_FILTERS, search, field, fieldValue, segmentId: segment.id });
+  };
+
+  const handleChangeSegments = (next) => {
+    setSegments(next);
+    if (filters.segmentId !== null && !next.some(s => s.id === filters.segmentId)) {
+      handleChangeFilters({ ...filters, segmentId: null });
+    }
+  };
+
+  const handleApplySegment = (segment) => {
+    handleChangeFilters({ ...EMPTY_FILTERS, segmentId: segment.id });
+    if (!showsFilters) setListView('all');
+    setSegmentManager(null);
+  };
+
+  const handleSegmentCampaign = (members) => {
+    setSegmentManager(null);
+    setCampaignProspects(members);
+  };
+
+  const handleSegmentExport = (segment) => {
+    setSegmentManager(null);
+    setExportSegmentId(segment.id);
+    setShowExport(true);
+  };
+
+  const handleChangePageSize = (size) => {
+    setPageSize(size);
+    saveJSON('pageSize', size);
+    setPage(1);
+  };
+
+  const handleAttachSequence = (id, sequenceId) => {
+    const sequence = sequences.find(s => s.id === sequenceId);
+    if (!sequence) return;
+    setProspects(prospects.map(p =>
+      p.id === id ? addEvent({ ...p, sequence: startSequence(sequence) }, 'sequence_started', { sequence: sequence.name }) : p
+    ));
+  };
+
+  const handleDetachSequence = (id) => {
+    if (!window.confirm('Remove this prospect from its sequence? Progress will be lost.')) return;
+    setProspects(prospects.map(p => {
+      if (p.id !== id) return p;
+      const { sequence, ...rest } = p;
+      return addEvent(rest, 'sequence_stopped', { sequence: sequence.name });
+    }));
+  };
+
+  const handleDraftStep = (prospect, stepIndex) => {
+    const step = prospect.sequence.steps[stepIndex];
+    const template = templates.find(t => t.id === step.templateId);
+    const initialDraft = template ? renderTemplate(template, buildVariables(prospect, sender)) : '';
+    if (template) {
+      setProspects(prospects.map(p =>
+        p.id === prospect.id ? addEvent(p, 'email_drafted', { template: template.name }) : p
+      ));
+    }
+    setCompose({ prospectId: prospect.id, stepIndex, title: `${step.name} for ${prospect.firstName}`, initialDraft, template: template?.name });
+  };
+
+  const handleComposeEmail = (prospect) => {
+    // A prospect already in another test keeps the variant they were given
+    // there, so that test's results stay whole.
+    const joined = selectedExperiment && prospect.experiment && experiments.find(x => x.id === prospect.experiment.id);
+    const experiment = selectedExperiment && (joined || selectedExperiment);
+    const picked = experiment ? pickVariant(experiment, getAssignedVariant(prospect, experiment)) : null;
+    const template = picked ? picked.template : templates.find(t => t.id === selectedTemplateId) || templates[0];
+    const initialDraft = template ? renderTemplate(template, buildVariables(prospect, sender)) : '';
+    if (template) {
+      setProspects(prospects.map(p =>
+        p.id === prospect.id ? addEvent(p, 'email_drafted', { template: template.name }) : p
+      ));
+    }
+    setCompose({
+      prospectId: prospect.id,
+      stepIndex: null,
+      title: `Email to ${prospect.firstName}`,
+      initialDraft,
+      template: template?.name,
+      variant: picked && template ? { experimentId: experiment.id, variant: picked.variant.id } : null,
+    });
+  };
+
+  /**
+   * Records the A/B test variant the open draft came from once it is copied,
+   * exported or sent. The test's round-robin position moves on the first
+   * time the prospect is given the variant, so drafts closed unused cost
+   * nothing.
+   * @returns {Function} Maps a prospect to the prospect with the variant recorded.
+   */
+  const recordComposeVariant = () => {
+    const experiment = compose.variant && experiments.find(x => x.id === compose.variant.experimentId);
+    if (!experiment) return p => p;
+    const { variant } = compose.variant;
+    const prospect = prospects.find(p => p.id === compose.prospectId);
+    if (prospect && getAssignedVariant(prospect, experiment) !== variant) saveExperiment(countAssignment(experiment));
+    return p => (p.id === compose.prospectId ? recordVariant(p, experiment, variant) : p);
+  };
+
+  const handleCopyComposeDraft = (text) => {
+    handleCopyText(text);
+    const withVariant = recordComposeVariant();
+    setProspects(prospects.map(p =>
+      p.id === compose.prospectId ? addEvent(withVariant(p), 'email_copied') : p
+    ));
+  };
+
+  const handleExportComposeDraft = (draft, format) => {
+    exportDraft(prospects.find(p => p.id === compose.prospectId), draft, format);
+    const withVariant = recordComposeVariant();
+    setProspects(prospects.map(p =>
+      p.id === compose.prospectId ? addEvent(withVariant(p), 'email_exported', { format }) : p
+    ));
+  };
+
+  const recordComposeSent = (message) => {
+    const now = new Date(message.sentAt || Date.now());
+    const details = { subject: message.subject, messageId: message.messageId, template: compose.template };
+    const withVariant = recordComposeVariant();
+    setProspects(current => current.map(p => {
+      if (p.id !== compose.prospectId) return p;
+      return compose.stepIndex === null
+        ? recordSentEmail(withVariant(p), details, now)
+        : markStepSent(withVariant(p), compose.stepIndex, now, details);
+    }));
+    setCompose(null);
+  };
+
+  const handleMarkComposeSent = (draft) => {
+    recordComposeSent({ subject: parseDraft(draft).subject });
+  };
+
+  const handleSendCompose = async (draft) => {
+    const prospect = prospects.find(p => p.id === compose.prospectId);
+    const { subject, body } = parseDraft(draft);
+    const result = await sendEmail(companionSettings, {
+      to: prospect.email,
+      toName: `${prospect.firstName} ${prospect.lastName}`.trim(),
+      fromName: sender.senderName,
+      subject,
+      text: body,
+    });
+    recordComposeSent({ subject, ...result });
+  };
+
+  const handleToggleSelect = (id) => {
+    const next = new Set(selectedIds);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setSelectedIds(next);
+  };
+
+  const handleSelectAll = (ids, selected) => {
+    const next = new Set(selectedIds);
+    ids.forEach(id => (selected ? next.add(id) : next.delete(id)));
+    setSelectedIds(next);
+  };
+
+  const updateCampaign = (id, update) => {
+    setCampaigns(current => current.map(c => (c.id === id ? update(c) : c)));
+  };
+
+  const handleQueueCampaign = ({ name, template, experiment, messages, throttle }) => {
+    const campaign = resumeCampaign(createCampaign({ name, template, experiment, messages, throttle }));
+    if (experiment) {
+      saveExperiment(experiment);
+      setProspects(recordVariants(prospects, experiment, messages));
+    }
+    setCampaigns(current => [campaign, ...current]);
+    setCampaignProspects(null);
+    setSelectedIds(new Set());
+    setListView('campaigns');
+  };
+
+  const handleExportSelectedEml = () => {
+    const template = templates.find(t => t.id === selectedTemplateId) || templates[0];
+    if (!selectedExperiment && !template) {
+      alert('Create a template first.');
+      setShowTemplateManager(true);
+      return;
+    }
+    const { experiment, messages } = selectedExperiment
+      ? buildVariantMessages(selectedExperiment, templates, selectedProspects, sender)
+      : { experiment: null, messages: buildMessages(template, selectedProspects, sender) };
+    const unresolved = messages.filter(m => m.unresolved.length > 0).length;
+    if (unresolved > 0 && !window.confirm(`${unresolved} of ${messages.length} drafts still have unresolved variables. Download anyway?`)) return;
+    downloadFile(createEmlArchive(messages, sender), `drafts-${new Date().toISOString().slice(0, 10)}.zip`, 'application/zip');
+    if (experiment) saveExperiment(experiment);
+    const drafted = new Map(messages.map(m => [m.prospect.id, m.template || template.name]));
+    setProspects((experiment ? recordVariants(prospects, experiment, messages) : prospects).map(p =>
+      drafted.has(p.id) ? addEvent(addEvent(p, 'email_drafted', { template: drafted.get(p.id) }), 'email_exported', { format: 'eml' }) : p
+    ));
+  };
+
+  const handleExportCampaign = (name, messages, experiment) => {
+    const slug = name.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '') || 'campaign';
+    downloadFile(createEmlArchive(messages, sender), `${slug}.zip`, 'application/zip');
+    if (experiment) {
+      saveExperiment(experiment);
+      setProspects(recordVariants(prospects, experiment, messages));
+    }
+  };
+
+  const handleNewExperiment = () => {
+    const variants = [];
+    templates.slice(0, 2).forEach(t => variants.push(createVariant(variants, t.id)));
+    setEditingExperiment({ experiment: createExperiment({ variants }), isNew: true });
+  };
+
+  const handleSaveExperiment = (experiment) => {
+    setExperiments(editingExperiment.isNew
+      ? [experiment, ...experiments]
+      : experiments.map(x => (x.id === experiment.id ? experiment : x)));
+    setEditingExperiment(null);
+  };
+
+  const handleToggleExperiment = (id) => {
+    setExperiments(experiments.map(x => (x.id === id ? { ...x, active: !x.active } : x)));
+  };
+
+  const handleDeleteExperiment = (id) => {
+    if (window.confirm('Delete this A/B test and its results? Prospects keep the variant recorded on their timelines.')) {
+      setExperiments(experiments.filter(x => x.id !== id));
+    }
+  };
+
+  const handleDeleteCampaign = (id) => {
+    if (window.confirm('Delete this campaign and its results? Emails already sent stay on the prospects\' timelines.')) {
+      setCampaigns(current => current.filter(c => c.id !== id));
+    }
+  };
+
+  const handleCheckInbox = () => {
+    setIsCheckingInbox(true);
+    fetchInboxEvents(companionSettings, inboxCursor.current, true)
+      .then(receiveInbox, (err) => setInboxError(err.message))
+      .finally(() => setIsCheckingInbox(false));
+  };
+
+  const handleResolveReview = (item, prospectId) => {
+    setProspects(prospects.map(p => (p.id === prospectId ? applyInboxEvent(p, item.event, item.kind, statuses) : p)));
+    setInboxReview(inboxReview.filter(i => i.id !== item.id));
+  };
+
+  const handleDismissReview = (id) => {
+    setInboxReview(inboxReview.filter(i => i.id !== id));
+  };
+
+  const handleImport = ({ prospects: merged, added, updated, skipped }) => {
+    setLinkedProspects(merged);
+    setShowImport(false);
+    alert(`Imported ${added} new, updated ${updated}, skipped ${skipped}.`);
+  };
+
+  const getSettings = () => ({ sender, emailPatterns, llmSettings, pageSize, companionSettings, pipeline, segments, searchProviders, experiments });
+
+  const handleBackup = () => {
+    const backup = createBackup({ prospects, companies, templates, sequences, settings: getSettings() });
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(JSON.stringify(backup, null, 2), `cold-mailer-backup-${date}.json`, 'application/json;charset=utf-8');
+  };
+
+  const handleRestore = (backup, options) => {
+    const restored = restoreBackup({ prospects, companies, templates, sequences, settings: getSettings() }, backup, options);
+    const { settings } = restored;
+
+    setLinkedProspects(restored.prospects, restored.companies);
+    setTemplates(restored.templates);
+    setSelectedTemplateId(restored.templates[0]?.id ?? null);
+    setSequences(restored.sequences);
+    if (settings.sender) setSender({ ...DEFAULT_SENDER, ...settings.sender });
+    if (Array.isArray(settings.emailPatterns)) {
+      setEmailPatterns(settings.emailPatterns);
+      saveJSON('emailPatterns', settings.emailPatterns);
+    }
+    if (settings.llmSettings) {
+      const next = { ...DEFAULT_LLM_SETTINGS, ...settings.llmSettings };
+      setLlmSettings(next);
+      saveJSON('llmSettings', next);
+    }
+    if (settings.pageSize) {
+      setPageSize(settings.pageSize);
+      saveJSON('pageSize', settings.pageSize);
+    }
+    if (settings.companionSettings) {
+      const next = { ...DEFAULT_COMPANION_SETTINGS, ...settings.companionSettings };
+      setCompanionSettings(next);
+      saveJSON('companionSettings', next);
+    }
+    if (settings.pipeline) {
+      const next = restorePipeline(settings.pipeline);
+      setPipeline(next);
+      saveJSON('pipeline', next);
+    }
+    if (Array.isArray(settings.searchProviders)) setSearchProviders(restoreProviders(settings.searchProviders));
+    if (Array.isArray(settings.experiments)) {
+      setExperiments(restoreExperiments(settings.experiments));
+      setSelectedExperimentId(null);
+    }
+    if (Array.isArray(settings.segments)) {
+      setSegments(restoreSegments(settings.segments));
+      setFilters(EMPTY_FILTERS);
+    }
+    setShowBackup(false);
+    alert(`Restored ${restored.prospects.length} prospects.`);
+  };
+
   const handleCopyText = (text) => {
     if (!text) return;
     navigator.clipboard.writeText(text).then(() => {
@@ -196,30 +980,13 @@ export default function App() {
     });
   };
 
-  const exportToCSV = () => {
+  const handleOpenExport = () => {
     if (prospects.length === 0) {
       alert('No prospects to export!');
       return;
     }
-
-    const headers = 'firstName,lastName,company,domain,email,title,status\n';
-    const csvContent = prospects
-      .map(p => 
-        `"${p.firstName}","${p.lastName}","${p.company}","${p.domain}","${p.email}","${p.title}","${p.status}"`
-      )
-      .join('\n');
-
-    const blob = new Blob([headers + csvContent], { type: 'text/csv;charset=utf-IS;,utf-8;' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    
-    link.setAttribute('href', url);
-    link.setAttribute('download', 'prospect_list.csv');
-    link.style.visibility = 'hidden';
-    
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    setExportSegmentId(filters.segmentId);
+    setShowExport(true);
   };
 
   // --- Render ---
@@ -293,16 +1060,40 @@ export default function App() {
           </div>
 
           {/* --- Magic Search Buttons --- */}
-          <div className="grid grid-cols-3 gap-2">
-            <button type="button" onClick={() => handleMagicSearch('linkedin')} className="flex items-center justify-center text-sm px-3 py-2 bg-blue-600 hover:bg-blue-700 rounded-md transition-all">
-              <Linkedin size={16} className="mr-1.5" /> LinkedIn
-            </button>
-            <button type="button" onClick={() => handleMagicSearch('google')} className="flex items-center justify-center text-sm px-3 py-2 bg-gray-600 hover:bg-gray-700 rounded-md transition-all">
-              <Search size={16} className="mr-1.5" /> Google
-            </button>
-            <button type="button" onClick={() => handleMagicSearch('domain')} className="flex items-center justify-center text-sm px-3 py-2 bg-gray-600 hover:bg-gray-700 rounded-md transition-all">
-              <ExternalLink size={16} className="mr-1.5" /> Domain
-            </button>
+          <div className="space-y-2">
+            <div className="grid grid-cols-3 gap-2">
+              {enabledProviders.map(provider => {
+                const missing = getMissingFields(provider, searchValues);
+                const checked = checkedSources.includes(provider.name);
+                return (
+                  <button
+                    key={provider.id}
+                    type="button"
+                    disabled={missing.length > 0}
+                    onClick={() => handleMagicSearch([provider])}
+                    title={missing.length > 0 ? `Needs ${missing.join(', ')}` : `Search ${provider.name}`}
+                    className={`flex items-center justify-center text-sm px-3 py-2 rounded-md transition-all disabled:opacity-40 disabled:cursor-not-allowed ${checked ? 'bg-green-800 hover:bg-green-700' : 'bg-gray-600 hover:bg-gray-700'}`}
+                  >
+                    {checked ? <Check size={16} className="mr-1.5 shrink-0" /> : <ExternalLink size={16} className="mr-1.5 shrink-0" />}
+                    <span className="truncate">{provider.name}</span>
+                  </button>
+                );
+              })}
+            </div>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                disabled={!enabledProviders.some(p => getMissingFields(p, searchValues).length === 0)}
+                onClick={() => handleMagicSearch(enabledProviders)}
+                title="Opens one tab per source; allow pop-ups for this site if only one opens"
+                className="flex-1 flex items-center justify-center text-sm px-3 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded-md transition-all"
+              >
+                <Search size={16} className="mr-1.5" /> Open All
+              </button>
+              <button type="button" onClick={() => setShowSearchProviders(true)} title="Manage search sources" className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all">
+                <Settings size={16} />
+              </button>
+            </div>
           </div>
 
           {/* --- AI Helper Tools --- */}
@@ -311,38 +1102,90 @@ export default function App() {
             
             {/* AI Guesses */}
             <div className="space-y-2">
-              <button type="button" onClick={handleGenerateAIGuesses} className="w-full flex items-center justify-center text-sm px-3 py-2 bg-indigo-600 hover:bg-indigo-700 rounded-md transition-all">
-                <Brain size={16} className="mr-1.5" /> Generate AI Guesses
-              </button>
-              <div className="relative">
-                <textarea
-                  readOnly
-                  value={aiGuesses}
-                  placeholder="AI-generated email patterns will appear here..."
-                  className="w-full h-28 p-3 bg-gray-800 rounded-md border border-gray-700 text-sm resize-none"
-                />
-                <button type="button" onClick={() => handleCopyText(aiGuesses)} className="absolute top-2 right-2 p-1 text-gray-400 hover:text-white bg-gray-700 rounded-md">
+              <div className="flex gap-2">
+                <button type="button" onClick={handleGenerateAIGuesses} className="flex-1 flex items-center justify-center text-sm px-3 py-2 bg-indigo-600 hover:bg-indigo-700 rounded-md transition-all">
+                  <Brain size={16} className="mr-1.5" /> Generate AI Guesses
+                </button>
+                <button type="button" onClick={() => handleCopyText(aiGuesses.map(g => g.email).join('\n'))} title="Copy all guesses" className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all">
                   <Copy size={16} />
                 </button>
+                <button type="button" onClick={() => setShowPatternEditor(true)} title="Edit email patterns" className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all">
+                  <Settings size={16} />
+                </button>
               </div>
+              {guessMessage && <p className="text-xs text-gray-400">{guessMessage}</p>}
+              {aiGuesses.length > 0 ? (
+                <EmailGuesses guesses={aiGuesses} onUse={setEmail} />
+              ) : (
+                <p className="p-3 bg-gray-800 rounded-md border border-gray-700 text-sm text-gray-500">
+                  AI-generated email patterns will appear here...
+                </p>
+              )}
             </div>
             
             {/* AI Draft */}
             <div className="space-y-2">
-              <button type="button" onClick={handleDraftAIEmail} className="w-full flex items-center justify-center text-sm px-3 py-2 bg-purple-600 hover:bg-purple-700 rounded-md transition-all">
-                <Mail size={16} className="mr-1.5" /> Draft AI Email
-              </button>
+              <div className="flex gap-2">
+                <select
+                  value={selectedExperiment ? `test-${selectedExperiment.id}` : selectedTemplateId ?? ''}
+                  onChange={(e) => {
+                    const [, testId] = e.target.value.match(/^test-(\d+)$/) || [];
+                    setSelectedExperimentId(testId ? Number(testId) : null);
+                    if (!testId) setSelectedTemplateId(Number(e.target.value));
+                  }}
+                  title={selectedExperiment ? 'Each draft fills in the next variant of this A/B test as written, without the AI provider' : undefined}
+                  className="flex-1 min-w-0 bg-gray-800 border border-gray-700 rounded-md px-2 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+                >
+                  {templates.map(t => (
+                    <option key={t.id} value={t.id}>{t.name}</option>
+                  ))}
+                  {activeExperiments.length > 0 && (
+                    <optgroup label="A/B Tests">
+                      {activeExperiments.map(x => (
+                        <option key={x.id} value={`test-${x.id}`}>{x.name}</option>
+                      ))}
+                    </optgroup>
+                  )}
+                </select>
+                <button type="button" onClick={() => setShowTemplateManager(true)} title="Manage templates" className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all">
+                  <Settings size={16} />
+                </button>
+              </div>
+              <div className="flex gap-2">
+                {isDrafting ? (
+                  <button type="button" onClick={handleCancelDraft} className="flex-1 flex items-center justify-center text-sm px-3 py-2 bg-red-600 hover:bg-red-700 rounded-md transition-all">
+                    <Square size={16} className="mr-1.5" /> Stop Drafting
+                  </button>
+                ) : (
+                  <button type="button" onClick={handleDraftAIEmail} className="flex-1 flex items-center justify-center text-sm px-3 py-2 bg-purple-600 hover:bg-purple-700 rounded-md transition-all">
+                    <Mail size={16} className="mr-1.5" /> Draft AI Email
+                  </button>
+                )}
+                <button type="button" onClick={() => setShowLLMSettings(true)} title="AI provider settings" className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all">
+                  <Brain size={16} />
+                </button>
+              </div>
               <div className="relative">
                 <textarea
                   value={aiDraft}
+                  readOnly={isDrafting}
                   onChange={(e) => setAiDraft(e.target.value)}
                   placeholder="AI-drafted cold email will appear here..."
                   className="w-full h-40 p-3 bg-gray-800 rounded-md border border-gray-700 text-sm"
                 />
-                <button type="button" onClick={() => handleCopyText(aiDraft)} className="absolute top-2 right-2 p-1 text-gray-400 hover:text-white bg-gray-700 rounded-md">
-                  <Copy size={16} />
-                </button>
+                <div className="absolute top-2 right-2 flex gap-1">
+                  <button type="button" disabled={!aiDraft || isDrafting} onClick={() => handleExportDraft('mailto')} title="Open in your mail app" className="p-1 text-gray-400 hover:text-white bg-gray-700 rounded-md disabled:opacity-50">
+                    <MailOpen size={16} />
+                  </button>
+                  <button type="button" disabled={!aiDraft || isDrafting} onClick={() => handleExportDraft('eml')} title="Download as an .eml file" className="p-1 text-gray-400 hover:text-white bg-gray-700 rounded-md disabled:opacity-50">
+                    <FileDown size={16} />
+                  </button>
+                  <button type="button" onClick={handleCopyDraft} title="Copy to clipboard" className="p-1 text-gray-400 hover:text-white bg-gray-700 rounded-md">
+                    <Copy size={16} />
+                  </button>
+                </div>
               </div>
+              {!isDrafting && <DraftCheck draft={aiDraft} result={draftCheck} />}
             </div>
           </div>
           
@@ -372,8 +1215,27 @@ export default function App() {
               value={email}
               onChange={(e) => setEmail(e.target.value)}
             />
+            <EmailCheck email={email} domain={domain} onUseSuggestion={setEmail} />
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Tags</label>
+            <input 
+              type="text" 
+              placeholder="e.g., fintech, Q4-campaign" 
+              className="w-full px-4 py-2 bg-gray-800 rounded-md border border-gray-700 focus:outline-none focus:ring-2 focus:ring-green-500"
+              value={tags}
+              onChange={(e) => setTags(e.target.value)}
+            />
+          </div>
+
+          <CustomFieldInputs
+            fields={pipeline.fields}
+            values={customValues}
+            onChange={setCustomValues}
+            inputClassName="w-full px-4 py-2 bg-gray-800 rounded-md border border-gray-700 focus:outline-none focus:ring-2 focus:ring-green-500"
+          />
+
           <button type="submit" className="w-full flex items-center justify-center px-4 py-3 bg-green-600 hover:bg-green-700 rounded-md text-lg font-bold transition-all">
             <Plus size={20} className="mr-2" /> Log Prospect
           </button>
@@ -386,11 +1248,37 @@ export default function App() {
         
         <div className="flex justify-between items-center mb-4">
           <h2 className="text-3xl font-bold text-white">Prospect List ({prospects.length})</h2>
-          <button onClick={exportToCSV} className="flex items-center px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-md transition-all">
-            <Download size={18} className="mr-2" /> Export to CSV
-          </button>
+          <div className="flex gap-2">
+            <button onClick={() => setShowPipelineSettings(true)} className="flex items-center px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-md transition-all">
+              <SlidersHorizontal size={18} className="mr-2" /> Pipeline
+            </button>
+            <button onClick={() => setShowCompanionSettings(true)} className="flex items-center px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-md transition-all">
+              <Server size={18} className="mr-2" /> Mail Server
+            </button>
+            <button onClick={() => setShowBackup(true)} className="flex items-center px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-md transition-all">
+              <Archive size={18} className="mr-2" /> Backup
+            </button>
+            <button onClick={() => setShowImport(true)} className="flex items-center px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-md transition-all">
+              <Upload size={18} className="mr-2" /> Import CSV
+            </button>
+            <button onClick={handleOpenExport} className="flex items-center px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-md transition-all">
+              <Download size={18} className="mr-2" /> Export
+            </button>
+          </div>
         </div>
         
+        {storageWarnings.length > 0 && (
+          <div className="mb-4 p-3 bg-yellow-900/40 border border-yellow-700 rounded-md text-sm text-yellow-200 flex items-start gap-2">
+            <AlertTriangle size={16} className="mt-0.5 shrink-0" />
+            <div className="flex-1 space-y-1">
+              {storageWarnings.map((warning, index) => <p key={index}>{warning}</p>)}
+            </div>
+            <button onClick={() => setStorageWarnings([])} className="p-0.5 text-yellow-300 hover:text-white" aria-label="Dismiss">
+              &times;
+            </button>
+          </div>
+        )}
+
         {/* --- How To Use Section --- */}
         <div className="mb-6">
           <button 
@@ -406,66 +1294,372 @@ export default function App() {
               <p><strong>2. Enter Info:</strong> Fill in the First Name, Last Name, and Company in the form.</p>
               <p><strong>3. Search:</strong> Use the "Magic Search" buttons to find their company domain and confirm their profile.</p>
               <p><strong>4. Generate:</strong> Use "Generate AI Guesses" to get likely email patterns.</p>
-              <p><strong>5. Verify:</strong> Use the "Gmail Hover Trick" or a free tool (like EXPERTE.com) to find the *real* email from the guess list.</p>
+              <p><strong>5. Verify:</strong> Pick the most likely guess. The app checks its syntax, flags typos, role inboxes (info@, sales@), disposable providers and addresses that don't match the company domain.</p>
               <p><strong>6. Log:</strong> Enter the Verified Email and Job Title, then click "Log Prospect".</p>
-              <p><strong>7. Draft & Send:</strong> Use "Draft AI Email" to get a template, copy it, and send your cold email!</p>
+              <p><strong>7. Draft & Send:</strong> Use "Draft AI Email" to get a template, copy it, and send your cold email! With the Mail Server set up, use the envelope button on a prospect to send it straight from here.</p>
             </div>
           )}
         </div>
 
-        {/* --- Prospect Table --- */}
-        <div className="w-full overflow-x-auto">
-          {prospects.length === 0 ? (
-            <div className="text-center py-10 bg-gray-800 rounded-md">
-              <FileText size={48} className="mx-auto text-gray-500" />
-              <p className="mt-4 text-gray-400">Your logged prospects will appear here.</p>
-            </div>
-          ) : (
-            <table className="min-w-full bg-gray-800 rounded-lg shadow">
-              <thead>
-                <tr className="border-b border-gray-700">
-                  <th className="text-left px-4 py-3 text-sm font-semibold text-gray-300 uppercase">Contact</th>
-                  <th className="text-left px-4 py-3 text-sm font-semibold text-gray-300 uppercase hidden md:table-cell">Company</th>
-                  <th className="text-left px-4 py-3 text-sm font-semibold text-gray-300 uppercase hidden lg:table-cell">Email</th>
-                  <th className="text-left px-4 py-3 text-sm font-semibold text-gray-300 uppercase">Status</th>
-                  <th className="text-right px-4 py-3 text-sm font-semibold text-gray-300 uppercase">Actions</th>
-                </tr>
-              </thead>
-              <tbody className="divide-y divide-gray-700">
-                {prospects.map(prospect => (
-                  <tr key={prospect.id} className="hover:bg-gray-700/50">
-                    <td className="px-4 py-3">
-                      <div className="font-medium text-white">{prospect.firstName} {prospect.lastName}</div>
-                      <div className="text-sm text-gray-400 md:hidden">{prospect.company}</div>
-                      <div className="text-sm text-gray-400">{prospect.title}</div>
-                    </td>
-                    <td className="px-4 py-3 text-sm text-gray-300 hidden md:table-cell">{prospect.company}</td>
-                    <td className="px-4 py-3 text-sm text-indigo-300 hidden lg:table-cell">{prospect.email}</td>
-                    <td className="px-4 py-3">
-                      <select 
-                        value={prospect.status}
-                        onChange={(e) => handleUpdateStatus(prospect.id, e.target.value)}
-                        className="bg-gray-700 border border-gray-600 rounded-md px-2 py-1 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
-                      >
-                        <option>Not Contacted</option>
-                        <option>Contacted</option>
-                        <option>Replied</option>
-                        <option>Meeting Set</option>
-                        <option>Closed</option>
-                      </select>
-                    </td>
-                    <td className="px-4 py-3 text-right">
-                      <button onClick={() => handleDeleteProspect(prospect.id)} className="text-gray-400 hover:text-red-500 p-1">
-                        <Trash2 size={18} />
-                      </button>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          )}
+        {/* --- List View Tabs --- */}
+        <div className="flex items-center gap-2 mb-4">
+          <button
+            onClick={() => { setListView('all'); setPage(1); }}
+            className={`px-3 py-1.5 text-sm rounded-md transition-all ${listView === 'all' ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+          >
+            All Prospects
+          </button>
+          <button
+            onClick={() => { setListView('due'); setPage(1); }}
+            className={`px-3 py-1.5 text-sm rounded-md transition-all ${listView === 'due' ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+          >
+            Due Today ({dueProspects.length})
+          </button>
+          <button
+            onClick={() => setListView('board')}
+            className={`px-3 py-1.5 text-sm rounded-md transition-all ${listView === 'board' ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+          >
+            Board
+          </button>
+          <button
+            onClick={() => setListView('companies')}
+            className={`px-3 py-1.5 text-sm rounded-md transition-all ${listView === 'companies' ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+          >
+            Companies ({companies.length})
+          </button>
+          <button
+            onClick={() => setListView('campaigns')}
+            className={`px-3 py-1.5 text-sm rounded-md transition-all ${listView === 'campaigns' ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+          >
+            Campaigns ({campaigns.length})
+          </button>
+          <button
+            onClick={() => setListView('experiments')}
+            className={`px-3 py-1.5 text-sm rounded-md transition-all ${listView === 'experiments' ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+          >
+            A/B Tests ({experiments.length})
+          </button>
+          <button
+            onClick={() => setListView('dashboard')}
+            className={`px-3 py-1.5 text-sm rounded-md transition-all ${listView === 'dashboard' ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+          >
+            Dashboard
+          </button>
+          <button
+            onClick={() => setListView('inbox')}
+            className={`px-3 py-1.5 text-sm rounded-md transition-all ${listView === 'inbox' ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+          >
+            Inbox Review ({inboxReview.length})
+          </button>
+          <button onClick={() => setShowSequenceManager(true)} className="ml-auto flex items-center px-3 py-1.5 text-sm bg-gray-800 text-gray-300 hover:bg-gray-700 rounded-md transition-all">
+            <ListOrdered size={16} className="mr-1.5" /> Sequences
+          </button>
         </div>
+
+        {listView === 'companies' && (
+          <CompaniesView
+            companies={companies}
+            prospects={prospects}
+            emailPatterns={emailPatterns}
+            onUpdateCompany={handleUpdateCompany}
+            onMergeCompany={handleMergeCompany}
+          />
+        )}
+
+        {listView === 'campaigns' && (
+          <CampaignsView
+            campaigns={campaigns}
+            canSend={companionSettings.enabled}
+            onResume={(id) => updateCampaign(id, resumeCampaign)}
+            onPause={(id) => updateCampaign(id, pauseCampaign)}
+            onCancel={(id) => updateCampaign(id, cancelCampaign)}
+            onRetry={(id) => updateCampaign(id, retryFailed)}
+            onDelete={handleDeleteCampaign}
+          />
+        )}
+
+        {listView === 'experiments' && (
+          <ExperimentsView
+            experiments={experiments}
+            prospects={prospects}
+            templates={templates}
+            onNew={handleNewExperiment}
+            onEdit={(id) => setEditingExperiment({ experiment: experiments.find(x => x.id === id), isNew: false })}
+            onToggle={handleToggleExperiment}
+            onDelete={handleDeleteExperiment}
+          />
+        )}
+
+        {listView === 'dashboard' && <DashboardView prospects={prospects} pipeline={pipeline} />}
+
+        {listView === 'inbox' && (
+          <InboxView
+            review={inboxReview}
+            prospects={prospects}
+            status={inboxStatus}
+            error={inboxError}
+            canCheck={companionSettings.enabled}
+            isChecking={isCheckingInbox}
+            onCheck={handleCheckInbox}
+            onResolve={handleResolveReview}
+            onDismiss={handleDismissReview}
+          />
+        )}
+
+        {showsFilters && prospects.length > 0 && (
+          <ProspectToolbar
+            filters={filters}
+            companies={companyNames}
+            tags={tagNames}
+            pipeline={pipeline}
+            segments={segments}
+            onChange={handleChangeFilters}
+            onSaveSegment={handleSaveSegment}
+            onManageSegments={() => setSegmentManager({ initialId: filters.segmentId })}
+          />
+        )}
+
+        {showsProspects && selectedProspects.length > 0 && (
+          <SelectionBar
+            count={selectedProspects.length}
+            matchingCount={visibleProspects.length}
+            onSelectMatching={() => setSelectedIds(new Set(visibleProspects.map(p => p.id)))}
+            onClear={() => setSelectedIds(new Set())}
+          >
+            <div className="flex">
+              <input
+                type="text"
+                list="bulk-tags"
+                value={bulkTag}
+                onChange={(e) => setBulkTag(e.target.value)}
+                placeholder="Tags"
+                aria-label="Tags to add or remove"
+                className="w-32 px-2 py-1 bg-gray-800 border border-gray-700 rounded-l-md text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+              <datalist id="bulk-tags">
+                {tagNames.map(tag => <option key={tag} value={tag} />)}
+              </datalist>
+              <button type="button" disabled={!bulkTag.trim()} onClick={() => handleBulkTag(false)} className="flex items-center px-2 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white border-l border-gray-600">
+                <Tag size={14} className="mr-1" /> Add
+              </button>
+              <button type="button" disabled={!bulkTag.trim()} onClick={() => handleBulkTag(true)} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white border-l border-gray-600 rounded-r-md">
+                Remove
+              </button>
+            </div>
+            <button type="button" onClick={handleExportSelectedEml} title="Download a draft for each selected prospect from the current template" className="flex items-center px-3 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded-md transition-all">
+              <FileArchive size={16} className="mr-1.5" /> Drafts (.eml)
+            </button>
+            <button type="button" onClick={() => setCampaignProspects(selectedProspects)} className="flex items-center px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded-md transition-all">
+              <Megaphone size={16} className="mr-1.5" /> Start Campaign
+            </button>
+          </SelectionBar>
+        )}
+
+        {/* --- Prospect Table --- */}
+        {showsProspects && (
+          <div className="w-full overflow-x-auto">
+            {visibleProspects.length === 0 ? (
+              <div className="text-center py-10 bg-gray-800 rounded-md">
+                <FileText size={48} className="mx-auto text-gray-500" />
+                <p className="mt-4 text-gray-400">
+                  {hasActiveFilters(filters) && 'No prospects match your filters.'}
+                  {!isLoaded && 'Loading your prospects…'}
+                  {isLoaded && !hasActiveFilters(filters) && (listView === 'due' ? 'No follow-ups are due today.' : 'Your logged prospects will appear here.')}
+                </p>
+              </div>
+            ) : (
+              <ProspectTable
+                prospects={currentPage.items}
+                sequences={sequences}
+                pipeline={pipeline}
+                onUpdateStatus={handleUpdateStatus}
+                onDelete={handleDeleteProspect}
+                onAttachSequence={handleAttachSequence}
+                onDetachSequence={handleDetachSequence}
+                onDraftStep={handleDraftStep}
+                onAddNote={handleAddNote}
+                onEdit={(prospect) => setEditingId(prospect.id)}
+                onCompose={handleComposeEmail}
+                selectedIds={selectedIds}
+                onToggleSelect={handleToggleSelect}
+                onSelectAll={handleSelectAll}
+                sort={sort}
+                onSort={setSort}
+              />
+            )}
+          </div>
+        )}
+        {listView === 'board' && (
+          <BoardView
+            prospects={visibleProspects}
+            pipeline={pipeline}
+            onUpdateStatus={handleUpdateStatus}
+            onEdit={(prospect) => setEditingId(prospect.id)}
+          />
+        )}
+
+        {showsProspects && visibleProspects.length > 0 && (
+          <Pagination
+            page={currentPage.page}
+            pageCount={currentPage.pageCount}
+            pageSize={pageSize}
+            total={visibleProspects.length}
+            onPageChange={setPage}
+            onPageSizeChange={handleChangePageSize}
+          />
+        )}
       </div>
+
+      {showImport && (
+        <ImportCSVModal
+          prospects={prospects}
+          pipeline={pipeline}
+          onImport={handleImport}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
+      {showPatternEditor && (
+        <PatternEditor
+          patterns={emailPatterns}
+          onSave={handleSavePatterns}
+          onClose={() => setShowPatternEditor(false)}
+        />
+      )}
+
+      {showTemplateManager && (
+        <TemplateManager
+          templates={templates}
+          sender={sender}
+          onChangeTemplates={handleChangeTemplates}
+          onChangeSender={setSender}
+          onClose={() => setShowTemplateManager(false)}
+        />
+      )}
+
+      {showLLMSettings && (
+        <LLMSettingsModal
+          settings={llmSettings}
+          onSave={handleSaveLLMSettings}
+          onClose={() => setShowLLMSettings(false)}
+        />
+      )}
+
+      {campaignProspects && (
+        <CampaignModal
+          prospects={campaignProspects}
+          templates={templates}
+          initialTemplateId={selectedTemplateId}
+          experiments={activeExperiments}
+          initialExperimentId={selectedExperiment?.id ?? null}
+          sender={sender}
+          canSend={companionSettings.enabled}
+          onQueue={handleQueueCampaign}
+          onExport={handleExportCampaign}
+          onClose={() => setCampaignProspects(null)}
+        />
+      )}
+
+      {showCompanionSettings && (
+        <CompanionSettingsModal
+          settings={companionSettings}
+          onSave={handleSaveCompanionSettings}
+          onClose={() => setShowCompanionSettings(false)}
+        />
+      )}
+
+      {showSequenceManager && (
+        <SequenceManager
+          sequences={sequences}
+          templates={templates}
+          onChange={setSequences}
+          onClose={() => setShowSequenceManager(false)}
+        />
+      )}
+
+      {compose && (
+        <ComposeModal
+          prospect={prospects.find(p => p.id === compose.prospectId)}
+          title={compose.title}
+          initialDraft={compose.initialDraft}
+          onCopy={handleCopyComposeDraft}
+          onExport={handleExportComposeDraft}
+          onMarkSent={handleMarkComposeSent}
+          onSend={companionSettings.enabled ? handleSendCompose : undefined}
+          onClose={() => setCompose(null)}
+        />
+      )}
+
+      {editingId !== null && (
+        <EditProspectModal
+          prospect={prospects.find(p => p.id === editingId)}
+          pipeline={pipeline}
+          onSave={handleSaveEdit}
+          onClose={() => setEditingId(null)}
+        />
+      )}
+
+      {showBackup && (
+        <BackupModal
+          prospects={prospects}
+          onBackup={handleBackup}
+          onRestore={handleRestore}
+          onClose={() => setShowBackup(false)}
+        />
+      )}
+
+      {showExport && (
+        <ExportModal
+          prospects={prospects}
+          pipeline={pipeline}
+          segments={segments}
+          initialSegmentId={exportSegmentId}
+          onClose={() => setShowExport(false)}
+        />
+      )}
+
+      {editingExperiment && (
+        <ExperimentModal
+          experiment={editingExperiment.experiment}
+          templates={templates}
+          isNew={editingExperiment.isNew}
+          onSave={handleSaveExperiment}
+          onClose={() => setEditingExperiment(null)}
+        />
+      )}
+
+      {showSearchProviders && (
+        <SearchProvidersModal
+          providers={searchProviders}
+          onSave={handleSaveSearchProviders}
+          onClose={() => setShowSearchProviders(false)}
+        />
+      )}
+
+      {segmentManager && (
+        <SegmentManager
+          segments={segments}
+          prospects={prospects}
+          pipeline={pipeline}
+          companies={companyNames}
+          tags={tagNames}
+          initialId={segmentManager.initialId}
+          onChange={handleChangeSegments}
+          onApply={handleApplySegment}
+          onCampaign={handleSegmentCampaign}
+          onExport={handleSegmentExport}
+          onClose={() => setSegmentManager(null)}
+        />
+      )}
+
+      {showPipelineSettings && (
+        <PipelineSettingsModal
+          pipeline={pipeline}
+          statusCounts={statusCounts}
+          onSave={handleSavePipeline}
+          onClose={() => setShowPipelineSettings(false)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,152 @@
+import React, { useState, useMemo } from 'react';
+import { Download, Upload, AlertTriangle } from 'lucide-react';
+import Modal from './Modal.jsx';
+import { parseBackup, diffProspects } from '../lib/backup.js';
+import { formatDateTime } from '../lib/dates.js';
+
+/**
+ * Downloads a backup of the workspace, or restores one after showing what
+ * would change.
+ * @param {object} props
+ * @param {object[]} props.prospects - The current prospects, to compare against.
+ * @param {Function} props.onBackup - Called to download a backup.
+ * @param {Function} props.onRestore - Called with the parsed backup and the
+ *   chosen mode and conflict handling.
+ * @param {Function} props.onClose - Called when the dialog should close.
+ */
+export default function BackupModal({ prospects, onBackup, onRestore, onClose }) {
+  const [parsed, setParsed] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [error, setError] = useState('');
+  const [mode, setMode] = useState('merge');
+  const [conflicts, setConflicts] = useState('keep');
+
+  const diff = useMemo(
+    () => (parsed ? diffProspects(prospects, parsed.backup.prospects) : null),
+    [parsed, prospects]
+  );
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then(text => {
+      try {
+        setParsed(parseBackup(text));
+        setFileName(file.name);
+        setError('');
+      } catch (err) {
+        setParsed(null);
+        setError(err.message);
+      }
+    }, () => setError('Could not read that file.'));
+  };
+
+  const handleRestore = () => {
+    if (mode === 'replace' && !window.confirm('Replace ALL current prospects, templates and sequences with this backup?')) return;
+    onRestore(parsed.backup, { mode, conflicts });
+  };
+
+  return (
+    <Modal
+      title="Backup & Restore"
+      onClose={onClose}
+      footer={(
+        <>
+          <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all">
+            Close
+          </button>
+          <button
+            type="button"
+            onClick={handleRestore}
+            disabled={!parsed}
+            className="flex items-center px-4 py-2 bg-green-600 hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-md transition-all"
+          >
+            <Upload size={18} className="mr-2" /> {mode === 'replace' ? 'Replace Workspace' : 'Merge Backup'}
+          </button>
+        </>
+      )}
+    >
+      <section className="space-y-2">
+        <h3 className="text-lg font-semibold text-indigo-300">Backup</h3>
+        <p className="text-sm text-gray-400">Saves prospects with their history, companies, templates, sequences and settings to one JSON file. Your AI provider API key, campaigns and the inbox review queue are not included.</p>
+        <button type="button" onClick={onBackup} className="flex items-center px-4 py-2 bg-indigo-600 hover:bg-indigo-700 rounded-md transition-all">
+          <Download size={18} className="mr-2" /> Download Backup
+        </button>
+      </section>
+
+      <section className="space-y-3 pt-4 border-t border-gray-700">
+        <h3 className="text-lg font-semibold text-green-300">Restore</h3>
+        <div className="flex flex-wrap items-center gap-4">
+          <label className="flex items-center px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-md cursor-pointer transition-all">
+            <Upload size={18} className="mr-2" /> Choose Backup File
+            <input type="file" accept=".json,application/json" className="hidden" onChange={handleFileChange} />
+          </label>
+          {fileName && <span className="text-sm text-gray-300">{fileName}</span>}
+        </div>
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        {parsed && diff && (
+          <>
+            <p className="text-sm text-gray-400">
+              Backup from {formatDateTime(parsed.backup.exportedAt) || 'an unknown date'}: {parsed.backup.prospects.length} prospects,
+              {' '}{parsed.backup.templates.length} templates, {parsed.backup.sequences.length} sequences.
+            </p>
+            {parsed.skipped > 0 && (
+              <p className="flex items-center text-sm text-yellow-400">
+                <AlertTriangle size={16} className="mr-2" /> {parsed.skipped} invalid entries in the file will be skipped.
+              </p>
+            )}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-center">
+              {[
+                ['New', diff.added.length, 'text-green-400'],
+                ['Updated', diff.updated.length, 'text-indigo-300'],
+                ['Conflicting', diff.conflicts.length, 'text-yellow-400'],
+                ['Unchanged', diff.unchanged, 'text-gray-400'],
+              ].map(([label, count, color]) => (
+                <div key={label} className="p-3 bg-gray-800 rounded-md">
+                  <div className={`text-2xl font-bold ${color}`}>{count}</div>
+                  <div className="text-xs text-gray-400 uppercase">{label}</div>
+                </div>
+              ))}
+            </div>
+
+            {diff.conflicts.length > 0 && (
+              <div className="text-sm">
+                <p className="text-gray-300 mb-1">Changed here since the backup was made:</p>
+                <ul className="max-h-32 overflow-y-auto list-disc pl-5 text-gray-400">
+                  {diff.conflicts.map(({ current }) => (
+                    <li key={current.id}>{current.firstName} {current.lastName} ({current.email})</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="flex flex-wrap gap-6 text-sm text-gray-300">
+              <label className="flex items-center gap-2">
+                <input type="radio" name="restore-mode" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                Merge into current data
+              </label>
+              <label className="flex items-center gap-2">
+                <input type="radio" name="restore-mode" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                Replace everything
+              </label>
+            </div>
+            {mode === 'merge' && diff.conflicts.length > 0 && (
+              <label className="flex items-center gap-2 text-sm text-gray-300">
+                Conflicts:
+                <select
+                  value={conflicts}
+                  onChange={(e) => setConflicts(e.target.value)}
+                  className="bg-gray-700 border border-gray-600 rounded-md px-2 py-1 text-sm text-white"
+                >
+                  <option value="keep">Keep current version</option>
+                  <option value="overwrite">Use backup version</option>
+                </select>
+              </label>
+            )}
+          </>
+        )}
+      </section>
+    </Modal>
+  );
+}
@@ -0,0 +1,168 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Pencil } from 'lucide-react';
+import { getStatuses, getStageColor } from '../lib/pipeline.js';
+
+// Rendering thousands of cards at once makes dragging stutter, so each
+// column shows a page of cards and grows on request.
+const COLUMN_PAGE_SIZE = 50;
+
+/**
+ * A draggable prospect card. Arrow keys move it between columns.
+ */
+function Card({ prospect, isDragging, onDragStart, onDragEnd, onKeyDown, onEdit }) {
+  const name = `${prospect.firstName} ${prospect.lastName}`.trim();
+
+  return (
+    <li
+      tabIndex={0}
+      draggable
+      data-prospect-id={prospect.id}
+      onDragStart={(e) => onDragStart(e, prospect)}
+      onDragEnd={onDragEnd}
+      onKeyDown={(e) => onKeyDown(e, prospect)}
+      aria-label={`${name}, ${prospect.company}. Press left or right arrow to change status.`}
+      className={`group p-3 bg-gray-700 rounded-md cursor-grab focus:outline-none focus:ring-2 focus:ring-indigo-500 ${isDragging ? 'opacity-40' : 'hover:bg-gray-600'}`}
+    >
+      <div className="flex items-start justify-between gap-2">
+        <span className="font-medium text-white">{name}</span>
+        <button
+          type="button"
+          onClick={() => onEdit(prospect)}
+          className="p-0.5 text-gray-400 opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 hover:text-indigo-400"
+          title="Edit"
+          tabIndex={-1}
+        >
+          <Pencil size={14} />
+        </button>
+      </div>
+      <div className="text-sm text-gray-300">{prospect.company}</div>
+      {prospect.title && <div className="text-xs text-gray-400">{prospect.title}</div>}
+    </li>
+  );
+}
+
+/**
+ * Shows prospects as cards in one column per status. Cards are dragged
+ * between columns, or focused and moved with the arrow keys, to change
+ * their status.
+ * @param {object} props
+ * @param {object[]} props.prospects - The prospects to show, in display order.
+ * @param {object} props.pipeline - The pipeline stages and custom fields.
+ * @param {Function} props.onUpdateStatus - Called with a prospect id and new status.
+ * @param {Function} props.onEdit - Called with a prospect to open it for editing.
+ */
+export default function BoardView({ prospects, pipeline, onUpdateStatus, onEdit }) {
+  const [draggingId, setDraggingId] = useState(null);
+  const [overStatus, setOverStatus] = useState(null);
+  const [limits, setLimits] = useState({});
+  const [announcement, setAnnouncement] = useState('');
+  const focusIdRef = useRef(null);
+  const boardRef = useRef(null);
+
+  const statuses = getStatuses(pipeline);
+  // Prospects left in a stage that was since removed get a column of their own.
+  const columns = useMemo(() => {
+    const names = getStatuses(pipeline);
+    const orphaned = [...new Set(prospects.map(p => p.status))].filter(status => !names.includes(status));
+    return [...names, ...orphaned].map(status => ({
+      status,
+      prospects: prospects.filter(p => p.status === status),
+    }));
+  }, [prospects, pipeline]);
+
+  // A moved card is rendered fresh in its new column, so focus follows it there.
+  useEffect(() => {
+    if (focusIdRef.current === null) return;
+    const card = boardRef.current.querySelector(`[data-prospect-id="${focusIdRef.current}"]`);
+    if (card) card.focus();
+    focusIdRef.current = null;
+  }, [prospects]);
+
+  const move = (prospect, status) => {
+    if (status === prospect.status) return;
+    onUpdateStatus(prospect.id, status);
+    setAnnouncement(`Moved ${prospect.firstName} ${prospect.lastName} to ${status}.`);
+  };
+
+  const handleDragStart = (e, prospect) => {
+    e.dataTransfer.setData('text/plain', String(prospect.id));
+    e.dataTransfer.effectAllowed = 'move';
+    setDraggingId(prospect.id);
+  };
+
+  const handleDragEnd = () => {
+    setDraggingId(null);
+    setOverStatus(null);
+  };
+
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    const id = Number(e.dataTransfer.getData('text/plain'));
+    const prospect = prospects.find(p => p.id === id);
+    if (prospect) move(prospect, status);
+    handleDragEnd();
+  };
+
+  const handleKeyDown = (e, prospect) => {
+    const offset = { ArrowLeft: -1, ArrowRight: 1 }[e.key];
+    if (e.key === 'Enter') {
+      onEdit(prospect);
+      return;
+    }
+    if (!offset) return;
+    e.preventDefault();
+    const target = statuses[statuses.indexOf(prospect.status) + offset];
+    if (target) {
+      move(prospect, target);
+      focusIdRef.current = prospect.id;
+    }
+  };
+
+  return (
+    <div ref={boardRef}>
+      <p className="sr-only" aria-live="polite">{announcement}</p>
+      <div className="flex gap-3 overflow-x-auto pb-2">
+        {columns.map(({ status, prospects: cards }) => {
+          const limit = limits[status] || COLUMN_PAGE_SIZE;
+          return (
+            <section
+              key={status}
+              onDragOver={(e) => { e.preventDefault(); setOverStatus(status); }}
+              onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setOverStatus(null); }}
+              onDrop={(e) => handleDrop(e, status)}
+              className={`flex-1 min-w-56 p-2 rounded-md border ${overStatus === status ? 'bg-indigo-900/30 border-indigo-500' : 'bg-gray-800 border-transparent'}`}
+              aria-label={`${status} (${cards.length})`}
+            >
+              <h3 className="flex items-center px-1 mb-2 text-sm font-semibold text-gray-300 uppercase">
+                <span className={`w-2 h-2 mr-2 rounded-full ${getStageColor(pipeline, status).dot}`} />
+                {status} <span className="ml-auto text-gray-500">{cards.length}</span>
+              </h3>
+              <ul className="space-y-2 min-h-16">
+                {cards.slice(0, limit).map(prospect => (
+                  <Card
+                    key={prospect.id}
+                    prospect={prospect}
+                    isDragging={draggingId === prospect.id}
+                    onDragStart={handleDragStart}
+                    onDragEnd={handleDragEnd}
+                    onKeyDown={handleKeyDown}
+                    onEdit={onEdit}
+                  />
+                ))}
+              </ul>
+              {cards.length > limit && (
+                <button
+                  type="button"
+                  onClick={() => setLimits({ ...limits, [status]: limit + COLUMN_PAGE_SIZE })}
+                  className="w-full mt-2 py-1 text-xs text-gray-400 bg-gray-700/50 hover:bg-gray-700 rounded-md"
+                >
+                  Show {Math.min(COLUMN_PAGE_SIZE, cards.length - limit)} more
+                </button>
+              )}
+            </section>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+import React, { useMemo, useState } from 'react';
+import { Send, FileArchive, AlertTriangle, ChevronDown, ChevronRight } from 'lucide-react';
+import Modal from './Modal.jsx';
+import { DEFAULT_THROTTLE, buildMessages } from '../lib/campaigns.js';
+import { buildVariantMessages } from '../lib/experiments.js';
+
+/**
+ * Sets up a mail-merge campaign for the selected prospects: pick a
+ * template or an A/B test, preview every personalized message, then queue
+ * the messages for throttled sending or download them as .eml files.
+ * @param {object} props
+ * @param {object[]} props.prospects - The selected prospects.
+ * @param {object[]} props.templates - The available templates.
+ * @param {number} props.initialTemplateId - The template selected at first.
+ * @param {object[]} props.experiments - The active A/B tests.
+ * @param {(number|null)} props.initialExperimentId - The A/B test selected at
+ *   first, used instead of the template.
+ * @param {object} props.sender - The sender profile.
+ * @param {boolean} props.canSend - Whether the companion server is enabled.
+ * @param {Function} props.onQueue - Called with the name, template or A/B
+ *   test, included messages and throttle.
+ * @param {Function} props.onExport - Called with the name, included messages
+ *   and the A/B test they came from, if any.
+ * @param {Function} props.onClose - Called when the dialog should close.
+ */
+export default function CampaignModal({ prospects, templates, initialTemplateId, experiments, initialExperimentId, sender, canSend, onQueue, onExport, onClose }) {
+  const [templateId, setTemplateId] = useState(initialTemplateId ?? templates[0]?.id);
+  const [experimentId, setExperimentId] = useState(initialExperimentId);
+  const [name, setName] = useState('');
+  const [throttle, setThrottle] = useState(DEFAULT_THROTTLE);
+  const [excluded, setExcluded] = useState(() => new Set());
+  const [expandedId, setExpandedId] = useState(null);
+
+  const template = templates.find(t => t.id === templateId);
+  const selectedExperiment = experiments.find(x => x.id === experimentId);
+  // Variants are assigned once for the preview, and the messages queued or
+  // exported are exactly the ones shown.
+  const { experiment, messages } = useMemo(() => {
+    if (selectedExperiment) return buildVariantMessages(selectedExperiment, templates, prospects, sender);
+    return { experiment: null, messages: template ? buildMessages(template, prospects, sender) : [] };
+  }, [selectedExperiment, templates, template, prospects, sender]);
+  const source = experiment || template;
+  const included = messages.filter(m => !excluded.has(m.prospect.id));
+  const withIssues = included.filter(m => m.unresolved.length > 0 || m.emailCheck.level !== 'valid').length;
+
+  const toggleExcluded = (id) => {
+    const next = new Set(excluded);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setExcluded(next);
+  };
+
+  const updateThrottle = (field, value) => setThrottle({ ...throttle, [field]: Math.max(0, Number(value) || 0) });
+  const inputClass = 'w-full px-3 py-2 bg-gray-800 rounded-md border border-gray-700 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <Modal
+      title={`Campaign to ${prospects.length} prospect${prospects.length === 1 ? '' : 's'}`}
+      onClose={onClose}
+      footer={(
+        <>
+          <button
+            type="button"
+            onClick={() => onExport(name || source.name, included, experiment)}
+            disabled={included.length === 0}
+            className="flex items-center px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all disabled:opacity-50"
+          >
+            <FileArchive size={18} className="mr-2" /> Export .eml (ZIP)
+          </button>
+          <button
+            type="button"
+            onClick={() => onQueue({ name, template, experiment, messages: included, throttle })}
+            disabled={!canSend || included.length === 0}
+            title={canSend ? undefined : 'Set up the Mail Server to send campaigns'}
+            className="flex items-center px-4 py-2 bg-green-600 hover:bg-green-700 rounded-md transition-all disabled:opacity-50"
+          >
+            <Send size={18} className="mr-2" /> Queue {included.length} Email{included.length === 1 ? '' : 's'}
+          </button>
+        </>
+      )}
+    >
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Template</label>
+          <select
+            value={experiment ? `test-${experiment.id}` : templateId ?? ''}
+            onChange={(e) => {
+              const [, testId] = e.target.value.match(/^test-(\d+)$/) || [];
+              setExperimentId(testId ? Number(testId) : null);
+              if (!testId) setTemplateId(Number(e.target.value));
+            }}
+            className={inputClass}
+          >
+            {templates.map(t => (
+              <option key={t.id} value={t.id}>{t.name}</option>
+            ))}
+            {experiments.length > 0 && (
+              <optgroup label="A/B Tests">
+                {experiments.map(x => (
+                  <option key={x.id} value={`test-${x.id}`}>{x.name}</option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Campaign Name</label>
+          <input type="text" value={name} placeholder={source?.name} onChange={(e) => setName(e.target.value)} className={inputClass} />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Max per Hour</label>
+          <input type="number" min="1" value={throttle.perHour} onChange={(e) => updateThrottle('perHour', e.target.value)} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Min Delay (s)</label>
+          <input type="number" min="0" value={throttle.minDelaySeconds} onChange={(e) => updateThrottle('minDelaySeconds', e.target.value)} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Max Delay (s)</label>
+          <input type="number" min="0" value={throttle.maxDelaySeconds} onChange={(e) => updateThrottle('maxDelaySeconds', e.target.value)} className={inputClass} />
+        </div>
+      </div>
+      <p className="text-xs text-gray-500">
+        Each email waits a random delay between the minimum and maximum after the previous one.
+        {!canSend && ' Sending needs the Mail Server; you can still export the messages as .eml files.'}
+      </p>
+
+      {withIssues > 0 && (
+        <p className="flex items-start text-sm text-yellow-400">
+          <AlertTriangle size={16} className="mr-1.5 mt-0.5 shrink-0" />
+          {withIssues} message{withIssues === 1 ? ' has' : 's have'} unresolved variables or a risky address. Invalid addresses are skipped.
+        </p>
+      )}
+
+      <ul className="max-h-96 overflow-y-auto bg-gray-800 rounded-md border border-gray-700 divide-y divide-gray-700 text-sm">
+        {messages.map(({ prospect, subject, body, unresolved, emailCheck, variant }) => (
+          <li key={prospect.id} className={excluded.has(prospect.id) ? 'opacity-50' : ''}>
+            <div className="flex items-center gap-2 px-3 py-2">
+              <input
+                type="checkbox"
+                checked={!excluded.has(prospect.id)}
+                onChange={() => toggleExcluded(prospect.id)}
+                aria-label={`Include ${prospect.firstName}`}
+              />
+              <button
+                type="button"
+                onClick={() => setExpandedId(expandedId === prospect.id ? null : prospect.id)}
+                className="flex-1 min-w-0 flex items-center text-left"
+                aria-expanded={expandedId === prospect.id}
+              >
+                {expandedId === prospect.id ? <ChevronDown size={14} className="mr-1 shrink-0" /> : <ChevronRight size={14} className="mr-1 shrink-0" />}
+                {variant && <span className="mr-2 font-semibold text-purple-300" title={`Variant ${variant}`}>{variant}</span>}
+                <span className="truncate text-gray-100">{prospect.firstName} {prospect.lastName}</span>
+                <span className="ml-2 truncate text-gray-500">{subject}</span>
+              </button>
+              {unresolved.length > 0 && (
+                <span className="text-xs text-yellow-400" title={unresolved.map(v => `{{${v}}}`).join(', ')}>
+                  {unresolved.length} unresolved
+                </span>
+              )}
+              {emailCheck.level !== 'valid' && (
+                <span className={`text-xs ${emailCheck.level === 'invalid' ? 'text-red-400' : 'text-yellow-400'}`} title={emailCheck.issues.map(i => i.message).join('\n')}>
+                  {emailCheck.level === 'invalid' ? 'Invalid email' : 'Risky email'}
+                </span>
+              )}
+            </div>
+            {expandedId === prospect.id && (
+              <div className="px-9 pb-3 text-gray-300">
+                <p className="text-xs text-gray-500">To: {prospect.email}</p>
+                <p className="font-medium">{subject}</p>
+                <p className="mt-2 whitespace-pre-wrap">{body}</p>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </Modal>
+  );
+}
@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { Megaphone, Play, Pause, Square, RotateCcw, Trash2, ChevronDown, ChevronRight } from 'lucide-react';
+import { RECIPIENT_STATUSES, summarizeCampaign } from '../lib/campaigns.js';
+import { formatDateTime } from '../lib/dates.js';
+
+const CAMPAIGN_STATUS_CLASSES = {
+  running: 'bg-green-900/60 text-green-300',
+  paused: 'bg-yellow-900/60 text-yellow-300',
+  completed: 'bg-indigo-900/60 text-indigo-300',
+  cancelled: 'bg-gray-700 text-gray-300',
+};
+
+const RECIPIENT_STATUS_CLASSES = {
+  queued: 'text-gray-400',
+  sending: 'text-indigo-300',
+  sent: 'text-green-400',
+  failed: 'text-red-400',
+  skipped: 'text-gray-500',
+};
+
+/**
+ * Lists mail-merge campaigns with their progress, controls to pause,
+ * resume or cancel them, and each recipient's result.
+ * @param {object} props
+ * @param {object[]} props.campaigns - The campaigns, newest first.
+ * @param {boolean} props.canSend - Whether the companion server is enabled.
+ * @param {Function} props.onResume - Called with a campaign id to start or resume it.
+ * @param {Function} props.onPause - Called with a campaign id.
+ * @param {Function} props.onCancel - Called with a campaign id.
+ * @param {Function} props.onRetry - Called with a campaign id to re-queue its failures.
+ * @param {Function} props.onDelete - Called with a campaign id.
+ */
+export default function CampaignsView({ campaigns, canSend, onResume, onPause, onCancel, onRetry, onDelete }) {
+  const [expandedId, setExpandedId] = useState(null);
+
+  if (campaigns.length === 0) {
+    return (
+      <div className="text-center py-10 bg-gray-800 rounded-md">
+        <Megaphone size={48} className="mx-auto text-gray-500" />
+        <p className="mt-4 text-gray-400">Select prospects in the table and start a campaign to email them in bulk.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {campaigns.map(campaign => {
+        const counts = summarizeCampaign(campaign);
+        const done = counts.sent + counts.failed + counts.skipped;
+        const isOpen = expandedId === campaign.id;
+        const isFinished = campaign.status === 'completed' || campaign.status === 'cancelled';
+
+        return (
+          <div key={campaign.id} className="bg-gray-800 rounded-md">
+            <div className="flex flex-wrap items-center gap-3 px-4 py-3">
+              <button
+                type="button"
+                onClick={() => setExpandedId(isOpen ? null : campaign.id)}
+                className="flex items-center text-left font-medium text-white"
+                aria-expanded={isOpen}
+              >
+                {isOpen ? <ChevronDown size={16} className="mr-1 text-gray-400" /> : <ChevronRight size={16} className="mr-1 text-gray-400" />}
+                {campaign.name}
+              </button>
+              <span className={`px-2 py-0.5 rounded-full text-xs ${CAMPAIGN_STATUS_CLASSES[campaign.status]}`}>{campaign.status}</span>
+              <span className="text-xs text-gray-500">{campaign.templateName} · {formatDateTime(campaign.createdAt)}</span>
+
+              <div className="flex gap-1 ml-auto">
+                {(campaign.status === 'paused') && (
+                  <button type="button" onClick={() => onResume(campaign.id)} disabled={!canSend} className="p-1 text-gray-400 hover:text-green-400 disabled:opacity-40" title={canSend ? 'Start sending' : 'Set up the Mail Server to send'}>
+                    <Play size={18} />
+                  </button>
+                )}
+                {campaign.status === 'running' && (
+                  <button type="button" onClick={() => onPause(campaign.id)} className="p-1 text-gray-400 hover:text-yellow-400" title="Pause">
+                    <Pause size={18} />
+                  </button>
+                )}
+                {!isFinished && (
+                  <button type="button" onClick={() => onCancel(campaign.id)} className="p-1 text-gray-400 hover:text-red-400" title="Cancel campaign">
+                    <Square size={18} />
+                  </button>
+                )}
+                {counts.failed > 0 && campaign.status !== 'running' && (
+                  <button type="button" onClick={() => onRetry(campaign.id)} className="p-1 text-gray-400 hover:text-indigo-400" title="Retry failed">
+                    <RotateCcw size={18} />
+                  </button>
+                )}
+                {campaign.status !== 'running' && (
+                  <button type="button" onClick={() => onDelete(campaign.id)} className="p-1 text-gray-400 hover:text-red-500" title="Delete campaign">
+                    <Trash2 size={18} />
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div className="px-4 pb-3">
+              <div className="h-1.5 bg-gray-700 rounded">
+                <div className="h-1.5 bg-green-500 rounded" style={{ width: `${counts.total ? Math.round((done / counts.total) * 100) : 0}%` }} />
+              </div>
+              <p className="mt-1 text-xs text-gray-400">
+                {counts.sent} sent · {counts.queued} queued · {counts.failed} failed · {counts.skipped} skipped
+                {campaign.status === 'running' && campaign.nextSendAt && ` · next at ${formatDateTime(campaign.nextSendAt)}`}
+                {` · max ${campaign.throttle.perHour}/hour`}
+              </p>
+              {campaign.error && <p className="mt-1 text-xs text-red-400">{campaign.error}</p>}
+            </div>
+
+            {isOpen && (
+              <table className="min-w-full text-sm border-t border-gray-700">
+                <tbody className="divide-y divide-gray-700">
+                  {campaign.recipients.map(r => (
+                    <tr key={r.prospectId}>
+                      <td className="px-4 py-2 text-gray-200">{r.name}</td>
+                      <td className="px-4 py-2 text-indigo-300 hidden md:table-cell">{r.email}</td>
+                      <td className={`px-4 py-2 ${RECIPIENT_STATUS_CLASSES[r.status]}`}>{RECIPIENT_STATUSES[r.status]}</td>
+                      <td className="px-4 py-2 text-xs text-gray-500">
+                        {r.status === 'sent' ? formatDateTime(r.sentAt) : r.error}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
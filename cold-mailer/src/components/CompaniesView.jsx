@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { Building, Search } from 'lucide-react';
+import { COMPANY_SIZES } from '../lib/companies.js';
+import { detectDomainPattern } from '../lib/emailPatterns.js';
+
+/**
+ * Lists companies and shows one account at a time: its details, every
+ * contact there with their status, and the email pattern their verified
+ * addresses follow.
+ * @param {object} props
+ * @param {object[]} props.companies - The companies.
+ * @param {object[]} props.prospects - All prospects.
+ * @param {string[]} props.emailPatterns - The pattern templates to detect.
+ * @param {Function} props.onUpdateCompany - Called with the edited company.
+ * @param {Function} props.onMergeCompany - Called with a duplicate company id and the id to merge it into.
+ */
+export default function CompaniesView({ companies, prospects, emailPatterns, onUpdateCompany, onMergeCompany }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const [search, setSearch] = useState('');
+
+  const contactsByCompany = new Map();
+  prospects.forEach(p => {
+    if (p.companyId === undefined) return;
+    contactsByCompany.set(p.companyId, [...(contactsByCompany.get(p.companyId) || []), p]);
+  });
+
+  const visible = companies
+    .filter(c => `${c.name} ${c.domain} ${c.industry}`.toLowerCase().includes(search.trim().toLowerCase()))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const selected = companies.find(c => c.id === selectedId) || visible[0];
+  const contacts = selected ? contactsByCompany.get(selected.id) || [] : [];
+  const pattern = selected && selected.domain ? detectDomainPattern(contacts, selected.domain, emailPatterns) : null;
+
+  const update = (field, value) => onUpdateCompany({ ...selected, [field]: value });
+  const inputClass = 'w-full px-3 py-2 bg-gray-800 rounded-md border border-gray-700 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  if (companies.length === 0) {
+    return (
+      <div className="text-center py-10 bg-gray-800 rounded-md">
+        <Building size={48} className="mx-auto text-gray-500" />
+        <p className="mt-4 text-gray-400">Companies appear here as you log prospects.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col md:flex-row gap-4">
+      <div className="md:w-1/3 space-y-2">
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-500" size={16} />
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search companies"
+            className="w-full pl-9 pr-3 py-1.5 bg-gray-800 rounded-md border border-gray-700 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+        </div>
+        <ul className="bg-gray-800 rounded-md divide-y divide-gray-700 text-sm max-h-[70vh] overflow-y-auto">
+          {visible.map(c => (
+            <li key={c.id}>
+              <button
+                type="button"
+                onClick={() => setSelectedId(c.id)}
+                className={`w-full text-left px-3 py-2 rounded-none ${selected && c.id === selected.id ? 'bg-indigo-900/50 text-white' : 'text-gray-300 hover:bg-gray-700/50'}`}
+              >
+                <div className="font-medium">{c.name}</div>
+                <div className="text-xs text-gray-500">
+                  {c.domain || 'No domain'} · {(contactsByCompany.get(c.id) || []).length} contacts
+                </div>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {selected && (
+        <div className="md:w-2/3 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Name</label>
+              <input type="text" value={selected.name} onChange={(e) => update('name', e.target.value)} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Domain</label>
+              <input type="text" value={selected.domain} onChange={(e) => update('domain', e.target.value.trim().toLowerCase())} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Industry</label>
+              <input type="text" value={selected.industry} onChange={(e) => update('industry', e.target.value)} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Size</label>
+              <select value={selected.size} onChange={(e) => update('size', e.target.value)} className={inputClass}>
+                <option value="">Unknown</option>
+                {COMPANY_SIZES.map(size => (
+                  <option key={size} value={size}>{size} employees</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Notes</label>
+            <textarea value={selected.notes} onChange={(e) => update('notes', e.target.value)} className={`${inputClass} h-24`} />
+          </div>
+
+          <div className="p-3 bg-gray-800 rounded-md text-sm">
+            <span className="text-gray-400">Email pattern: </span>
+            {pattern ? (
+              <span className="text-indigo-300">
+                <code>{pattern.pattern}@{selected.domain}</code> ({pattern.matches} of {pattern.total} contacts)
+              </span>
+            ) : (
+              <span className="text-gray-500">Not enough verified addresses yet.</span>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-300 uppercase mb-2">Contacts ({contacts.length})</h3>
+            {contacts.length === 0 ? (
+              <p className="text-sm text-gray-500">No contacts at this company.</p>
+            ) : (
+              <table className="min-w-full bg-gray-800 rounded-lg text-sm">
+                <tbody className="divide-y divide-gray-700">
+                  {contacts.map(p => (
+                    <tr key={p.id}>
+                      <td className="px-3 py-2 text-white">{p.firstName} {p.lastName}</td>
+                      <td className="px-3 py-2 text-gray-400">{p.title}</td>
+                      <td className="px-3 py-2 text-indigo-300">{p.email}</td>
+                      <td className="px-3 py-2 text-gray-300">{p.status}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          {companies.length > 1 && (
+            <label className="flex items-center gap-2 text-sm text-gray-400">
+              Duplicate of
+              <select
+                value=""
+                onChange={(e) => {
+                  const target = companies.find(c => String(c.id) === e.target.value);
+                  if (target && window.confirm(`Merge "${selected.name}" into "${target.name}"? Its contacts will move over.`)) {
+                    onMergeCompany(selected.id, target.id);
+                    setSelectedId(target.id);
+                  }
+                }}
+                className="bg-gray-700 border border-gray-600 rounded-md px-2 py-1 text-sm text-white"
+              >
+                <option value="">Choose a company to merge into…</option>
+                {companies.filter(c => c.id !== selected.id).sort((a, b) => a.name.localeCompare(b.name)).map(c => (
+                  <option key={c.id} value={c.id}>{c.name}{c.domain ? ` (${c.domain})` : ''}</option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
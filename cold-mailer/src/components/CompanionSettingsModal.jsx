@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { Plug, Loader2 } from 'lucide-react';
+import Modal from './Modal.jsx';
+import { checkCompanion } from '../lib/companion.js';
+
+/**
+ * Edits how the app reaches the optional companion server that sends email.
+ * @param {object} props
+ * @param {object} props.settings - The current companion settings.
+ * @param {Function} props.onSave - Called with the new settings.
+ * @param {Function} props.onClose - Called when the dialog should close.
+ */
+export default function CompanionSettingsModal({ settings, onSave, onClose }) {
+  const [form, setForm] = useState(settings);
+  const [status, setStatus] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const update = (field, value) => setForm({ ...form, [field]: value });
+
+  const handleCheck = async () => {
+    setIsChecking(true);
+    try {
+      const health = await checkCompanion(form);
+      const tracking = health.inbox.enabled ? ' Reply tracking is on.' : ' Reply tracking is off (no IMAP_HOST).';
+      const opens = health.tracking?.enabled
+        ? ` Opens and clicks are tracked through ${health.tracking.url}.`
+        : ' Open and click tracking is off (no TRACKING_URL).';
+      setStatus(health.smtp.ok
+        ? { ok: true, message: `Connected. Sending as ${health.from} through ${health.smtp.host}.${tracking}${opens}` }
+        : { ok: false, message: `The server is up, but SMTP ${health.smtp.host} failed: ${health.smtp.error}` });
+    } catch (error) {
+      setStatus({ ok: false, message: error.message });
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  return (
+    <Modal
+      title="Mail Server"
+      onClose={onClose}
+      footer={(
+        <>
+          <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all">
+            Cancel
+          </button>
+          <button type="button" onClick={() => onSave(form)} className="px-4 py-2 bg-green-600 hover:bg-green-700 rounded-md transition-all">
+            Save
+          </button>
+        </>
+      )}
+    >
+      <p className="text-sm text-gray-400">
+        Send drafts straight to prospects through the companion server. Start it with <code className="text-gray-200">npm run server</code>;
+        it reads its SMTP settings from SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS and MAIL_FROM, and tracks
+        replies and bounces when IMAP_HOST, IMAP_USER and IMAP_PASS are set.
+      </p>
+      <label className="flex items-center gap-2 text-sm text-gray-300">
+        <input type="checkbox" checked={form.enabled} onChange={(e) => update('enabled', e.target.checked)} />
+        Send email through the companion server
+      </label>
+      <fieldset className="space-y-1">
+        <legend className="text-sm font-medium text-gray-300 mb-1">Tracking</legend>
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          <input type="checkbox" checked={form.trackOpens} onChange={(e) => update('trackOpens', e.target.checked)} />
+          Track opens with an invisible image
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          <input type="checkbox" checked={form.trackClicks} onChange={(e) => update('trackClicks', e.target.checked)} />
+          Track link clicks through a redirect
+        </label>
+        <p className="text-xs text-gray-500">
+          Tracked emails go out with an HTML part, and need TRACKING_URL set to an address of the server that recipients can reach.
+          Many mail apps block images or load them ahead of time, so opens are a rough signal.
+        </p>
+      </fieldset>
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">Server URL</label>
+        <div className="flex gap-2">
+          <input
+            type="url"
+            placeholder="http://localhost:3001"
+            value={form.url}
+            onChange={(e) => update('url', e.target.value)}
+            className="flex-1 px-4 py-2 bg-gray-800 rounded-md border border-gray-700 focus:outline-none focus:ring-2 focus:ring-green-500"
+          />
+          <button type="button" onClick={handleCheck} disabled={isChecking || !form.url} className="flex items-center px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all disabled:opacity-50">
+            {isChecking ? <Loader2 size={16} className="mr-2 animate-spin" /> : <Plug size={16} className="mr-2" />} Test
+          </button>
+        </div>
+      </div>
+      {status && (
+        <p className={`text-sm ${status.ok ? 'text-green-400' : 'text-red-400'}`}>{status.message}</p>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Copy, Send, CheckCheck, Loader2, MailOpen, FileDown } from 'lucide-react';
+import Modal from './Modal.jsx';
+import DraftCheck from './DraftCheck.jsx';
+import { parseDraft } from '../lib/templates.js';
+import { lintDraft } from '../lib/deliverability.js';
+import { MAILTO_MAX_LENGTH, buildMailtoUrl } from '../lib/mailto.js';
+
+/**
+ * Shows an editable draft addressed to a logged prospect.
+ * @param {object} props
+ * @param {object} props.prospect - The recipient.
+ * @param {string} props.title - The dialog heading.
+ * @param {string} props.initialDraft - The draft text to start from.
+ * @param {Function} props.onCopy - Called with the draft text to copy it.
+ * @param {Function} props.onExport - Called with the draft text and "mailto"
+ *   or "eml" to open it in the mail client or download it as a file.
+ * @param {Function} [props.onMarkSent] - Called when the user has sent the email.
+ * @param {Function} [props.onSend] - Sends the draft through the companion
+ *   server; returns a promise that rejects with the reason on failure.
+ * @param {Function} props.onClose - Called when the dialog should close.
+ */
+export default function ComposeModal({ prospect, title, initialDraft, onCopy, onExport, onMarkSent, onSend, onClose }) {
+  const [draft, setDraft] = useState(initialDraft);
+  const [isSending, setIsSending] = useState(false);
+  const [sendError, setSendError] = useState('');
+  const check = lintDraft(draft, prospect);
+  const isLongForMailto = buildMailtoUrl({ to: prospect.email, ...parseDraft(draft) }).length > MAILTO_MAX_LENGTH;
+
+  const confirmErrors = (action) => {
+    const errors = check.issues.filter(issue => issue.severity === 'error');
+    if (errors.length === 0) return true;
+    return window.confirm(`${errors.map(issue => issue.message).join('\n')}\n\n${action} anyway?`);
+  };
+
+  const handleCopy = () => {
+    if (!confirmErrors('Copy')) return;
+    onCopy(draft);
+  };
+
+  const handleExport = (format) => {
+    if (!confirmErrors(format === 'mailto' ? 'Open' : 'Download')) return;
+    onExport(draft, format);
+  };
+
+  const handleSend = async () => {
+    if (!confirmErrors('Send')) return;
+    setIsSending(true);
+    setSendError('');
+    try {
+      await onSend(draft);
+    } catch (error) {
+      setSendError(error.message);
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={title}
+      onClose={onClose}
+      footer={(
+        <>
+          <button type="button" onClick={handleCopy} className="flex items-center px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all">
+            <Copy size={18} className="mr-2" /> Copy
+          </button>
+          <button type="button" onClick={() => handleExport('mailto')} className="flex items-center px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all" title="Open in your mail app">
+            <MailOpen size={18} className="mr-2" /> Open
+          </button>
+          <button type="button" onClick={() => handleExport('eml')} className="flex items-center px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all" title="Download as an .eml file">
+            <FileDown size={18} className="mr-2" /> .eml
+          </button>
+          {onMarkSent && (
+            <button type="button" onClick={() => onMarkSent(draft)} className={`flex items-center px-4 py-2 ${onSend ? 'bg-gray-700 hover:bg-gray-600' : 'bg-green-600 hover:bg-green-700'} rounded-md transition-all`}>
+              <CheckCheck size={18} className="mr-2" /> Mark as Sent
+            </button>
+          )}
+          {onSend && (
+            <button type="button" onClick={handleSend} disabled={isSending} className="flex items-center px-4 py-2 bg-green-600 hover:bg-green-700 rounded-md transition-all disabled:opacity-50">
+              {isSending ? <Loader2 size={18} className="mr-2 animate-spin" /> : <Send size={18} className="mr-2" />}
+              {isSending ? 'Sending...' : 'Send'}
+            </button>
+          )}
+        </>
+      )}
+    >
+      <p className="text-sm text-gray-300">
+        To: <span className="text-indigo-300">{prospect.firstName} {prospect.lastName} &lt;{prospect.email}&gt;</span>
+      </p>
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        className="w-full h-80 p-3 bg-gray-800 rounded-md border border-gray-700 text-sm"
+      />
+      <DraftCheck draft={draft} result={check} />
+      {isLongForMailto && (
+        <p className="text-xs text-gray-400">
+          This draft is long enough that some mail apps may cut it short when opened. Download the .eml file to keep all of it.
+        </p>
+      )}
+      {sendError && <p className="text-sm text-red-400">{sendError}</p>}
+    </Modal>
+  );
+}
@@ -0,0 +1,28 @@
+import React from 'react';
+
+const INPUT_TYPES = { url: 'url', phone: 'tel', text: 'text' };
+
+const PLACEHOLDERS = { url: 'https://', phone: '+1 555 010 0199' };
+
+/**
+ * One labelled input per custom field, for use inside a form.
+ * @param {object} props
+ * @param {object[]} props.fields - The custom field definitions.
+ * @param {Object<string, string>} props.values - The current value per field key.
+ * @param {Function} props.onChange - Called with the new values.
+ * @param {string} props.inputClassName - Classes for each input.
+ */
+export default function CustomFieldInputs({ fields, values, onChange, inputClassName }) {
+  return fields.map(({ key, label, type }) => (
+    <div key={key}>
+      <label className="block text-sm font-medium text-gray-300 mb-1">{label}</label>
+      <input
+        type={INPUT_TYPES[type] || 'text'}
+        value={values[key] || ''}
+        placeholder={PLACEHOLDERS[type]}
+        onChange={(e) => onChange({ ...values, [key]: e.target.value })}
+        className={inputClassName}
+      />
+    </div>
+  ));
+}
@@ -0,0 +1,147 @@
+import React, { useMemo } from 'react';
+import { BarChart3 } from 'lucide-react';
+import { buildFunnel, replyRateByTemplate, prospectsPerWeek, averageTimeInStage } from '../lib/analytics.js';
+import { formatDuration } from '../lib/dates.js';
+import { getStatuses, getStageColor } from '../lib/pipeline.js';
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * A titled dashboard panel.
+ */
+function Panel({ title, children, className }) {
+  return (
+    <section className={`p-4 bg-gray-800 rounded-md ${className || ''}`}>
+      <h3 className="mb-3 text-sm font-semibold text-gray-300 uppercase">{title}</h3>
+      {children}
+    </section>
+  );
+}
+
+/**
+ * Charts the pipeline from the stored prospects: the funnel across
+ * statuses with stage-to-stage conversion, reply rates per template,
+ * prospects added per week and the average time spent in each stage.
+ * @param {object} props
+ * @param {object[]} props.prospects - All prospects.
+ * @param {object} props.pipeline - The pipeline stages, in order.
+ */
+export default function DashboardView({ prospects, pipeline }) {
+  const funnel = useMemo(() => buildFunnel(prospects, getStatuses(pipeline)), [prospects, pipeline]);
+  const templates = useMemo(() => replyRateByTemplate(prospects), [prospects]);
+  const weeks = useMemo(() => prospectsPerWeek(prospects), [prospects]);
+  const stageTimes = useMemo(() => averageTimeInStage(prospects, getStatuses(pipeline)), [prospects, pipeline]);
+
+  if (prospects.length === 0) {
+    return (
+      <div className="text-center py-10 bg-gray-800 rounded-md">
+        <BarChart3 size={48} className="mx-auto text-gray-500" />
+        <p className="mt-4 text-gray-400">Pipeline metrics appear here once you log prospects.</p>
+      </div>
+    );
+  }
+
+  const top = funnel[0].reached || 1;
+  const busiestWeek = Math.max(1, ...weeks.map(w => w.count));
+  const emailed = templates.reduce((sum, t) => sum + t.sent, 0);
+  const replied = templates.reduce((sum, t) => sum + t.replied, 0);
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+      <Panel title="Funnel" className="xl:col-span-2">
+        <ol className="space-y-2">
+          {funnel.map(({ status, current, reached, conversion }) => (
+            <li key={status}>
+              <div className="flex items-center gap-3 text-sm">
+                <span className="flex items-center w-28 shrink-0 text-gray-300">
+                  <span className={`w-2 h-2 mr-2 shrink-0 rounded-full ${getStageColor(pipeline, status).dot}`} />
+                  {status}
+                </span>
+                <div className="flex-1 h-6 bg-gray-700 rounded">
+                  <div className="h-6 bg-indigo-500 rounded" style={{ width: `${(reached / top) * 100}%` }} />
+                </div>
+                <span className="w-36 shrink-0 text-right text-gray-300">
+                  {reached} reached <span className="text-gray-500">({current} now)</span>
+                </span>
+              </div>
+              {conversion !== null && (
+                <p className="ml-32 text-xs text-gray-500">↓ {formatPercent(conversion)} moved on</p>
+              )}
+            </li>
+          ))}
+        </ol>
+      </Panel>
+
+      <Panel title="Reply Rate by Template">
+        {templates.length === 0 ? (
+          <p className="text-sm text-gray-500">No emails recorded as sent yet.</p>
+        ) : (
+          <>
+            <p className="mb-2 text-sm text-gray-400">
+              {replied} of {emailed} emailed prospects replied ({formatPercent(replied / emailed)}).
+            </p>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1 font-normal">Template</th>
+                  <th className="py-1 font-normal text-right">Sent</th>
+                  <th className="py-1 font-normal text-right">Replied</th>
+                  <th className="py-1 font-normal w-1/3">Rate</th>
+                </tr>
+              </thead>
+              <tbody>
+                {templates.map(({ template, sent, replied: count, rate }) => (
+                  <tr key={template} className="border-t border-gray-700">
+                    <td className="py-1.5 text-gray-200">{template}</td>
+                    <td className="py-1.5 text-right text-gray-300">{sent}</td>
+                    <td className="py-1.5 text-right text-gray-300">{count}</td>
+                    <td className="py-1.5 pl-3">
+                      <div className="flex items-center gap-2">
+                        <div className="flex-1 h-2 bg-gray-700 rounded">
+                          <div className="h-2 bg-green-500 rounded" style={{ width: formatPercent(rate) }} />
+                        </div>
+                        <span className="w-10 text-right text-gray-300">{formatPercent(rate)}</span>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </Panel>
+
+      <Panel title="Average Time in Stage">
+        <ul className="space-y-1.5 text-sm">
+          {stageTimes.map(({ status, averageMs, samples }) => (
+            <li key={status} className="flex justify-between">
+              <span className="text-gray-300">{status}</span>
+              <span className="text-gray-400">
+                {averageMs === null ? '—' : formatDuration(averageMs)}
+                {samples > 0 && <span className="text-gray-500"> ({samples} moved on)</span>}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </Panel>
+
+      <Panel title="Prospects Added per Week" className="xl:col-span-2">
+        <div className="flex items-end gap-1 h-40">
+          {weeks.map(({ weekStart, count }) => (
+            <div key={weekStart.toISOString()} className="flex-1 flex flex-col items-center justify-end h-full">
+              <span className="text-xs text-gray-400">{count || ''}</span>
+              <div className="w-full bg-indigo-500 rounded-t" style={{ height: `${(count / busiestWeek) * 100}%` }} title={`${count} added`} />
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-1 mt-1">
+          {weeks.map(({ weekStart }) => (
+            <span key={weekStart.toISOString()} className="flex-1 text-center text-[10px] text-gray-500">
+              {weekStart.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+            </span>
+          ))}
+        </div>
+      </Panel>
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { Gauge, ChevronDown, ChevronRight, CircleAlert, AlertTriangle, Info } from 'lucide-react';
+import { highlightIssues } from '../lib/deliverability.js';
+
+const LEVEL_CLASSES = {
+  good: 'bg-green-900/60 text-green-200',
+  fair: 'bg-yellow-900/60 text-yellow-200',
+  poor: 'bg-red-900/60 text-red-200',
+};
+
+const SEVERITY = {
+  error: { Icon: CircleAlert, text: 'text-red-400', mark: 'bg-red-500/30 text-red-100' },
+  warning: { Icon: AlertTriangle, text: 'text-yellow-300', mark: 'bg-yellow-500/30 text-yellow-100' },
+  info: { Icon: Info, text: 'text-gray-400', mark: 'bg-gray-500/30' },
+};
+
+/**
+ * Shows a draft's deliverability score. Expanded, it lists each issue with
+ * a suggestion and shows the draft with the problem spots highlighted.
+ * @param {object} props
+ * @param {string} props.draft - The draft text.
+ * @param {object} props.result - The result of lintDraft for the draft.
+ */
+export default function DraftCheck({ draft, result }) {
+  const [isOpen, setIsOpen] = useState(false);
+  if (!draft.trim()) return null;
+  const { score, level, issues, stats } = result;
+  const highlighted = issues.some(issue => issue.ranges.length > 0);
+
+  return (
+    <div className="text-xs">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        className="flex items-center gap-2 p-0 bg-transparent text-gray-300 hover:text-white"
+      >
+        {isOpen ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+        <Gauge size={14} />
+        Deliverability
+        <span className={`px-1.5 py-0.5 rounded font-semibold ${LEVEL_CLASSES[level]}`}>{score}/100</span>
+        <span className="text-gray-500">
+          {issues.length === 0 ? 'No issues' : `${issues.length} ${issues.length === 1 ? 'issue' : 'issues'}`}
+          {' · '}{stats.words} words · grade {stats.readingGrade}
+        </span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-2 space-y-2">
+          {issues.length > 0 && (
+            <ul className="space-y-1">
+              {issues.map((issue, i) => {
+                const { Icon, text } = SEVERITY[issue.severity];
+                return (
+                  <li key={`${issue.code}-${i}`} className={`flex items-start ${text}`}>
+                    <Icon size={14} className="mr-1.5 mt-0.5 shrink-0" />
+                    <span>
+                      {issue.message} <span className="text-gray-400">{issue.suggestion}</span>
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+          {highlighted && (
+            <div className="max-h-48 overflow-y-auto p-2 bg-gray-900 rounded-md border border-gray-700 whitespace-pre-wrap text-sm text-gray-300">
+              {highlightIssues(draft, issues).map((segment, i) => (segment.issue ? (
+                <mark key={i} title={segment.issue.suggestion} className={`rounded-sm ${SEVERITY[segment.issue.severity].mark}`}>{segment.text}</mark>
+              ) : (
+                <React.Fragment key={i}>{segment.text}</React.Fragment>
+              )))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { Save } from 'lucide-react';
+import Modal from './Modal.jsx';
+import Notes from './Notes.jsx';
+import EmailCheck from './EmailCheck.jsx';
+import CustomFieldInputs from './CustomFieldInputs.jsx';
+import { PROSPECT_FIELDS, REQUIRED_FIELDS, validateProspect, parseTags, formatTags } from '../lib/prospects.js';
+import { getStatuses, getStatusOptions, getCustomValue } from '../lib/pipeline.js';
+
+/**
+ * Edits every field of a logged prospect, plus its notes.
+ * @param {object} props
+ * @param {object} props.prospect - The prospect to edit.
+ * @param {object} props.pipeline - The pipeline stages and custom fields.
+ * @param {Function} props.onSave - Called with the changed fields.
+ * @param {Function} props.onClose - Called when the dialog should close.
+ */
+export default function EditProspectModal({ prospect, pipeline, onSave, onClose }) {
+  const [form, setForm] = useState(() => ({
+    ...Object.fromEntries(PROSPECT_FIELDS.map(({ key }) => [key, prospect[key] || ''])),
+    tags: formatTags(prospect.tags),
+    notes: prospect.notes || '',
+  }));
+  const [custom, setCustom] = useState(() =>
+    Object.fromEntries(pipeline.fields.map(({ key }) => [key, getCustomValue(prospect, key)]))
+  );
+  const [errors, setErrors] = useState({});
+  const [previewNotes, setPreviewNotes] = useState(false);
+
+  const update = (key, value) => setForm({ ...form, [key]: value });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = Object.fromEntries(Object.entries(form).map(([key, value]) => [key, key === 'notes' ? value : value.trim()]));
+    const found = validateProspect(trimmed);
+    setErrors(found);
+    if (Object.keys(found).length === 0) {
+      onSave({
+        ...trimmed,
+        tags: parseTags(trimmed.tags),
+        custom: Object.fromEntries(Object.entries(custom).map(([key, value]) => [key, value.trim()])),
+      });
+    }
+  };
+
+  const inputClass = (key) => `w-full px-4 py-2 bg-gray-800 rounded-md border ${errors[key] ? 'border-red-500' : 'border-gray-700'} focus:outline-none focus:ring-2 focus:ring-indigo-500`;
+
+  return (
+    <Modal
+      title={`Edit ${prospect.firstName} ${prospect.lastName}`.trim()}
+      onClose={onClose}
+      footer={(
+        <>
+          <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all">
+            Cancel
+          </button>
+          <button type="submit" form="edit-prospect-form" className="flex items-center px-4 py-2 bg-green-600 hover:bg-green-700 rounded-md transition-all">
+            <Save size={18} className="mr-2" /> Save Changes
+          </button>
+        </>
+      )}
+    >
+      <form id="edit-prospect-form" onSubmit={handleSubmit} className="space-y-4" noValidate>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {PROSPECT_FIELDS.map(({ key, label }) => (
+            <div key={key}>
+              <label className="block text-sm font-medium text-gray-300 mb-1">
+                {label}{REQUIRED_FIELDS.includes(key) && <span className="text-red-400"> *</span>}
+              </label>
+              {key === 'status' ? (
+                <select value={form.status} onChange={(e) => update('status', e.target.value)} className={inputClass(key)}>
+                  {getStatusOptions(getStatuses(pipeline), prospect.status).map(status => (
+                    <option key={status}>{status}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type={key === 'email' ? 'email' : 'text'}
+                  value={form[key]}
+                  placeholder={key === 'tags' ? 'Comma-separated, e.g. fintech, Q4-campaign' : undefined}
+                  onChange={(e) => update(key, e.target.value)}
+                  className={inputClass(key)}
+                />
+              )}
+              {errors[key] && <p className="mt-1 text-xs text-red-400">{errors[key]}</p>}
+              {key === 'email' && !errors.email && (
+                <EmailCheck email={form.email} domain={form.domain} onUseSuggestion={(value) => update('email', value)} />
+              )}
+            </div>
+          ))}
+          <CustomFieldInputs fields={pipeline.fields} values={custom} onChange={setCustom} inputClassName={inputClass('custom')} />
+        </div>
+
+        <div>
+          <div className="flex justify-between items-center mb-1">
+            <label className="block text-sm font-medium text-gray-300">Notes</label>
+            <button type="button" onClick={() => setPreviewNotes(!previewNotes)} className="text-xs px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded-md">
+              {previewNotes ? 'Edit' : 'Preview'}
+            </button>
+          </div>
+          {previewNotes ? (
+            <div className="min-h-40 p-3 bg-gray-800 rounded-md border border-gray-700">
+              <Notes text={form.notes} />
+            </div>
+          ) : (
+            <textarea
+              value={form.notes}
+              onChange={(e) => update('notes', e.target.value)}
+              placeholder={'Supports **bold**, *italic*, `code`, - bullet lists, # headings and links.'}
+              className="w-full h-40 p-3 bg-gray-800 rounded-md border border-gray-700 text-sm"
+            />
+          )}
+        </div>
+      </form>
+    </Modal>
+  );
+}
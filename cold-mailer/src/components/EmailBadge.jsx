@@ -0,0 +1,32 @@
+import React from 'react';
+import { ShieldCheck, ShieldAlert, ShieldX } from 'lucide-react';
+import { validateEmail } from '../lib/emailValidation.js';
+import { formatDate } from '../lib/dates.js';
+
+const BADGES = {
+  valid: { icon: ShieldCheck, label: 'Valid', className: 'text-green-400' },
+  risky: { icon: ShieldAlert, label: 'Risky', className: 'text-yellow-400' },
+  invalid: { icon: ShieldX, label: 'Invalid', className: 'text-red-400' },
+  bounced: { icon: ShieldX, label: 'Bounced', className: 'text-red-500' },
+};
+
+/**
+ * Shows the local verification result for a prospect's email address.
+ * @param {object} props
+ * @param {string} props.email - The address.
+ * @param {string} [props.domain] - The prospect's company domain.
+ * @param {string} [props.bouncedAt] - When an email to the address bounced.
+ */
+export default function EmailBadge({ email, domain, bouncedAt }) {
+  const { level, issues } = validateEmail(email, { domain });
+  const { icon: Icon, label, className } = BADGES[bouncedAt ? 'bounced' : level];
+  let title = issues.length > 0 ? issues.map(issue => issue.message).join('\n') : 'Passed local email checks';
+  if (bouncedAt) title = `An email to this address bounced on ${formatDate(bouncedAt)}.`;
+
+  return (
+    <span title={title} className={`inline-flex items-center ${className}`}>
+      <Icon size={14} aria-hidden="true" />
+      <span className="sr-only">{label}</span>
+    </span>
+  );
+}
@@ -0,0 +1,41 @@
+import React from 'react';
+import { ShieldCheck, ShieldAlert, ShieldX } from 'lucide-react';
+import { validateEmail } from '../lib/emailValidation.js';
+
+/**
+ * Explains what the local validator found wrong with an address as it is
+ * typed, and offers the corrected address when the domain looks mistyped.
+ * @param {object} props
+ * @param {string} props.email - The address being typed.
+ * @param {string} [props.domain] - The prospect's company domain.
+ * @param {Function} props.onUseSuggestion - Called with the corrected address.
+ */
+export default function EmailCheck({ email, domain, onUseSuggestion }) {
+  if (!email.trim()) return null;
+  const { level, issues, suggestion } = validateEmail(email, { domain });
+
+  if (level === 'valid') {
+    return (
+      <p className="mt-1 flex items-center text-xs text-green-400">
+        <ShieldCheck size={14} className="mr-1" /> Passed local checks (syntax, domain, role and disposable addresses).
+      </p>
+    );
+  }
+
+  const Icon = level === 'invalid' ? ShieldX : ShieldAlert;
+  return (
+    <ul className={`mt-1 space-y-0.5 text-xs ${level === 'invalid' ? 'text-red-400' : 'text-yellow-300'}`}>
+      {issues.map(issue => (
+        <li key={issue.code} className="flex items-center">
+          <Icon size={14} className="mr-1 shrink-0" />
+          {issue.message}
+          {issue.code === 'typo' && (
+            <button type="button" onClick={() => onUseSuggestion(suggestion)} className="ml-2 underline hover:text-white">
+              Use {suggestion}
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
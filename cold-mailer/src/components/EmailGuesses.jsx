@@ -0,0 +1,32 @@
+import React from 'react';
+import { Check } from 'lucide-react';
+
+/**
+ * Lists ranked email guesses with their confidence.
+ * @param {object} props
+ * @param {{email: string, pattern: string, confidence: number}[]} props.guesses - The ranked guesses.
+ * @param {Function} props.onUse - Called with an address to copy it into the Verified Email field.
+ */
+export default function EmailGuesses({ guesses, onUse }) {
+  return (
+    <ul className="max-h-56 overflow-y-auto bg-gray-800 rounded-md border border-gray-700 divide-y divide-gray-700 text-sm">
+      {guesses.map(({ email, pattern, confidence }) => (
+        <li key={email} className="flex items-center gap-2 px-3 py-1.5">
+          <div className="flex-1 min-w-0">
+            <div className="truncate text-gray-100">{email}</div>
+            <div className="flex items-center gap-2 text-xs text-gray-500">
+              <span className="font-mono">{pattern}</span>
+              <div className="flex-1 h-1 bg-gray-700 rounded">
+                <div className="h-1 bg-indigo-400 rounded" style={{ width: `${Math.round(confidence * 100)}%` }} />
+              </div>
+              <span>{Math.round(confidence * 100)}%</span>
+            </div>
+          </div>
+          <button type="button" onClick={() => onUse(email)} title="Use as verified email" className="p-1 text-gray-400 hover:text-green-400">
+            <Check size={16} />
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
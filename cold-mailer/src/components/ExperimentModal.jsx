@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import Modal from './Modal.jsx';
+import { ASSIGNMENT_MODES, createVariant, validateExperiment } from '../lib/experiments.js';
+
+/**
+ * Creates or edits an A/B test: its name, how prospects are split and the
+ * template and optional subject line of each variant. Nothing is applied
+ * until the dialog is saved.
+ * @param {object} props
+ * @param {object} props.experiment - The test to edit; new tests come from createExperiment.
+ * @param {object[]} props.templates - The templates variants can use.
+ * @param {boolean} props.isNew - Whether the test has not been saved yet.
+ * @param {Function} props.onSave - Called with the edited test.
+ * @param {Function} props.onClose - Called when the dialog should close.
+ */
+export default function ExperimentModal({ experiment, templates, isNew, onSave, onClose }) {
+  const [draft, setDraft] = useState(experiment);
+  const [errors, setErrors] = useState([]);
+  const nextVariant = createVariant(draft.variants, templates[0]?.id ?? null);
+  const isLocked = (id) => experiment.assigned > 0 && experiment.variants.some(v => v.id === id);
+
+  const updateVariant = (id, changes) => setDraft({
+    ...draft,
+    variants: draft.variants.map(v => (v.id === id ? { ...v, ...changes } : v)),
+  });
+
+  const handleSave = () => {
+    const next = { ...draft, name: draft.name.trim(), variants: draft.variants.map(v => ({ ...v, subject: v.subject.trim() })) };
+    const found = validateExperiment(next, templates);
+    setErrors(found);
+    if (found.length === 0) onSave(next);
+  };
+
+  const inputClass = 'px-3 py-2 bg-gray-800 rounded-md border border-gray-700 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500';
+
+  return (
+    <Modal
+      title={isNew ? 'New A/B Test' : `Edit "${experiment.name}"`}
+      onClose={onClose}
+      footer={(
+        <>
+          <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all">
+            Cancel
+          </button>
+          <button type="button" onClick={handleSave} className="px-4 py-2 bg-purple-600 hover:bg-purple-700 rounded-md transition-all">
+            Save
+          </button>
+        </>
+      )}
+    >
+      {errors.length > 0 && (
+        <div className="p-3 bg-red-900/40 border border-red-700 rounded-md text-sm text-red-200">
+          {errors.map(error => <p key={error}>{error}</p>)}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Name</label>
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            placeholder="e.g., Short vs. long opener"
+            className={`w-full ${inputClass}`}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Assign Variants</label>
+          <select value={draft.assignment} onChange={(e) => setDraft({ ...draft, assignment: e.target.value })} className={`w-full ${inputClass}`}>
+            {Object.entries(ASSIGNMENT_MODES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <ol className="space-y-2">
+        {draft.variants.map(variant => (
+          <li key={variant.id} className="flex flex-wrap items-center gap-2 p-2 bg-gray-800/60 rounded-md border border-gray-700">
+            <span className="w-6 text-center font-semibold text-purple-300">{variant.id}</span>
+            <select
+              value={variant.templateId ?? ''}
+              onChange={(e) => updateVariant(variant.id, { templateId: e.target.value ? Number(e.target.value) : null })}
+              className={inputClass}
+              aria-label={`Variant ${variant.id} template`}
+            >
+              <option value="">Choose a template</option>
+              {templates.map(t => (
+                <option key={t.id} value={t.id}>{t.name}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={variant.subject}
+              onChange={(e) => updateVariant(variant.id, { subject: e.target.value })}
+              placeholder={templates.find(t => t.id === variant.templateId)?.subject || 'Subject line'}
+              className={`flex-1 min-w-0 ${inputClass}`}
+              aria-label={`Variant ${variant.id} subject line`}
+              title="Leave empty to use the template's subject line"
+            />
+            <button
+              type="button"
+              disabled={isLocked(variant.id)}
+              onClick={() => setDraft({ ...draft, variants: draft.variants.filter(v => v.id !== variant.id) })}
+              className="p-1 text-gray-400 hover:text-red-500 disabled:opacity-30"
+              aria-label={`Remove variant ${variant.id}`}
+              title={isLocked(variant.id) ? 'Prospects have already been given variants' : undefined}
+            >
+              <Trash2 size={16} />
+            </button>
+          </li>
+        ))}
+      </ol>
+      <button
+        type="button"
+        disabled={!nextVariant}
+        onClick={() => setDraft({ ...draft, variants: [...draft.variants, nextVariant] })}
+        className="flex items-center text-sm px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all disabled:opacity-50"
+      >
+        <Plus size={16} className="mr-1.5" /> Add Variant
+      </button>
+      <p className="text-xs text-gray-500">
+        Use the same template with a different subject line to test subjects alone. A prospect keeps the variant they
+        were first given, so once drafting has started variants can be added but not removed.
+      </p>
+    </Modal>
+  );
+}
@@ -0,0 +1,141 @@
+import React, { useMemo } from 'react';
+import { FlaskConical, Plus, Pencil, Play, Pause, Trash2, Trophy } from 'lucide-react';
+import { ASSIGNMENT_MODES, MIN_SAMPLE, summarizeExperiment } from '../lib/experiments.js';
+import { formatDateTime } from '../lib/dates.js';
+
+const formatRate = (value) => (value === null ? '—' : `${Math.round(value * 100)}%`);
+
+const SIGNIFICANCE = {
+  significant: { label: 'Significant', className: 'bg-green-900/60 text-green-300', title: 'Less than a 5% chance this gap is luck.' },
+  likely: { label: 'Likely', className: 'bg-yellow-900/60 text-yellow-300', title: 'Probably a real difference, but keep the test running.' },
+  inconclusive: { label: 'Too close', className: 'bg-gray-700 text-gray-300', title: 'The gap could easily be luck.' },
+  insufficient: { label: 'Too few', className: 'bg-gray-700 text-gray-400', title: `Needs at least ${MIN_SAMPLE} contacted prospects per variant.` },
+};
+
+/**
+ * Shows an A/B test's results per variant: how many prospects were given
+ * it and their contacted, reply and meeting rates, with each variant's
+ * reply rate compared against the leader.
+ */
+function ExperimentResults({ experiment, prospects, templates }) {
+  const summary = useMemo(() => summarizeExperiment(experiment, prospects), [experiment, prospects]);
+  const verdict = summary.significance && SIGNIFICANCE[summary.significance];
+
+  return (
+    <div className="px-4 pb-3">
+      {summary.leader ? (
+        <p className="mb-2 text-sm text-gray-300">
+          Variant {summary.leader} leads on reply rate.{' '}
+          <span className={`px-2 py-0.5 rounded-full text-xs ${verdict.className}`} title={verdict.title}>{verdict.label}</span>
+        </p>
+      ) : (
+        <p className="mb-2 text-sm text-gray-500">Results appear once prospects from at least two variants have been contacted.</p>
+      )}
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-1 font-normal">Variant</th>
+            <th className="py-1 font-normal text-right">Assigned</th>
+            <th className="py-1 font-normal text-right">Contacted</th>
+            <th className="py-1 font-normal text-right">Replied</th>
+            <th className="py-1 font-normal text-right">Meetings</th>
+            <th className="py-1 font-normal text-right">vs. Leader</th>
+          </tr>
+        </thead>
+        <tbody>
+          {summary.variants.map(row => {
+            const variant = experiment.variants.find(v => v.id === row.variant);
+            const template = templates.find(t => t.id === variant.templateId);
+            const significance = row.significance && SIGNIFICANCE[row.significance];
+            return (
+              <tr key={row.variant} className="border-t border-gray-700">
+                <td className="py-1.5 text-gray-200">
+                  <span className="font-semibold text-purple-300">{row.variant}</span>{' '}
+                  {template ? template.name : <span className="text-red-400">Deleted template</span>}
+                  {variant.subject && <span className="block text-xs text-gray-500">Subject: {variant.subject}</span>}
+                </td>
+                <td className="py-1.5 text-right text-gray-300">{row.assigned}</td>
+                <td className="py-1.5 text-right text-gray-300">{row.contacted} <span className="text-gray-500">({formatRate(row.contactRate)})</span></td>
+                <td className="py-1.5 text-right text-gray-300">{row.replied} <span className="text-gray-500">({formatRate(row.replyRate)})</span></td>
+                <td className="py-1.5 text-right text-gray-300">{row.meetings} <span className="text-gray-500">({formatRate(row.meetingRate)})</span></td>
+                <td className="py-1.5 text-right">
+                  {row.isLeader && <Trophy size={14} className="inline text-yellow-400" aria-label="Leader" />}
+                  {significance && (
+                    <span
+                      className={`px-2 py-0.5 rounded-full text-xs ${significance.className}`}
+                      title={`${significance.title}${row.pValue !== null ? ` (p = ${row.pValue.toFixed(3)})` : ''}`}
+                    >
+                      {significance.label}
+                    </span>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Lists A/B tests with their results and controls to edit, pause or
+ * delete them.
+ * @param {object} props
+ * @param {object[]} props.experiments - The A/B tests.
+ * @param {object[]} props.prospects - All prospects.
+ * @param {object[]} props.templates - The templates the variants use.
+ * @param {Function} props.onNew - Called to create a test.
+ * @param {Function} props.onEdit - Called with a test id.
+ * @param {Function} props.onToggle - Called with a test id to pause or resume drafting from it.
+ * @param {Function} props.onDelete - Called with a test id.
+ */
+export default function ExperimentsView({ experiments, prospects, templates, onNew, onEdit, onToggle, onDelete }) {
+  if (experiments.length === 0) {
+    return (
+      <div className="text-center py-10 bg-gray-800 rounded-md">
+        <FlaskConical size={48} className="mx-auto text-gray-500" />
+        <p className="mt-4 text-gray-400">Compare templates or subject lines by splitting your drafts between variants.</p>
+        <button type="button" onClick={onNew} className="mt-4 inline-flex items-center px-3 py-2 text-sm bg-purple-600 hover:bg-purple-700 rounded-md transition-all">
+          <Plus size={16} className="mr-1.5" /> New A/B Test
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center">
+        <p className="text-sm text-gray-400">Pick a test instead of a template when drafting, or when starting a campaign, to split prospects between its variants.</p>
+        <button type="button" onClick={onNew} className="ml-auto flex items-center shrink-0 px-3 py-1.5 text-sm bg-purple-600 hover:bg-purple-700 rounded-md transition-all">
+          <Plus size={16} className="mr-1.5" /> New A/B Test
+        </button>
+      </div>
+      {experiments.map(experiment => (
+        <div key={experiment.id} className="bg-gray-800 rounded-md">
+          <div className="flex flex-wrap items-center gap-3 px-4 py-3">
+            <span className="font-medium text-white">{experiment.name}</span>
+            <span className={`px-2 py-0.5 rounded-full text-xs ${experiment.active ? 'bg-green-900/60 text-green-300' : 'bg-gray-700 text-gray-300'}`}>
+              {experiment.active ? 'active' : 'paused'}
+            </span>
+            <span className="text-xs text-gray-500">
+              {ASSIGNMENT_MODES[experiment.assignment]} · {formatDateTime(experiment.createdAt)}
+            </span>
+            <div className="flex gap-1 ml-auto">
+              <button type="button" onClick={() => onToggle(experiment.id)} className="p-1 text-gray-400 hover:text-green-400" title={experiment.active ? 'Pause: stop drafting from this test' : 'Resume drafting from this test'}>
+                {experiment.active ? <Pause size={18} /> : <Play size={18} />}
+              </button>
+              <button type="button" onClick={() => onEdit(experiment.id)} className="p-1 text-gray-400 hover:text-indigo-400" title="Edit test">
+                <Pencil size={18} />
+              </button>
+              <button type="button" onClick={() => onDelete(experiment.id)} className="p-1 text-gray-400 hover:text-red-500" title="Delete test">
+                <Trash2 size={18} />
+              </button>
+            </div>
+          </div>
+          <ExperimentResults experiment={experiment} prospects={prospects} templates={templates} />
+        </div>
+      ))}
+    </div>
+  );
+}
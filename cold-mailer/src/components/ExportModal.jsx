@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import Modal from './Modal.jsx';
+import { getStatuses } from '../lib/pipeline.js';
+import { EXPORT_FORMATS, getExportColumns, filterByStatus, exportProspects } from '../lib/prospectExport.js';
+import { filterBySegment } from '../lib/segments.js';
+import { downloadFile } from '../lib/download.js';
+
+/**
+ * Lets the user choose a format, columns, a saved segment and statuses,
+ * then downloads the matching prospects.
+ * @param {object} props
+ * @param {object[]} props.prospects - All prospects.
+ * @param {object} props.pipeline - The pipeline stages and custom fields.
+ * @param {object[]} props.segments - The saved segments to export from.
+ * @param {(number|null)} props.initialSegmentId - The segment chosen at first.
+ * @param {Function} props.onClose - Called when the dialog should close.
+ */
+export default function ExportModal({ prospects, pipeline, segments, initialSegmentId, onClose }) {
+  const allColumns = getExportColumns(pipeline.fields);
+  const allStatuses = getStatuses(pipeline);
+  const [format, setFormat] = useState('csv');
+  const [columns, setColumns] = useState(() => allColumns.map(f => f.key));
+  const [statuses, setStatuses] = useState(allStatuses);
+  const [segmentId, setSegmentId] = useState(initialSegmentId ?? null);
+
+  const inSegment = filterBySegment(prospects, segments.find(s => s.id === segmentId) || null);
+  const selected = filterByStatus(inSegment, statuses);
+
+  const toggle = (list, setList, value, order) => {
+    const next = list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+    // Keep the canonical order regardless of click order.
+    setList(order.filter(v => next.includes(v)));
+  };
+
+  const handleExport = () => {
+    const { data, filename, mimeType } = exportProspects(selected, { format, columns, fields: pipeline.fields });
+    downloadFile(data, filename, mimeType);
+    onClose();
+  };
+
+  return (
+    <Modal
+      title="Export Prospects"
+      onClose={onClose}
+      footer={(
+        <>
+          <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all">
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleExport}
+            disabled={selected.length === 0 || columns.length === 0}
+            className="flex items-center px-4 py-2 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-md transition-all"
+          >
+            <Download size={18} className="mr-2" /> Export {selected.length} {selected.length === 1 ? 'Prospect' : 'Prospects'}
+          </button>
+        </>
+      )}
+    >
+      <fieldset>
+        <legend className="text-sm font-semibold text-gray-300 mb-2">Format</legend>
+        <div className="flex flex-wrap gap-4 text-sm">
+          {EXPORT_FORMATS.map(({ key, label }) => (
+            <label key={key} className="flex items-center gap-2">
+              <input type="radio" name="export-format" checked={format === key} onChange={() => setFormat(key)} />
+              {label}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <fieldset>
+        <legend className="text-sm font-semibold text-gray-300 mb-2">Columns</legend>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+          {allColumns.map(({ key, label }) => (
+            <label key={key} className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={columns.includes(key)}
+                onChange={() => toggle(columns, setColumns, key, allColumns.map(f => f.key))}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      {segments.length > 0 && (
+        <div>
+          <label htmlFor="export-segment" className="block text-sm font-semibold text-gray-300 mb-2">Segment</label>
+          <select
+            id="export-segment"
+            value={segmentId ?? ''}
+            onChange={(e) => setSegmentId(e.target.value ? Number(e.target.value) : null)}
+            className="w-full px-3 py-2 bg-gray-800 rounded-md border border-gray-700 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            <option value="">All prospects</option>
+            {segments.map(segment => (
+              <option key={segment.id} value={segment.id}>{segment.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <fieldset>
+        <legend className="text-sm font-semibold text-gray-300 mb-2">Statuses</legend>
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-2 text-sm">
+          {allStatuses.map(status => (
+            <label key={status} className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={statuses.includes(status)}
+                onChange={() => toggle(statuses, setStatuses, status, allStatuses)}
+              />
+              {status} ({inSegment.filter(p => p.status === status).length})
+            </label>
+          ))}
+        </div>
+      </fieldset>
+    </Modal>
+  );
+}
@@ -0,0 +1,210 @@
+import React, { useState, useMemo } from 'react';
+import { Upload, AlertTriangle } from 'lucide-react';
+import Modal from './Modal.jsx';
+import { parseCSV } from '../lib/csv.js';
+import { getStatuses } from '../lib/pipeline.js';
+import { getImportFields, guessColumnMapping, buildImportCandidates, mergeImportCandidates } from '../lib/prospectImport.js';
+
+const PREVIEW_ROWS = 20;
+
+/**
+ * Lets the user pick a CSV file, map its columns onto prospect fields,
+ * preview the rows and merge them into the prospect list.
+ * @param {object} props
+ * @param {object[]} props.prospects - The current prospects, for duplicate detection.
+ * @param {object} props.pipeline - The pipeline stages and custom fields.
+ * @param {Function} props.onImport - Called with the merge result from mergeImportCandidates.
+ * @param {Function} props.onClose - Called when the dialog should close.
+ */
+export default function ImportCSVModal({ prospects, pipeline, onImport, onClose }) {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState([]);
+  const [duplicateMode, setDuplicateMode] = useState('skip');
+  const [error, setError] = useState('');
+
+  const headers = useMemo(() => {
+    if (rows.length === 0) return [];
+    const width = Math.max(...rows.map(r => r.length));
+    return Array.from({ length: width }, (_, i) =>
+      hasHeader ? (rows[0][i] || `Column ${i + 1}`) : `Column ${i + 1}`
+    );
+  }, [rows, hasHeader]);
+
+  const dataRows = useMemo(() => (hasHeader ? rows.slice(1) : rows), [rows, hasHeader]);
+
+  const candidates = useMemo(
+    () => buildImportCandidates(dataRows, mapping, prospects),
+    [dataRows, mapping, prospects]
+  );
+
+  const invalidCount = candidates.filter(c => c.error).length;
+  const duplicateCount = candidates.filter(c => !c.error && (c.duplicateOf || c.duplicateInFile)).length;
+  const mappedKeys = mapping.filter(Boolean);
+  const missingEmailColumn = rows.length > 0 && !mappedKeys.includes('email');
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then(text => {
+      const parsed = parseCSV(text);
+      if (parsed.length === 0) {
+        setError('That file has no rows.');
+        setRows([]);
+        return;
+      }
+      setError('');
+      setFileName(file.name);
+      setRows(parsed);
+      setHasHeader(true);
+      setMapping(guessColumnMapping(parsed[0], pipeline.fields));
+    }, () => {
+      setError('Could not read that file.');
+    });
+  };
+
+  const handleToggleHeader = (checked) => {
+    setHasHeader(checked);
+    if (!checked) {
+      setMapping(mapping.map(() => ''));
+    } else {
+      setMapping(guessColumnMapping(rows[0], pipeline.fields));
+    }
+  };
+
+  const handleMappingChange = (index, key) => {
+    // A field can only come from one column.
+    setMapping(mapping.map((current, i) => {
+      if (i === index) return key;
+      return key && current === key ? '' : current;
+    }));
+  };
+
+  const handleImport = () => {
+    onImport(mergeImportCandidates(prospects, candidates, duplicateMode, getStatuses(pipeline)));
+  };
+
+  const rowStatus = (candidate) => {
+    if (candidate.error) return { text: candidate.error, className: 'text-red-400' };
+    if (candidate.duplicateInFile) return { text: 'Duplicate in file', className: 'text-yellow-400' };
+    if (candidate.duplicateOf) {
+      return {
+        text: duplicateMode === 'update' ? 'Will update existing' : 'Already logged',
+        className: 'text-yellow-400',
+      };
+    }
+    return { text: 'New', className: 'text-green-400' };
+  };
+
+  const importableCount = candidates.filter(c =>
+    !c.error && !c.duplicateInFile && (!c.duplicateOf || duplicateMode === 'update')
+  ).length;
+
+  return (
+    <Modal
+      title="Import Prospects from CSV"
+      onClose={onClose}
+      footer={(
+        <>
+          <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all">
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleImport}
+            disabled={importableCount === 0 || missingEmailColumn}
+            className="flex items-center px-4 py-2 bg-green-600 hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-md transition-all"
+          >
+            <Upload size={18} className="mr-2" /> Import {importableCount} {importableCount === 1 ? 'Prospect' : 'Prospects'}
+          </button>
+        </>
+      )}
+    >
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center px-4 py-2 bg-indigo-600 hover:bg-indigo-700 rounded-md cursor-pointer transition-all">
+          <Upload size={18} className="mr-2" /> Choose CSV File
+          <input type="file" accept=".csv,text/csv" className="hidden" onChange={handleFileChange} />
+        </label>
+        {fileName && <span className="text-sm text-gray-300">{fileName} ({dataRows.length} rows)</span>}
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      {rows.length > 0 && (
+        <>
+          <div className="flex flex-wrap gap-6 text-sm text-gray-300">
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={hasHeader} onChange={(e) => handleToggleHeader(e.target.checked)} />
+              First row is a header
+            </label>
+            <label className="flex items-center gap-2">
+              Duplicates:
+              <select
+                value={duplicateMode}
+                onChange={(e) => setDuplicateMode(e.target.value)}
+                className="bg-gray-700 border border-gray-600 rounded-md px-2 py-1 text-sm text-white"
+              >
+                <option value="skip">Skip</option>
+                <option value="update">Update existing</option>
+              </select>
+            </label>
+          </div>
+
+          {missingEmailColumn && (
+            <p className="flex items-center text-sm text-yellow-400">
+              <AlertTriangle size={16} className="mr-2" /> Map a column to Email so duplicates can be detected.
+            </p>
+          )}
+
+          <p className="text-sm text-gray-400">
+            {candidates.length - invalidCount - duplicateCount} new, {duplicateCount} duplicate, {invalidCount} invalid
+          </p>
+
+          <div className="w-full overflow-x-auto">
+            <table className="min-w-full bg-gray-800 rounded-lg text-sm">
+              <thead>
+                <tr className="border-b border-gray-700">
+                  {headers.map((header, index) => (
+                    <th key={index} className="text-left px-3 py-2 align-top">
+                      <div className="font-semibold text-gray-300 mb-1">{header}</div>
+                      <select
+                        value={mapping[index] || ''}
+                        onChange={(e) => handleMappingChange(index, e.target.value)}
+                        className="bg-gray-700 border border-gray-600 rounded-md px-2 py-1 text-xs text-white"
+                      >
+                        <option value="">Ignore</option>
+                        {getImportFields(pipeline.fields).map(({ key, label }) => (
+                          <option key={key} value={key}>{label}</option>
+                        ))}
+                      </select>
+                    </th>
+                  ))}
+                  <th className="text-left px-3 py-2 align-top font-semibold text-gray-300">Result</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {dataRows.slice(0, PREVIEW_ROWS).map((row, rowIndex) => {
+                  const status = rowStatus(candidates[rowIndex]);
+                  return (
+                    <tr key={rowIndex}>
+                      {headers.map((_, index) => (
+                        <td key={index} className={`px-3 py-2 ${mapping[index] ? 'text-gray-200' : 'text-gray-500'}`}>
+                          {row[index]}
+                        </td>
+                      ))}
+                      <td className={`px-3 py-2 whitespace-nowrap ${status.className}`}>{status.text}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          {dataRows.length > PREVIEW_ROWS && (
+            <p className="text-xs text-gray-500">Showing the first {PREVIEW_ROWS} of {dataRows.length} rows.</p>
+          )}
+        </>
+      )}
+    </Modal>
+  );
+}
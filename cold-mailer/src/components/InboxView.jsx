@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Inbox, RefreshCw, Reply, MailX, X } from 'lucide-react';
+import { formatDateTime } from '../lib/dates.js';
+
+/**
+ * One inbox message the app could not confidently match, with a choice of
+ * prospect to apply it to.
+ */
+function ReviewItem({ item, prospects, onResolve, onDismiss }) {
+  const candidates = item.prospectIds.map(id => prospects.find(p => p.id === id)).filter(Boolean);
+  const [prospectId, setProspectId] = useState(candidates[0]?.id ?? '');
+  const { event } = item;
+  const isBounce = item.kind === 'bounce';
+
+  return (
+    <li className="p-4 space-y-2">
+      <div className="flex items-start gap-2">
+        {isBounce ? <MailX size={18} className="mt-0.5 text-red-400 shrink-0" /> : <Reply size={18} className="mt-0.5 text-indigo-400 shrink-0" />}
+        <div className="flex-1 min-w-0">
+          <p className="text-white truncate">{event.subject || '(no subject)'}</p>
+          <p className="text-xs text-gray-400">
+            {event.from.name ? `${event.from.name} <${event.from.email}>` : event.from.email} · {formatDateTime(event.date)}
+          </p>
+        </div>
+        <button type="button" onClick={() => onDismiss(item.id)} className="p-1 text-gray-500 hover:text-white" title="Dismiss">
+          <X size={16} />
+        </button>
+      </div>
+      {event.snippet && <p className="text-sm text-gray-300 line-clamp-2">{event.snippet}</p>}
+      <p className="text-xs text-yellow-400">{item.reason}</p>
+      {candidates.length > 0 ? (
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={prospectId}
+            onChange={(e) => setProspectId(Number(e.target.value))}
+            className="bg-gray-700 border border-gray-600 rounded-md px-2 py-1 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            aria-label="Prospect"
+          >
+            {candidates.map(p => (
+              <option key={p.id} value={p.id}>{p.firstName} {p.lastName} ({p.email})</option>
+            ))}
+          </select>
+          <button type="button" onClick={() => onResolve(item, prospectId)} className="px-3 py-1 text-sm bg-indigo-600 hover:bg-indigo-700 rounded-md transition-all">
+            {isBounce ? 'Mark as Bounced' : 'Record Reply'}
+          </button>
+        </div>
+      ) : (
+        <p className="text-xs text-gray-500">The matching prospects have been deleted.</p>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Shows the reply-tracking status and the queue of inbox messages that need
+ * a person to decide which prospect they belong to.
+ * @param {object} props
+ * @param {object[]} props.review - The messages waiting for review.
+ * @param {object[]} props.prospects - All prospects.
+ * @param {({enabled: boolean, lastPollAt: (string|null), error: string}|null)} props.status -
+ *   The server's inbox status, or null before the first check.
+ * @param {string} props.error - Why the last check failed, if it did.
+ * @param {boolean} props.canCheck - Whether the companion server is enabled.
+ * @param {boolean} props.isChecking - Whether a check is running.
+ * @param {Function} props.onCheck - Checks the inbox now.
+ * @param {Function} props.onResolve - Called with a review item and the chosen prospect id.
+ * @param {Function} props.onDismiss - Called with a review item id.
+ */
+export default function InboxView({ review, prospects, status, error, canCheck, isChecking, onCheck, onResolve, onDismiss }) {
+  let summary = 'Set up the Mail Server to track replies and bounces.';
+  if (canCheck && status && !status.enabled) summary = 'Reply tracking is off on the companion server. Set IMAP_HOST, IMAP_USER and IMAP_PASS to turn it on.';
+  else if (canCheck && status) summary = status.lastPollAt ? `Inbox last checked ${formatDateTime(status.lastPollAt)}.` : 'Waiting for the first inbox check.';
+  else if (canCheck) summary = 'Replies and bounces are matched to prospects automatically.';
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3 p-3 bg-gray-800 rounded-md text-sm">
+        <p className="flex-1 text-gray-300">{summary}</p>
+        <button
+          type="button"
+          onClick={onCheck}
+          disabled={!canCheck || isChecking}
+          className="flex items-center px-3 py-1.5 bg-gray-700 hover:bg-gray-600 rounded-md transition-all disabled:opacity-50"
+        >
+          <RefreshCw size={16} className={`mr-1.5 ${isChecking ? 'animate-spin' : ''}`} /> Check Now
+        </button>
+        {(error || status?.error) && <p className="w-full text-red-400">{error || `IMAP error: ${status.error}`}</p>}
+      </div>
+
+      {review.length === 0 ? (
+        <div className="text-center py-10 bg-gray-800 rounded-md">
+          <Inbox size={48} className="mx-auto text-gray-500" />
+          <p className="mt-4 text-gray-400">Nothing to review. Messages that can't be matched to a single prospect show up here.</p>
+        </div>
+      ) : (
+        <ul className="bg-gray-800 rounded-md divide-y divide-gray-700">
+          {review.map(item => (
+            <ReviewItem key={item.id} item={item} prospects={prospects} onResolve={onResolve} onDismiss={onDismiss} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
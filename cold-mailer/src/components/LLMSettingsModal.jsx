@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import Modal from './Modal.jsx';
+import { PROVIDER_TYPES } from '../lib/llm.js';
+
+/**
+ * Edits which model provider drafts emails and how to reach it.
+ * @param {object} props
+ * @param {object} props.settings - The current LLM settings.
+ * @param {Function} props.onSave - Called with the new settings.
+ * @param {Function} props.onClose - Called when the dialog should close.
+ */
+export default function LLMSettingsModal({ settings, onSave, onClose }) {
+  const [form, setForm] = useState(settings);
+  const update = (field, value) => setForm({ ...form, [field]: value });
+
+  const inputClass = 'w-full px-4 py-2 bg-gray-800 rounded-md border border-gray-700 focus:outline-none focus:ring-2 focus:ring-purple-500 disabled:opacity-50';
+  const isRemote = form.provider === 'openai';
+
+  return (
+    <Modal
+      title="AI Draft Provider"
+      onClose={onClose}
+      footer={(
+        <>
+          <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all">
+            Cancel
+          </button>
+          <button type="button" onClick={() => onSave(form)} className="px-4 py-2 bg-purple-600 hover:bg-purple-700 rounded-md transition-all">
+            Save
+          </button>
+        </>
+      )}
+    >
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">Provider</label>
+        <select value={form.provider} onChange={(e) => update('provider', e.target.value)} className={inputClass}>
+          {PROVIDER_TYPES.map(({ key, label }) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">Base URL</label>
+        <input
+          type="url"
+          placeholder="http://localhost:11434/v1"
+          value={form.baseUrl}
+          disabled={!isRemote}
+          onChange={(e) => update('baseUrl', e.target.value)}
+          className={inputClass}
+        />
+        <p className="mt-1 text-xs text-gray-500">The path before /chat/completions, e.g. https://api.openai.com/v1 or a local Ollama server.</p>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-300 mb-1">API Key</label>
+          <input
+            type="password"
+            placeholder="Leave empty for local servers"
+            value={form.apiKey}
+            disabled={!isRemote}
+            onChange={(e) => update('apiKey', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Temperature</label>
+          <input
+            type="number"
+            min="0"
+            max="2"
+            step="0.1"
+            value={form.temperature}
+            disabled={!isRemote}
+            onChange={(e) => update('temperature', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">Model</label>
+        <input
+          type="text"
+          placeholder="llama3.1"
+          value={form.model}
+          disabled={!isRemote}
+          onChange={(e) => update('model', e.target.value)}
+          className={inputClass}
+        />
+      </div>
+      <p className="text-xs text-gray-500">Settings, including the API key, are stored in this browser only.</p>
+    </Modal>
+  );
+}
@@ -0,0 +1,47 @@
+import React, { useEffect } from 'react';
+import { X } from 'lucide-react';
+
+/**
+ * A centered dialog over a dimmed backdrop. Closes on Escape.
+ * @param {object} props
+ * @param {string} props.title - The dialog heading.
+ * @param {Function} props.onClose - Called when the dialog should close.
+ * @param {React.ReactNode} props.children - The dialog body.
+ * @param {React.ReactNode} [props.footer] - Buttons shown below the body.
+ */
+export default function Modal({ title, onClose, children, footer }) {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label={title}
+        className="w-full max-w-4xl max-h-[90vh] flex flex-col bg-gray-900 text-gray-100 rounded-lg shadow-2xl border border-gray-700"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center px-6 py-4 border-b border-gray-700">
+          <h2 className="text-xl font-bold text-white">{title}</h2>
+          <button type="button" onClick={onClose} className="p-1 text-gray-400 hover:text-white" aria-label="Close">
+            <X size={20} />
+          </button>
+        </div>
+        <div className="px-6 py-4 overflow-y-auto space-y-4">
+          {children}
+        </div>
+        {footer && (
+          <div className="flex justify-end gap-2 px-6 py-4 border-t border-gray-700">
+            {footer}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
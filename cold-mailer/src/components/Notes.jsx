@@ -0,0 +1,60 @@
+import React from 'react';
+import { parseNotes, isSafeLink } from '../lib/markdown.js';
+
+function Spans({ spans }) {
+  return spans.map((span, index) => {
+    switch (span.type) {
+      case 'bold':
+        return <strong key={index}>{span.text}</strong>;
+      case 'italic':
+        return <em key={index}>{span.text}</em>;
+      case 'code':
+        return <code key={index} className="px-1 bg-gray-700 rounded text-xs">{span.text}</code>;
+      case 'link':
+        return isSafeLink(span.href)
+          ? <a key={index} href={span.href} target="_blank" rel="noopener noreferrer" className="text-indigo-300 underline">{span.text}</a>
+          : <span key={index}>{span.text}</span>;
+      default:
+        return <span key={index}>{span.text}</span>;
+    }
+  });
+}
+
+/**
+ * Renders markdown-ish prospect notes.
+ * @param {object} props
+ * @param {string} props.text - The notes.
+ */
+export default function Notes({ text }) {
+  const blocks = parseNotes(text);
+  if (blocks.length === 0) {
+    return <p className="text-sm text-gray-500">No notes yet.</p>;
+  }
+
+  return (
+    <div className="space-y-2 text-sm text-gray-200">
+      {blocks.map((block, index) => {
+        if (block.type === 'heading') {
+          return <h4 key={index} className="font-semibold text-white"><Spans spans={block.spans} /></h4>;
+        }
+        if (block.type === 'list') {
+          return (
+            <ul key={index} className="list-disc pl-5 space-y-0.5">
+              {block.items.map((spans, i) => <li key={i}><Spans spans={spans} /></li>)}
+            </ul>
+          );
+        }
+        return (
+          <p key={index}>
+            {block.lines.map((spans, i) => (
+              <React.Fragment key={i}>
+                {i > 0 && <br />}
+                <Spans spans={spans} />
+              </React.Fragment>
+            ))}
+          </p>
+        );
+      })}
+    </div>
+  );
+}
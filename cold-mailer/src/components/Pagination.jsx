@@ -0,0 +1,43 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { PAGE_SIZES } from '../lib/prospectQuery.js';
+
+/**
+ * Page navigation and page size picker for a long list.
+ * @param {object} props
+ * @param {number} props.page - The current 1-based page.
+ * @param {number} props.pageCount - The number of pages.
+ * @param {number} props.pageSize - Items per page.
+ * @param {number} props.total - The number of items across all pages.
+ * @param {Function} props.onPageChange - Called with the new page.
+ * @param {Function} props.onPageSizeChange - Called with the new page size.
+ */
+export default function Pagination({ page, pageCount, pageSize, total, onPageChange, onPageSizeChange }) {
+  const first = total === 0 ? 0 : (page - 1) * pageSize + 1;
+  const last = Math.min(total, page * pageSize);
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-2 mt-4 text-sm text-gray-400">
+      <span>Showing {first}–{last} of {total}</span>
+      <div className="flex items-center gap-2">
+        <select
+          value={pageSize}
+          onChange={(e) => onPageSizeChange(Number(e.target.value))}
+          className="bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-sm text-white"
+          aria-label="Rows per page"
+        >
+          {PAGE_SIZES.map(size => (
+            <option key={size} value={size}>{size} / page</option>
+          ))}
+        </select>
+        <button type="button" disabled={page <= 1} onClick={() => onPageChange(page - 1)} className="p-1 hover:text-white disabled:opacity-30" aria-label="Previous page">
+          <ChevronLeft size={18} />
+        </button>
+        <span>Page {page} of {pageCount}</span>
+        <button type="button" disabled={page >= pageCount} onClick={() => onPageChange(page + 1)} className="p-1 hover:text-white disabled:opacity-30" aria-label="Next page">
+          <ChevronRight size={18} />
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import Modal from './Modal.jsx';
+import { DEFAULT_PATTERNS, validatePattern } from '../lib/emailPatterns.js';
+
+/**
+ * Edits the list of email pattern templates used for guesses.
+ * @param {object} props
+ * @param {string[]} props.patterns - The current templates.
+ * @param {Function} props.onSave - Called with the new template list.
+ * @param {Function} props.onClose - Called when the dialog should close.
+ */
+export default function PatternEditor({ patterns, onSave, onClose }) {
+  const [text, setText] = useState(patterns.join('\n'));
+
+  const lines = [...new Set(text.split('\n').map(line => line.trim()).filter(Boolean))];
+  const errors = lines
+    .map(line => ({ line, error: validatePattern(line) }))
+    .filter(({ error }) => error);
+
+  return (
+    <Modal
+      title="Email Patterns"
+      onClose={onClose}
+      footer={(
+        <>
+          <button type="button" onClick={() => setText(DEFAULT_PATTERNS.join('\n'))} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all mr-auto">
+            Reset to Defaults
+          </button>
+          <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all">
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={() => onSave(lines)}
+            disabled={lines.length === 0 || errors.length > 0}
+            className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-md transition-all"
+          >
+            Save Patterns
+          </button>
+        </>
+      )}
+    >
+      <p className="text-sm text-gray-300">
+        One pattern per line, most likely first. Available tokens:
+        {' '}<code>{'{first}'}</code>, <code>{'{last}'}</code>, <code>{'{middle}'}</code>,
+        {' '}<code>{'{f}'}</code>, <code>{'{l}'}</code>, <code>{'{m}'}</code> (initials).
+      </p>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        className="w-full h-64 p-3 bg-gray-800 rounded-md border border-gray-700 text-sm font-mono"
+      />
+      {errors.map(({ line, error }) => (
+        <p key={line} className="text-sm text-red-400"><code>{line}</code> {error}.</p>
+      ))}
+    </Modal>
+  );
+}
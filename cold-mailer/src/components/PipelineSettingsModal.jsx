@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, ArrowUp, ArrowDown } from 'lucide-react';
+import Modal from './Modal.jsx';
+import {
+  STAGE_COLORS,
+  FIELD_TYPES,
+  SUGGESTED_FIELDS,
+  isBuiltInStage,
+  createStage,
+  createField,
+  validatePipeline,
+} from '../lib/pipeline.js';
+
+const move = (list, index, offset) => {
+  const next = [...list];
+  [next[index], next[index + offset]] = [next[index + offset], next[index]];
+  return next;
+};
+
+/**
+ * Edits the pipeline stages (names, colors and order) and the custom
+ * prospect fields. Nothing is applied until the dialog is saved.
+ * @param {object} props
+ * @param {object} props.pipeline - The current pipeline settings.
+ * @param {Object<string, number>} props.statusCounts - How many prospects are in each stage.
+ * @param {Function} props.onSave - Called with the new pipeline settings.
+ * @param {Function} props.onClose - Called when the dialog should close.
+ */
+export default function PipelineSettingsModal({ pipeline, statusCounts, onSave, onClose }) {
+  const [stages, setStages] = useState(pipeline.stages);
+  const [fields, setFields] = useState(pipeline.fields);
+  const [stageName, setStageName] = useState('');
+  const [fieldLabel, setFieldLabel] = useState('');
+  const [fieldType, setFieldType] = useState('text');
+  const [errors, setErrors] = useState([]);
+
+  const updateStage = (id, changes) => setStages(stages.map(s => (s.id === id ? { ...s, ...changes } : s)));
+  const updateField = (key, changes) => setFields(fields.map(f => (f.key === key ? { ...f, ...changes } : f)));
+
+  const handleAddStage = (e) => {
+    e.preventDefault();
+    if (!stageName.trim()) return;
+    setStages([...stages, createStage(stageName.trim())]);
+    setStageName('');
+  };
+
+  const handleAddField = (label, type) => {
+    if (!label.trim()) return;
+    setFields([...fields, createField(label.trim(), type, fields)]);
+    setFieldLabel('');
+  };
+
+  const handleSave = () => {
+    const next = {
+      stages: stages.map(s => ({ ...s, name: s.name.trim() })),
+      fields: fields.map(f => ({ ...f, label: f.label.trim() })),
+    };
+    const found = validatePipeline(next);
+    setErrors(found);
+    if (found.length === 0) onSave(next);
+  };
+
+  const inputClass = 'px-3 py-1.5 bg-gray-800 rounded-md border border-gray-700 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+  const unusedSuggestions = SUGGESTED_FIELDS.filter(s => !fields.some(f => f.label.toLowerCase() === s.label.toLowerCase()));
+
+  return (
+    <Modal
+      title="Pipeline Stages & Fields"
+      onClose={onClose}
+      footer={(
+        <>
+          <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all">
+            Cancel
+          </button>
+          <button type="button" onClick={handleSave} className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 rounded-md transition-all">
+            Save
+          </button>
+        </>
+      )}
+    >
+      {errors.length > 0 && (
+        <div className="p-3 bg-red-900/40 border border-red-700 rounded-md text-sm text-red-200">
+          {errors.map(error => <p key={error}>{error}</p>)}
+        </div>
+      )}
+
+      <section className="space-y-2">
+        <h3 className="text-sm font-semibold text-gray-300">Stages</h3>
+        <p className="text-xs text-gray-500">
+          Built-in stages can be recolored and reordered but not renamed, because the app moves prospects into them
+          when emails are sent and replies arrive. Follow-up sequences only run while a prospect is Not Contacted or Contacted.
+        </p>
+        <ol className="space-y-1.5">
+          {stages.map((stage, index) => {
+            const builtIn = isBuiltInStage(pipeline.stages.find(s => s.id === stage.id)?.name ?? '');
+            const count = statusCounts[stage.name] || 0;
+            return (
+              <li key={stage.id} className="flex items-center gap-2">
+                <span className={`w-3 h-3 shrink-0 rounded-full ${STAGE_COLORS[stage.color].dot}`} />
+                <select
+                  value={stage.color}
+                  onChange={(e) => updateStage(stage.id, { color: e.target.value })}
+                  className={inputClass}
+                  aria-label={`Color of ${stage.name}`}
+                >
+                  {Object.entries(STAGE_COLORS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={stage.name}
+                  readOnly={builtIn}
+                  onChange={(e) => updateStage(stage.id, { name: e.target.value })}
+                  className={`flex-1 ${inputClass} ${builtIn ? 'text-gray-400' : ''}`}
+                  aria-label="Stage name"
+                />
+                <span className="w-20 text-xs text-gray-500 text-right">{count} {count === 1 ? 'prospect' : 'prospects'}</span>
+                <button type="button" disabled={index === 0} onClick={() => setStages(move(stages, index, -1))} className="p-1 text-gray-400 hover:text-white disabled:opacity-30" title="Move up">
+                  <ArrowUp size={16} />
+                </button>
+                <button type="button" disabled={index === stages.length - 1} onClick={() => setStages(move(stages, index, 1))} className="p-1 text-gray-400 hover:text-white disabled:opacity-30" title="Move down">
+                  <ArrowDown size={16} />
+                </button>
+                <button
+                  type="button"
+                  disabled={builtIn || count > 0}
+                  onClick={() => setStages(stages.filter(s => s.id !== stage.id))}
+                  className="p-1 text-gray-400 hover:text-red-500 disabled:opacity-30 disabled:hover:text-gray-400"
+                  title={builtIn ? 'Built-in stages cannot be removed' : count > 0 ? 'Move its prospects to another stage first' : 'Remove stage'}
+                >
+                  <Trash2 size={16} />
+                </button>
+              </li>
+            );
+          })}
+        </ol>
+        <form onSubmit={handleAddStage} className="flex gap-2">
+          <input
+            type="text"
+            value={stageName}
+            onChange={(e) => setStageName(e.target.value)}
+            placeholder="New stage, e.g. Nurture"
+            className={`flex-1 ${inputClass}`}
+          />
+          <button type="submit" className="flex items-center px-3 py-1.5 text-sm bg-gray-700 hover:bg-gray-600 rounded-md">
+            <Plus size={16} className="mr-1" /> Add Stage
+          </button>
+        </form>
+      </section>
+
+      <section className="space-y-2">
+        <h3 className="text-sm font-semibold text-gray-300">Custom Fields</h3>
+        <p className="text-xs text-gray-500">
+          Custom fields appear in the logging form, the table, filters and exports. Removing a field hides it; values already
+          entered stay on the prospects.
+        </p>
+        {fields.length === 0 && <p className="text-sm text-gray-500">No custom fields yet.</p>}
+        <ul className="space-y-1.5">
+          {fields.map(field => (
+            <li key={field.key} className="flex items-center gap-2">
+              <input
+                type="text"
+                value={field.label}
+                onChange={(e) => updateField(field.key, { label: e.target.value })}
+                className={`flex-1 ${inputClass}`}
+                aria-label="Field label"
+              />
+              <select value={field.type} onChange={(e) => updateField(field.key, { type: e.target.value })} className={inputClass} aria-label="Field type">
+                {FIELD_TYPES.map(({ key, label }) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+              <button type="button" onClick={() => setFields(fields.filter(f => f.key !== field.key))} className="p-1 text-gray-400 hover:text-red-500" title="Remove field">
+                <Trash2 size={16} />
+              </button>
+            </li>
+          ))}
+        </ul>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={fieldLabel}
+            onChange={(e) => setFieldLabel(e.target.value)}
+            placeholder="New field label"
+            className={`flex-1 ${inputClass}`}
+          />
+          <select value={fieldType} onChange={(e) => setFieldType(e.target.value)} className={inputClass} aria-label="New field type">
+            {FIELD_TYPES.map(({ key, label }) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <button type="button" onClick={() => handleAddField(fieldLabel, fieldType)} className="flex items-center px-3 py-1.5 text-sm bg-gray-700 hover:bg-gray-600 rounded-md">
+            <Plus size={16} className="mr-1" /> Add Field
+          </button>
+        </div>
+        {unusedSuggestions.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 text-xs text-gray-400">
+            Suggestions:
+            {unusedSuggestions.map(({ label, type }) => (
+              <button key={label} type="button" onClick={() => handleAddField(label, type)} className="px-2 py-1 bg-gray-800 hover:bg-gray-700 rounded-md">
+                + {label}
+              </button>
+            ))}
+          </div>
+        )}
+      </section>
+    </Modal>
+  );
+}
@@ -0,0 +1,277 @@
+import React, { useState } from 'react';
+import { Trash2, Mail, MailPlus, X, ChevronDown, ChevronRight, ChevronUp, Pencil } from 'lucide-react';
+import ProspectTimeline from './ProspectTimeline.jsx';
+import Notes from './Notes.jsx';
+import EmailBadge from './EmailBadge.jsx';
+import { getCreatedAt } from '../lib/prospects.js';
+import { getStatuses, getStatusOptions, getStageColor, getCustomValue } from '../lib/pipeline.js';
+import { countEngagement } from '../lib/analytics.js';
+import { getNextStep } from '../lib/sequences.js';
+import { formatDate, startOfDay, endOfDay } from '../lib/dates.js';
+
+/**
+ * Shows a prospect's sequence progress and the next due step.
+ */
+function SequenceCell({ prospect, sequences, onAttachSequence, onDetachSequence, onDraftStep }) {
+  const { sequence } = prospect;
+
+  if (!sequence) {
+    return (
+      <select
+        value=""
+        onChange={(e) => onAttachSequence(prospect.id, Number(e.target.value))}
+        className="bg-gray-700 border border-gray-600 rounded-md px-2 py-1 text-sm text-gray-300 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        aria-label="Add to sequence"
+      >
+        <option value="" disabled>Add to sequence…</option>
+        {sequences.map(s => (
+          <option key={s.id} value={s.id}>{s.name}</option>
+        ))}
+      </select>
+    );
+  }
+
+  const next = getNextStep(prospect);
+  const sentCount = sequence.steps.filter(step => step.sentAt).length;
+  const now = new Date();
+  let dueClass = 'text-gray-400';
+  if (next && next.dueAt < startOfDay(now)) {
+    dueClass = 'text-red-400';
+  } else if (next && next.dueAt <= endOfDay(now)) {
+    dueClass = 'text-yellow-400';
+  }
+
+  return (
+    <div className="text-sm">
+      <div className="flex items-center gap-1 text-gray-300">
+        {sequence.name} <span className="text-gray-500">({sentCount}/{sequence.steps.length})</span>
+        <button type="button" onClick={() => onDetachSequence(prospect.id)} className="p-0.5 text-gray-500 hover:text-red-500" title="Remove from sequence">
+          <X size={14} />
+        </button>
+      </div>
+      {next ? (
+        <div className={`flex items-center gap-1 ${dueClass}`}>
+          {next.step.name}: {formatDate(next.dueAt)}
+          <button type="button" onClick={() => onDraftStep(prospect, next.index)} className="p-0.5 text-gray-400 hover:text-purple-400" title="Draft this step">
+            <Mail size={14} />
+          </button>
+        </div>
+      ) : (
+        <div className="text-gray-500">{sentCount === sequence.steps.length ? 'Completed' : `Stopped (${prospect.bouncedAt ? 'bounced' : prospect.status})`}</div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Shows a custom field value, linked when the field holds URLs or phone numbers.
+ */
+function CustomValue({ field, value }) {
+  if (!value) return <span className="text-gray-600">—</span>;
+  if (field.type === 'url' && /^https?:\/\//i.test(value)) {
+    return <a href={value} target="_blank" rel="noopener noreferrer" className="text-indigo-300 hover:underline break-all">{value.replace(/^https?:\/\/(www\.)?/i, '')}</a>;
+  }
+  if (field.type === 'phone') {
+    return <a href={`tel:${value.replace(/[^\d+]/g, '')}`} className="text-indigo-300 hover:underline">{value}</a>;
+  }
+  return value;
+}
+
+/**
+ * A column header that sorts the table when clicked: ascending, then
+ * descending, then back to the original order.
+ */
+function SortHeader({ field, label, sort, onSort, className }) {
+  const active = sort && sort.field === field;
+  const handleClick = () => {
+    if (!active) onSort({ field, direction: 'asc' });
+    else if (sort.direction === 'asc') onSort({ field, direction: 'desc' });
+    else onSort(null);
+  };
+
+  return (
+    <th
+      className={`text-left px-4 py-3 text-sm font-semibold text-gray-300 uppercase ${className || ''}`}
+      aria-sort={active ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+    >
+      <button type="button" onClick={handleClick} className="flex items-center uppercase p-0 bg-transparent hover:text-white">
+        {label}
+        {active && (sort.direction === 'asc' ? <ChevronUp size={14} className="ml-1" /> : <ChevronDown size={14} className="ml-1" />)}
+      </button>
+    </th>
+  );
+}
+
+/**
+ * The table of logged prospects.
+ * @param {object} props
+ * @param {object[]} props.prospects - The prospects to show, in display order.
+ * @param {object[]} props.sequences - The sequence definitions.
+ * @param {object} props.pipeline - The pipeline stages and custom fields.
+ * @param {Function} props.onUpdateStatus - Called with a prospect id and new status.
+ * @param {Function} props.onDelete - Called with a prospect id.
+ * @param {Function} props.onAttachSequence - Called with a prospect id and sequence id.
+ * @param {Function} props.onDetachSequence - Called with a prospect id.
+ * @param {Function} props.onDraftStep - Called with a prospect and step index.
+ * @param {Function} props.onAddNote - Called with a prospect id and note text.
+ * @param {Function} props.onEdit - Called with a prospect to open it for editing.
+ * @param {Function} props.onCompose - Called with a prospect to write them an email.
+ * @param {Set<number>} props.selectedIds - The ids of the selected prospects.
+ * @param {Function} props.onToggleSelect - Called with a prospect id to select or deselect it.
+ * @param {Function} props.onSelectAll - Called with ids and whether to select them.
+ * @param {({field: string, direction: string}|null)} props.sort - The current sort.
+ * @param {Function} props.onSort - Called with the new sort, or null for none.
+ */
+export default function ProspectTable({
+  prospects,
+  sequences,
+  pipeline,
+  onUpdateStatus,
+  onDelete,
+  onAttachSequence,
+  onDetachSequence,
+  onDraftStep,
+  onAddNote,
+  onEdit,
+  onCompose,
+  selectedIds,
+  onToggleSelect,
+  onSelectAll,
+  sort,
+  onSort,
+}) {
+  const [expandedId, setExpandedId] = useState(null);
+  const allSelected = prospects.length > 0 && prospects.every(p => selectedIds.has(p.id));
+  const statuses = getStatuses(pipeline);
+
+  return (
+    <table className="min-w-full bg-gray-800 rounded-lg shadow">
+      <thead>
+        <tr className="border-b border-gray-700">
+          <th className="pl-4 py-3 w-8">
+            <input
+              type="checkbox"
+              checked={allSelected}
+              onChange={() => onSelectAll(prospects.map(p => p.id), !allSelected)}
+              aria-label="Select all on this page"
+            />
+          </th>
+          <SortHeader field="name" label="Contact" sort={sort} onSort={onSort} />
+          <SortHeader field="company" label="Company" sort={sort} onSort={onSort} className="hidden md:table-cell" />
+          <th className="text-left px-4 py-3 text-sm font-semibold text-gray-300 uppercase hidden lg:table-cell">Email</th>
+          <SortHeader field="status" label="Status" sort={sort} onSort={onSort} />
+          <SortHeader field="createdAt" label="Added" sort={sort} onSort={onSort} className="hidden xl:table-cell" />
+          <SortHeader field="opens" label="Opens" sort={sort} onSort={onSort} className="hidden lg:table-cell" />
+          <SortHeader field="clicks" label="Clicks" sort={sort} onSort={onSort} className="hidden lg:table-cell" />
+          {pipeline.fields.map(field => (
+            <th key={field.key} className="text-left px-4 py-3 text-sm font-semibold text-gray-300 uppercase hidden xl:table-cell">{field.label}</th>
+          ))}
+          <th className="text-left px-4 py-3 text-sm font-semibold text-gray-300 uppercase hidden md:table-cell">Sequence</th>
+          <th className="text-right px-4 py-3 text-sm font-semibold text-gray-300 uppercase">Actions</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-700">
+        {prospects.map(prospect => {
+          const { opens, clicks } = countEngagement(prospect);
+          return (
+            <React.Fragment key={prospect.id}>
+              <tr className={selectedIds.has(prospect.id) ? 'bg-indigo-900/20' : 'hover:bg-gray-700/50'}>
+                <td className="pl-4 py-3 w-8">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.has(prospect.id)}
+                    onChange={() => onToggleSelect(prospect.id)}
+                    aria-label={`Select ${prospect.firstName} ${prospect.lastName}`.trim()}
+                  />
+                </td>
+                <td className="px-4 py-3">
+                  <button
+                    type="button"
+                    onClick={() => setExpandedId(expandedId === prospect.id ? null : prospect.id)}
+                    className="flex items-center font-medium text-white text-left p-0 bg-transparent"
+                    aria-expanded={expandedId === prospect.id}
+                    title="Show activity"
+                  >
+                    {expandedId === prospect.id ? <ChevronDown size={16} className="mr-1 text-gray-400" /> : <ChevronRight size={16} className="mr-1 text-gray-400" />}
+                    {prospect.firstName} {prospect.lastName}
+                  </button>
+                  <div className="text-sm text-gray-400 md:hidden">{prospect.company}</div>
+                  <div className="text-sm text-gray-400">{prospect.title}</div>
+                  {prospect.tags && prospect.tags.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-1">
+                      {prospect.tags.map(tag => (
+                        <span key={tag} className="px-1.5 py-0.5 text-xs bg-gray-700 text-gray-300 rounded">{tag}</span>
+                      ))}
+                    </div>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-300 hidden md:table-cell">{prospect.company}</td>
+                <td className="px-4 py-3 text-sm text-indigo-300 hidden lg:table-cell">
+                  <span className="inline-flex items-center gap-1.5">
+                    <EmailBadge email={prospect.email} domain={prospect.domain} bouncedAt={prospect.bouncedAt} />
+                    {prospect.email}
+                  </span>
+                </td>
+                <td className="px-4 py-3">
+                  <select
+                    value={prospect.status}
+                    onChange={(e) => onUpdateStatus(prospect.id, e.target.value)}
+                    className={`border border-gray-600 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 ${getStageColor(pipeline, prospect.status).badge}`}
+                  >
+                    {getStatusOptions(statuses, prospect.status).map(status => (
+                      <option key={status}>{status}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-400 hidden xl:table-cell whitespace-nowrap">{formatDate(getCreatedAt(prospect))}</td>
+                <td className={`px-4 py-3 text-sm hidden lg:table-cell ${opens > 0 ? 'text-green-300' : 'text-gray-600'}`}>{opens}</td>
+                <td className={`px-4 py-3 text-sm hidden lg:table-cell ${clicks > 0 ? 'text-green-300' : 'text-gray-600'}`}>{clicks}</td>
+                {pipeline.fields.map(field => (
+                  <td key={field.key} className="px-4 py-3 text-sm text-gray-300 hidden xl:table-cell">
+                    <CustomValue field={field} value={getCustomValue(prospect, field.key)} />
+                  </td>
+                ))}
+                <td className="px-4 py-3 hidden md:table-cell">
+                  <SequenceCell
+                    prospect={prospect}
+                    sequences={sequences}
+                    onAttachSequence={onAttachSequence}
+                    onDetachSequence={onDetachSequence}
+                    onDraftStep={onDraftStep}
+                  />
+                </td>
+                <td className="px-4 py-3 text-right whitespace-nowrap">
+                  <button onClick={() => onCompose(prospect)} className="text-gray-400 hover:text-green-400 p-1" title="Write email">
+                    <MailPlus size={18} />
+                  </button>
+                  <button onClick={() => onEdit(prospect)} className="text-gray-400 hover:text-indigo-400 p-1" title="Edit prospect">
+                    <Pencil size={18} />
+                  </button>
+                  <button onClick={() => onDelete(prospect.id)} className="text-gray-400 hover:text-red-500 p-1">
+                    <Trash2 size={18} />
+                  </button>
+                </td>
+              </tr>
+              {expandedId === prospect.id && (
+                <tr className="bg-gray-900/40">
+                  <td colSpan={10 + pipeline.fields.length} className="px-8 py-4">
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                      <div>
+                        <h4 className="text-sm font-semibold text-gray-300 uppercase mb-2">Notes</h4>
+                        <Notes text={prospect.notes} />
+                      </div>
+                      <div>
+                        <h4 className="text-sm font-semibold text-gray-300 uppercase mb-2">Activity</h4>
+                        <ProspectTimeline prospect={prospect} onAddNote={onAddNote} />
+                      </div>
+                    </div>
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { Clock } from 'lucide-react';
+import { getTimeline, describeEvent } from '../lib/timeline.js';
+import { formatDateTime } from '../lib/dates.js';
+
+/**
+ * A prospect's activity timeline, newest first, with a box to add notes.
+ * @param {object} props
+ * @param {object} props.prospect - The prospect.
+ * @param {Function} props.onAddNote - Called with the prospect id and note text.
+ */
+export default function ProspectTimeline({ prospect, onAddNote }) {
+  const [note, setNote] = useState('');
+  const events = getTimeline(prospect);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!note.trim()) return;
+    onAddNote(prospect.id, note.trim());
+    setNote('');
+  };
+
+  return (
+    <div className="space-y-3">
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Log a note, e.g. Called, left voicemail"
+          className="flex-1 px-3 py-1.5 bg-gray-800 rounded-md border border-gray-700 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+        <button type="submit" className="px-3 py-1.5 text-sm bg-indigo-600 hover:bg-indigo-700 rounded-md transition-all">
+          Add Note
+        </button>
+      </form>
+      {events.length === 0 ? (
+        <p className="text-sm text-gray-500">No activity recorded yet.</p>
+      ) : (
+        <ol className="space-y-1.5 border-l border-gray-600 pl-4">
+          {events.map((event, index) => (
+            <li key={index} className="text-sm">
+              <span className="flex items-center text-xs text-gray-500">
+                <Clock size={12} className="mr-1" /> {formatDateTime(event.at)}
+              </span>
+              <span className={event.type === 'note_added' ? 'text-gray-100 whitespace-pre-wrap' : 'text-gray-300'}>
+                {describeEvent(event)}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
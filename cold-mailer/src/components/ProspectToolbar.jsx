@@ -0,0 +1,153 @@
+import React from 'react';
+import { Search, X, Bookmark, BookmarkPlus } from 'lucide-react';
+import { getStatuses, getStageColor } from '../lib/pipeline.js';
+import { EMPTY_FILTERS, hasActiveFilters } from '../lib/prospectQuery.js';
+
+const selectClass = 'max-w-48 bg-gray-800 border border-gray-700 rounded-md px-2 py-1.5 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+/**
+ * Search box and filters for the prospect table.
+ * @param {object} props
+ * @param {object} props.filters - The current filters.
+ * @param {string[]} props.companies - The company names to filter by.
+ * @param {string[]} props.tags - The tags to filter by.
+ * @param {object} props.pipeline - The pipeline stages and custom fields.
+ * @param {object[]} props.segments - The saved segments to narrow the table to.
+ * @param {Function} props.onChange - Called with the new filters.
+ * @param {Function} props.onSaveSegment - Called to save the current filters as a segment.
+ * @param {Function} props.onManageSegments - Called to open the segment manager.
+ */
+export default function ProspectToolbar({ filters, companies, tags, pipeline, segments, onChange, onSaveSegment, onManageSegments }) {
+  const statuses = getStatuses(pipeline);
+  const toggleStatus = (status) => {
+    const selected = filters.statuses.includes(status)
+      ? filters.statuses.filter(s => s !== status)
+      : statuses.filter(s => s === status || filters.statuses.includes(s));
+    onChange({ ...filters, statuses: selected });
+  };
+
+  const canSaveSegment = filters.statuses.length > 0 || Boolean(filters.company) || Boolean(filters.tag);
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4">
+      <div className="flex">
+        <select
+          value={filters.segmentId ?? ''}
+          onChange={(e) => onChange({ ...filters, segmentId: e.target.value ? Number(e.target.value) : null })}
+          className={`${selectClass} rounded-r-none`}
+          aria-label="Show a saved segment"
+        >
+          <option value="">All prospects</option>
+          {segments.map(segment => (
+            <option key={segment.id} value={segment.id}>{segment.name}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={onManageSegments}
+          className="px-2 bg-gray-800 border border-l-0 border-gray-700 rounded-r-md text-gray-400 hover:text-white"
+          title="Manage saved segments"
+        >
+          <Bookmark size={16} />
+        </button>
+      </div>
+
+      <div className="relative flex-1 min-w-48">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-500" size={16} />
+        <input
+          type="search"
+          value={filters.search}
+          onChange={(e) => onChange({ ...filters, search: e.target.value })}
+          placeholder="Search name, company, email, title or tags"
+          className="w-full pl-9 pr-3 py-1.5 bg-gray-800 rounded-md border border-gray-700 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+      </div>
+
+      <div className="flex flex-wrap gap-1" role="group" aria-label="Filter by status">
+        {statuses.map(status => (
+          <button
+            key={status}
+            type="button"
+            aria-pressed={filters.statuses.includes(status)}
+            onClick={() => toggleStatus(status)}
+            className={`flex items-center px-2 py-1 text-xs rounded-md transition-all ${filters.statuses.includes(status) ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'}`}
+          >
+            <span className={`w-2 h-2 mr-1.5 rounded-full ${getStageColor(pipeline, status).dot}`} />
+            {status}
+          </button>
+        ))}
+      </div>
+
+      <select
+        value={filters.company}
+        onChange={(e) => onChange({ ...filters, company: e.target.value })}
+        className={selectClass}
+        aria-label="Filter by company"
+      >
+        <option value="">All companies</option>
+        {companies.map(company => (
+          <option key={company} value={company}>{company}</option>
+        ))}
+      </select>
+
+      {tags.length > 0 && (
+        <select
+          value={filters.tag}
+          onChange={(e) => onChange({ ...filters, tag: e.target.value })}
+          className={selectClass}
+          aria-label="Filter by tag"
+        >
+          <option value="">All tags</option>
+          {tags.map(tag => (
+            <option key={tag} value={tag}>{tag}</option>
+          ))}
+        </select>
+      )}
+
+      {pipeline.fields.length > 0 && (
+        <div className="flex">
+          <select
+            value={filters.field}
+            onChange={(e) => onChange({ ...filters, field: e.target.value })}
+            className={`${selectClass} rounded-r-none`}
+            aria-label="Filter by custom field"
+          >
+            <option value="">Any field…</option>
+            {pipeline.fields.map(({ key, label }) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={filters.fieldValue}
+            disabled={!filters.field}
+            onChange={(e) => onChange({ ...filters, fieldValue: e.target.value })}
+            placeholder="contains…"
+            aria-label="Custom field value"
+            className="w-28 px-2 py-1.5 bg-gray-800 border border-l-0 border-gray-700 rounded-r-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
+          />
+        </div>
+      )}
+
+      {canSaveSegment && (
+        <button
+          type="button"
+          onClick={onSaveSegment}
+          disabled={filters.segmentId !== null}
+          className="flex items-center px-2 py-1.5 text-sm text-gray-400 hover:text-white disabled:opacity-50 disabled:hover:text-gray-400"
+          title={filters.segmentId !== null
+            ? 'Clear the segment first, or edit its rules under Manage saved segments'
+            : 'Save the status, company and tag filters as a segment'}
+        >
+          <BookmarkPlus size={14} className="mr-1" /> Save as Segment
+        </button>
+      )}
+
+      {hasActiveFilters(filters) && (
+        <button type="button" onClick={() => onChange(EMPTY_FILTERS)} className="flex items-center px-2 py-1.5 text-sm text-gray-400 hover:text-white">
+          <X size={14} className="mr-1" /> Clear
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, ArrowUp, ArrowDown, RotateCcw } from 'lucide-react';
+import Modal from './Modal.jsx';
+import { SEARCH_VARIABLES, DEFAULT_PROVIDERS, createProvider, validateProviders } from '../lib/searchProviders.js';
+
+const move = (list, index, offset) => {
+  const next = [...list];
+  [next[index], next[index + offset]] = [next[index + offset], next[index]];
+  return next;
+};
+
+/**
+ * Edits the Magic Search sources: their names, URL templates, order and
+ * whether they are shown. Nothing is applied until the dialog is saved.
+ * @param {object} props
+ * @param {object[]} props.providers - The current search providers.
+ * @param {Function} props.onSave - Called with the new providers.
+ * @param {Function} props.onClose - Called when the dialog should close.
+ */
+export default function SearchProvidersModal({ providers, onSave, onClose }) {
+  const [list, setList] = useState(providers);
+  const [errors, setErrors] = useState([]);
+
+  const update = (id, changes) => setList(list.map(p => (p.id === id ? { ...p, ...changes } : p)));
+
+  const handleReset = () => {
+    if (window.confirm('Replace your sources with the defaults?')) setList(DEFAULT_PROVIDERS);
+  };
+
+  const handleSave = () => {
+    const next = list.map(p => ({ ...p, name: p.name.trim(), url: p.url.trim() }));
+    const found = validateProviders(next);
+    setErrors(found);
+    if (found.length === 0) onSave(next);
+  };
+
+  const inputClass = 'px-3 py-1.5 bg-gray-800 rounded-md border border-gray-700 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <Modal
+      title="Magic Search Sources"
+      onClose={onClose}
+      footer={(
+        <>
+          <button type="button" onClick={handleReset} className="flex items-center mr-auto px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all">
+            <RotateCcw size={16} className="mr-2" /> Defaults
+          </button>
+          <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all">
+            Cancel
+          </button>
+          <button type="button" onClick={handleSave} className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 rounded-md transition-all">
+            Save
+          </button>
+        </>
+      )}
+    >
+      {errors.length > 0 && (
+        <div className="p-3 bg-red-900/40 border border-red-700 rounded-md text-sm text-red-200">
+          {errors.map(error => <p key={error}>{error}</p>)}
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500">
+        Each URL can use these fields: {SEARCH_VARIABLES.map(({ key, label }) => (
+          <code key={key} title={label} className="mr-1 text-gray-300">{`{{${key}}}`}</code>
+        ))}
+        A source is greyed out until the fields it uses are filled in.
+      </p>
+
+      <ol className="space-y-2">
+        {list.map((provider, index) => (
+          <li key={provider.id} className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={provider.enabled}
+              onChange={(e) => update(provider.id, { enabled: e.target.checked })}
+              aria-label={`Show ${provider.name || 'this source'}`}
+              title="Show this source"
+            />
+            <input
+              type="text"
+              value={provider.name}
+              onChange={(e) => update(provider.id, { name: e.target.value })}
+              placeholder="Name"
+              className={`w-32 ${inputClass}`}
+              aria-label="Source name"
+            />
+            <input
+              type="text"
+              value={provider.url}
+              onChange={(e) => update(provider.id, { url: e.target.value })}
+              placeholder="https://example.com/search?q={{company}}"
+              className={`flex-1 min-w-0 font-mono ${inputClass}`}
+              aria-label="Search URL"
+            />
+            <button type="button" disabled={index === 0} onClick={() => setList(move(list, index, -1))} className="p-1 text-gray-400 hover:text-white disabled:opacity-30" title="Move up">
+              <ArrowUp size={16} />
+            </button>
+            <button type="button" disabled={index === list.length - 1} onClick={() => setList(move(list, index, 1))} className="p-1 text-gray-400 hover:text-white disabled:opacity-30" title="Move down">
+              <ArrowDown size={16} />
+            </button>
+            <button type="button" onClick={() => setList(list.filter(p => p.id !== provider.id))} className="p-1 text-gray-400 hover:text-red-500" title="Remove source">
+              <Trash2 size={16} />
+            </button>
+          </li>
+        ))}
+      </ol>
+      <button type="button" onClick={() => setList([...list, createProvider()])} className="flex items-center px-3 py-1.5 text-sm bg-gray-700 hover:bg-gray-600 rounded-md">
+        <Plus size={16} className="mr-1" /> Add Source
+      </button>
+    </Modal>
+  );
+}
@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, Filter, Megaphone, Download } from 'lucide-react';
+import Modal from './Modal.jsx';
+import { parseTags, formatTags } from '../lib/prospects.js';
+import { getStatuses } from '../lib/pipeline.js';
+import { createSegment, filterBySegment, describeRules } from '../lib/segments.js';
+
+/**
+ * Creates, edits and deletes saved segments, and applies one to the table,
+ * an export or a campaign. Changes apply immediately.
+ * @param {object} props
+ * @param {object[]} props.segments - The saved segments.
+ * @param {object[]} props.prospects - All prospects, to count each segment.
+ * @param {object} props.pipeline - The pipeline stages.
+ * @param {string[]} props.companies - The company names to choose from.
+ * @param {string[]} props.tags - The tags in use, offered as suggestions.
+ * @param {(number|null)} props.initialId - The segment to open first.
+ * @param {Function} props.onChange - Called with the new segment list.
+ * @param {Function} props.onApply - Called with a segment to filter the table by it.
+ * @param {Function} props.onCampaign - Called with a segment's prospects to start a campaign.
+ * @param {Function} props.onExport - Called with a segment to export it.
+ * @param {Function} props.onClose - Called when the dialog should close.
+ */
+export default function SegmentManager({ segments, prospects, pipeline, companies, tags, initialId, onChange, onApply, onCampaign, onExport, onClose }) {
+  const [selectedId, setSelectedId] = useState(initialId ?? segments[0]?.id ?? null);
+  const [tagText, setTagText] = useState(null);
+  const selected = segments.find(s => s.id === selectedId);
+  const members = selected ? filterBySegment(prospects, selected) : [];
+
+  const update = (changes) => {
+    onChange(segments.map(s => (s.id === selected.id ? { ...s, ...changes } : s)));
+  };
+
+  const updateRules = (changes) => update({ rules: { ...selected.rules, ...changes } });
+
+  const toggleStatus = (status) => {
+    const { statuses } = selected.rules;
+    updateRules({ statuses: statuses.includes(status) ? statuses.filter(s => s !== status) : [...statuses, status] });
+  };
+
+  const handleSelect = (id) => {
+    setSelectedId(id);
+    setTagText(null);
+  };
+
+  const handleAdd = () => {
+    const segment = createSegment();
+    onChange([...segments, segment]);
+    handleSelect(segment.id);
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the segment "${selected.name}"? Its prospects are not affected.`)) return;
+    const remaining = segments.filter(s => s.id !== selected.id);
+    onChange(remaining);
+    handleSelect(remaining[0]?.id ?? null);
+  };
+
+  const inputClass = 'w-full px-3 py-2 bg-gray-800 rounded-md border border-gray-700 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <Modal title="Saved Segments" onClose={onClose}>
+      <div className="flex flex-col md:flex-row gap-4">
+        <div className="md:w-1/3 space-y-2">
+          <button type="button" onClick={handleAdd} className="w-full flex items-center justify-center text-sm px-3 py-2 bg-indigo-600 hover:bg-indigo-700 rounded-md transition-all">
+            <Plus size={16} className="mr-1.5" /> New Segment
+          </button>
+          <ul className="bg-gray-800 rounded-md border border-gray-700 divide-y divide-gray-700 text-sm">
+            {segments.map(s => (
+              <li key={s.id}>
+                <button
+                  type="button"
+                  onClick={() => handleSelect(s.id)}
+                  className={`w-full text-left px-3 py-2 rounded-none ${s.id === selectedId ? 'bg-indigo-900/50 text-white' : 'text-gray-300 hover:bg-gray-700/50'}`}
+                >
+                  {s.name || 'Untitled Segment'}
+                  <span className="block text-xs text-gray-500 truncate">{describeRules(s.rules)}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="md:w-2/3 space-y-3">
+          {selected ? (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Name</label>
+                <input type="text" value={selected.name} onChange={(e) => update({ name: e.target.value })} className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Tagged with any of</label>
+                <input
+                  type="text"
+                  list="segment-tags"
+                  value={tagText ?? formatTags(selected.rules.tags)}
+                  onChange={(e) => setTagText(e.target.value)}
+                  onBlur={() => {
+                    if (tagText !== null) updateRules({ tags: parseTags(tagText) });
+                    setTagText(null);
+                  }}
+                  placeholder="e.g. fintech, Q4-campaign"
+                  className={inputClass}
+                />
+                <datalist id="segment-tags">
+                  {tags.map(tag => <option key={tag} value={tag} />)}
+                </datalist>
+              </div>
+              <fieldset>
+                <legend className="block text-sm font-medium text-gray-300 mb-1">In any of these stages</legend>
+                <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm">
+                  {getStatuses(pipeline).map(status => (
+                    <label key={status} className="flex items-center gap-2">
+                      <input type="checkbox" checked={selected.rules.statuses.includes(status)} onChange={() => toggleStatus(status)} />
+                      {status}
+                    </label>
+                  ))}
+                </div>
+              </fieldset>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Company</label>
+                <select value={selected.rules.company} onChange={(e) => updateRules({ company: e.target.value })} className={inputClass}>
+                  <option value="">Any company</option>
+                  {companies.map(company => (
+                    <option key={company} value={company}>{company}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-1">Added from</label>
+                  <input type="date" value={selected.rules.addedAfter} onChange={(e) => updateRules({ addedAfter: e.target.value })} className={inputClass} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-1">Added until</label>
+                  <input type="date" value={selected.rules.addedBefore} onChange={(e) => updateRules({ addedBefore: e.target.value })} className={inputClass} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-1">Or in the last</label>
+                  <div className="flex items-center gap-2">
+                    <input type="number" min="0" value={selected.rules.addedWithinDays} onChange={(e) => updateRules({ addedWithinDays: e.target.value })} className={inputClass} />
+                    <span className="text-sm text-gray-400">days</span>
+                  </div>
+                </div>
+              </div>
+
+              <p className="text-sm text-gray-400">
+                {describeRules(selected.rules)}: <strong className="text-gray-200">{members.length}</strong> {members.length === 1 ? 'prospect' : 'prospects'} now.
+              </p>
+
+              <div className="flex flex-wrap gap-2">
+                <button type="button" onClick={() => onApply(selected)} className="flex items-center text-sm px-3 py-2 bg-indigo-600 hover:bg-indigo-700 rounded-md transition-all">
+                  <Filter size={16} className="mr-1.5" /> Show in Table
+                </button>
+                <button type="button" disabled={members.length === 0} onClick={() => onCampaign(members)} className="flex items-center text-sm px-3 py-2 bg-green-600 hover:bg-green-700 disabled:opacity-50 rounded-md transition-all">
+                  <Megaphone size={16} className="mr-1.5" /> Start Campaign
+                </button>
+                <button type="button" disabled={members.length === 0} onClick={() => onExport(selected)} className="flex items-center text-sm px-3 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded-md transition-all">
+                  <Download size={16} className="mr-1.5" /> Export
+                </button>
+                <button type="button" onClick={handleDelete} className="flex items-center text-sm px-3 py-2 bg-gray-700 hover:bg-red-700 rounded-md transition-all">
+                  <Trash2 size={16} className="mr-1.5" /> Delete
+                </button>
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-gray-400">Create a segment, or filter the table and save the view as one.</p>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,31 @@
+import React from 'react';
+import { X } from 'lucide-react';
+
+/**
+ * Shows how many prospects are selected, with the actions that apply to
+ * all of them.
+ * @param {object} props
+ * @param {number} props.count - How many prospects are selected.
+ * @param {number} props.matchingCount - How many prospects match the current filters.
+ * @param {Function} props.onSelectMatching - Selects every matching prospect.
+ * @param {Function} props.onClear - Clears the selection.
+ * @param {React.ReactNode} props.children - The bulk action buttons.
+ */
+export default function SelectionBar({ count, matchingCount, onSelectMatching, onClear, children }) {
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-3 px-3 py-2 bg-indigo-900/40 border border-indigo-700 rounded-md text-sm">
+      <span className="text-indigo-100">{count} selected</span>
+      {count < matchingCount && (
+        <button type="button" onClick={onSelectMatching} className="text-indigo-300 underline hover:text-white">
+          Select all {matchingCount} matching
+        </button>
+      )}
+      <div className="flex flex-wrap gap-2 ml-auto">
+        {children}
+        <button type="button" onClick={onClear} className="flex items-center px-2 py-1 text-gray-300 hover:text-white" title="Clear selection">
+          <X size={16} />
+        </button>
+      </div>
+    </div>
+  );
+}
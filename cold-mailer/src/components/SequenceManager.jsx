@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, ArrowUp, ArrowDown } from 'lucide-react';
+import Modal from './Modal.jsx';
+import { createSequence } from '../lib/sequences.js';
+
+/**
+ * Creates, edits and deletes follow-up sequence definitions. Changes apply
+ * immediately; prospects already in a sequence keep the steps they started with.
+ * @param {object} props
+ * @param {object[]} props.sequences - The saved sequences.
+ * @param {object[]} props.templates - The templates steps can use.
+ * @param {Function} props.onChange - Called with the new sequence list.
+ * @param {Function} props.onClose - Called when the dialog should close.
+ */
+export default function SequenceManager({ sequences, templates, onChange, onClose }) {
+  const [selectedId, setSelectedId] = useState(sequences[0]?.id ?? null);
+  const selected = sequences.find(s => s.id === selectedId);
+
+  const update = (changes) => {
+    onChange(sequences.map(s => (s.id === selected.id ? { ...s, ...changes } : s)));
+  };
+
+  const updateStep = (index, changes) => {
+    update({ steps: selected.steps.map((step, i) => (i === index ? { ...step, ...changes } : step)) });
+  };
+
+  const moveStep = (index, offset) => {
+    const steps = [...selected.steps];
+    [steps[index], steps[index + offset]] = [steps[index + offset], steps[index]];
+    update({ steps });
+  };
+
+  const handleAdd = () => {
+    const sequence = createSequence({ steps: [{ name: 'Initial email', templateId: templates[0]?.id ?? null, delayDays: 0 }] });
+    onChange([...sequences, sequence]);
+    setSelectedId(sequence.id);
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the sequence "${selected.name}"?`)) return;
+    const remaining = sequences.filter(s => s.id !== selected.id);
+    onChange(remaining);
+    setSelectedId(remaining[0]?.id ?? null);
+  };
+
+  const inputClass = 'px-3 py-2 bg-gray-800 rounded-md border border-gray-700 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500';
+
+  return (
+    <Modal title="Follow-up Sequences" onClose={onClose}>
+      <div className="flex flex-col md:flex-row gap-4">
+        <div className="md:w-1/3 space-y-2">
+          <button type="button" onClick={handleAdd} className="w-full flex items-center justify-center text-sm px-3 py-2 bg-purple-600 hover:bg-purple-700 rounded-md transition-all">
+            <Plus size={16} className="mr-1.5" /> New Sequence
+          </button>
+          <ul className="bg-gray-800 rounded-md border border-gray-700 divide-y divide-gray-700 text-sm">
+            {sequences.map(s => (
+              <li key={s.id}>
+                <button
+                  type="button"
+                  onClick={() => setSelectedId(s.id)}
+                  className={`w-full text-left px-3 py-2 rounded-none ${s.id === selectedId ? 'bg-purple-900/50 text-white' : 'text-gray-300 hover:bg-gray-700/50'}`}
+                >
+                  {s.name || 'Untitled Sequence'} <span className="text-gray-500">({s.steps.length} steps)</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="md:w-2/3 space-y-3">
+          {selected ? (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={selected.name}
+                  onChange={(e) => update({ name: e.target.value })}
+                  className={`w-full ${inputClass}`}
+                />
+              </div>
+
+              <ol className="space-y-2">
+                {selected.steps.map((step, index) => (
+                  <li key={index} className="flex flex-wrap items-center gap-2 p-2 bg-gray-800/60 rounded-md border border-gray-700">
+                    <span className="w-6 text-sm text-gray-400">{index + 1}.</span>
+                    <input
+                      type="text"
+                      value={step.name}
+                      onChange={(e) => updateStep(index, { name: e.target.value })}
+                      className={`flex-1 min-w-0 ${inputClass}`}
+                      aria-label="Step name"
+                    />
+                    <select
+                      value={step.templateId ?? ''}
+                      onChange={(e) => updateStep(index, { templateId: e.target.value ? Number(e.target.value) : null })}
+                      className={inputClass}
+                      aria-label="Step template"
+                    >
+                      <option value="">No template</option>
+                      {templates.map(t => (
+                        <option key={t.id} value={t.id}>{t.name}</option>
+                      ))}
+                    </select>
+                    <label className="flex items-center gap-1 text-sm text-gray-400">
+                      {index === 0 ? 'after' : 'wait'}
+                      <input
+                        type="number"
+                        min="0"
+                        value={step.delayDays}
+                        onChange={(e) => updateStep(index, { delayDays: Math.max(0, Number(e.target.value) || 0) })}
+                        className={`w-16 ${inputClass}`}
+                      />
+                      days
+                    </label>
+                    <button type="button" disabled={index === 0} onClick={() => moveStep(index, -1)} className="p-1 text-gray-400 hover:text-white disabled:opacity-30" aria-label="Move up">
+                      <ArrowUp size={16} />
+                    </button>
+                    <button type="button" disabled={index === selected.steps.length - 1} onClick={() => moveStep(index, 1)} className="p-1 text-gray-400 hover:text-white disabled:opacity-30" aria-label="Move down">
+                      <ArrowDown size={16} />
+                    </button>
+                    <button
+                      type="button"
+                      disabled={selected.steps.length === 1}
+                      onClick={() => update({ steps: selected.steps.filter((_, i) => i !== index) })}
+                      className="p-1 text-gray-400 hover:text-red-500 disabled:opacity-30"
+                      aria-label="Remove step"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </li>
+                ))}
+              </ol>
+
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => update({ steps: [...selected.steps, { name: 'Follow-up', templateId: templates[0]?.id ?? null, delayDays: 3 }] })}
+                  className="flex items-center text-sm px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all"
+                >
+                  <Plus size={16} className="mr-1.5" /> Add Step
+                </button>
+                <button type="button" onClick={handleDelete} className="flex items-center text-sm px-3 py-2 bg-gray-700 hover:bg-red-700 rounded-md transition-all">
+                  <Trash2 size={16} className="mr-1.5" /> Delete Sequence
+                </button>
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-gray-400">Create a sequence to get started.</p>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { Plus, Copy, Trash2 } from 'lucide-react';
+import Modal from './Modal.jsx';
+import { PROSPECT_VARIABLES, SENDER_VARIABLES, createTemplate, findVariables } from '../lib/templates.js';
+
+const KNOWN_VARIABLES = [...PROSPECT_VARIABLES, ...SENDER_VARIABLES.map(v => v.key)];
+
+/**
+ * Creates, edits, duplicates and deletes email templates, and edits the
+ * sender profile used to fill sender variables. Changes apply immediately.
+ * @param {object} props
+ * @param {object[]} props.templates - The saved templates.
+ * @param {object} props.sender - The sender profile.
+ * @param {Function} props.onChangeTemplates - Called with the new template list.
+ * @param {Function} props.onChangeSender - Called with the new sender profile.
+ * @param {Function} props.onClose - Called when the dialog should close.
+ */
+export default function TemplateManager({ templates, sender, onChangeTemplates, onChangeSender, onClose }) {
+  const [selectedId, setSelectedId] = useState(templates[0]?.id ?? null);
+  const selected = templates.find(t => t.id === selectedId);
+
+  const unknownVariables = selected
+    ? findVariables(`${selected.subject}\n${selected.body}`).filter(name => !KNOWN_VARIABLES.includes(name))
+    : [];
+
+  const handleAdd = () => {
+    const template = createTemplate();
+    onChangeTemplates([...templates, template]);
+    setSelectedId(template.id);
+  };
+
+  const handleDuplicate = () => {
+    const copy = createTemplate({ name: `${selected.name} (copy)`, subject: selected.subject, body: selected.body });
+    onChangeTemplates([...templates, copy]);
+    setSelectedId(copy.id);
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the template "${selected.name}"?`)) return;
+    const remaining = templates.filter(t => t.id !== selected.id);
+    onChangeTemplates(remaining);
+    setSelectedId(remaining[0]?.id ?? null);
+  };
+
+  const handleChange = (field, value) => {
+    onChangeTemplates(templates.map(t => (t.id === selected.id ? { ...t, [field]: value } : t)));
+  };
+
+  return (
+    <Modal title="Email Templates" onClose={onClose}>
+      <div className="flex flex-col md:flex-row gap-4">
+        <div className="md:w-1/3 space-y-2">
+          <button type="button" onClick={handleAdd} className="w-full flex items-center justify-center text-sm px-3 py-2 bg-purple-600 hover:bg-purple-700 rounded-md transition-all">
+            <Plus size={16} className="mr-1.5" /> New Template
+          </button>
+          <ul className="bg-gray-800 rounded-md border border-gray-700 divide-y divide-gray-700 text-sm">
+            {templates.map(t => (
+              <li key={t.id}>
+                <button
+                  type="button"
+                  onClick={() => setSelectedId(t.id)}
+                  className={`w-full text-left px-3 py-2 rounded-none ${t.id === selectedId ? 'bg-purple-900/50 text-white' : 'text-gray-300 hover:bg-gray-700/50'}`}
+                >
+                  {t.name || 'Untitled Template'}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="md:w-2/3 space-y-3">
+          {selected ? (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={selected.name}
+                  onChange={(e) => handleChange('name', e.target.value)}
+                  className="w-full px-4 py-2 bg-gray-800 rounded-md border border-gray-700 focus:outline-none focus:ring-2 focus:ring-purple-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Subject</label>
+                <input
+                  type="text"
+                  value={selected.subject}
+                  onChange={(e) => handleChange('subject', e.target.value)}
+                  className="w-full px-4 py-2 bg-gray-800 rounded-md border border-gray-700 focus:outline-none focus:ring-2 focus:ring-purple-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Body</label>
+                <textarea
+                  value={selected.body}
+                  onChange={(e) => handleChange('body', e.target.value)}
+                  className="w-full h-56 p-3 bg-gray-800 rounded-md border border-gray-700 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                />
+              </div>
+              <p className="text-xs text-gray-400">
+                Variables: {KNOWN_VARIABLES.map(name => `{{${name}}}`).join(' ')}
+              </p>
+              {unknownVariables.length > 0 && (
+                <p className="text-xs text-yellow-400">
+                  Unknown variables will not be filled: {unknownVariables.map(name => `{{${name}}}`).join(', ')}
+                </p>
+              )}
+              <div className="flex gap-2">
+                <button type="button" onClick={handleDuplicate} className="flex items-center text-sm px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md transition-all">
+                  <Copy size={16} className="mr-1.5" /> Duplicate
+                </button>
+                <button type="button" onClick={handleDelete} className="flex items-center text-sm px-3 py-2 bg-gray-700 hover:bg-red-700 rounded-md transition-all">
+                  <Trash2 size={16} className="mr-1.5" /> Delete
+                </button>
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-gray-400">Create a template to get started.</p>
+          )}
+        </div>
+      </div>
+
+      <div className="pt-4 border-t border-gray-700">
+        <h3 className="text-lg font-semibold text-purple-300 mb-2">Sender Profile</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          {SENDER_VARIABLES.map(({ key, label, placeholder }) => (
+            <div key={key}>
+              <label className="block text-sm font-medium text-gray-300 mb-1">{label} <code className="text-xs text-gray-500">{`{{${key}}}`}</code></label>
+              <input
+                type="text"
+                placeholder={placeholder}
+                value={sender[key] || ''}
+                onChange={(e) => onChangeSender({ ...sender, [key]: e.target.value })}
+                className="w-full px-4 py-2 bg-gray-800 rounded-md border border-gray-700 focus:outline-none focus:ring-2 focus:ring-purple-500"
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+    </Modal>
+  );
+}
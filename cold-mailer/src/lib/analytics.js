@@ -0,0 +1,174 @@
+import { STATUSES, getCreatedAt } from './prospects.js';
+import { addDays, startOfWeek } from './dates.js';
+
+// --- Pipeline Analytics ---
+
+/**
+ * Lists the statuses a prospect has held, in order, with when each began.
+ * Prospects logged before status history was kept start at their current
+ * status.
+ * @param {object} prospect - The prospect.
+ * @returns {{status: string, from: Date}[]} The stages.
+ */
+export const getStageHistory = (prospect) => {
+  const changes = (prospect.history || []).filter(e => e.type === 'status_changed');
+  const first = changes.length > 0 ? changes[0].from : prospect.status;
+  return [
+    { status: first, from: getCreatedAt(prospect) },
+    ...changes.map(e => ({ status: e.to, from: new Date(e.at) })),
+  ];
+};
+
+/**
+ * Returns the furthest pipeline stage a prospect has reached, even if they
+ * have since moved back.
+ * @param {object} prospect - The prospect.
+ * @param {string[]} [statuses=STATUSES] - The pipeline stages, in order.
+ * @returns {number} The index into statuses, or -1 for unknown statuses only.
+ */
+export const getFurthestStage = (prospect, statuses = STATUSES) => Math.max(
+  ...getStageHistory(prospect).map(stage => statuses.indexOf(stage.status)),
+  statuses.indexOf(prospect.status)
+);
+
+/**
+ * Counts how many prospects reached each stage and the conversion from one
+ * stage to the next.
+ * @param {object[]} prospects - The prospects.
+ * @param {string[]} [statuses=STATUSES] - The pipeline stages, in order.
+ * @returns {{status: string, current: number, reached: number, conversion: (number|null)}[]}
+ *   One entry per status: how many are in it now, how many ever got that
+ *   far, and the share of those that went on to the next stage.
+ */
+export const buildFunnel = (prospects, statuses = STATUSES) => {
+  const furthest = prospects.map(p => getFurthestStage(p, statuses));
+  const reached = statuses.map((_, index) => furthest.filter(stage => stage >= index).length);
+  return statuses.map((status, index) => ({
+    status,
+    current: prospects.filter(p => p.status === status).length,
+    reached: reached[index],
+    conversion: index < statuses.length - 1 && reached[index] > 0 ? reached[index + 1] / reached[index] : null,
+  }));
+};
+
+/**
+ * Works out which template a prospect's first email came from: the one
+ * recorded when it was sent, or else the last one drafted before it.
+ * @param {object} prospect - The prospect.
+ * @returns {string} The template name, or '' when unknown or never emailed.
+ */
+export const getOutreachTemplate = (prospect) => {
+  const history = prospect.history || [];
+  const sentIndex = history.findIndex(e => e.type === 'email_sent');
+  if (sentIndex === -1) return '';
+  if (history[sentIndex].template) return history[sentIndex].template;
+  const drafted = history.slice(0, sentIndex).filter(e => e.type === 'email_drafted' && e.template);
+  return drafted.length > 0 ? drafted[drafted.length - 1].template : '';
+};
+
+/**
+ * Counts the tracked opens and link clicks on a prospect's emails.
+ * @param {object} prospect - The prospect.
+ * @returns {{opens: number, clicks: number}} The counts.
+ */
+export const countEngagement = (prospect) => (prospect.history || []).reduce((counts, e) => ({
+  opens: counts.opens + (e.type === 'email_opened' ? 1 : 0),
+  clicks: counts.clicks + (e.type === 'link_clicked' ? 1 : 0),
+}), { opens: 0, clicks: 0 });
+
+// Custom stages can sit anywhere in the pipeline, so progress is judged by
+// the built-in stages from a given one onwards rather than by position.
+const hasReachedBuiltIn = (prospect, status) => {
+  const later = STATUSES.slice(STATUSES.indexOf(status));
+  return getStageHistory(prospect).some(stage => later.includes(stage.status));
+};
+
+/**
+ * Checks whether a prospect has been emailed, either recorded as sent or
+ * moved on from Not Contacted by hand.
+ * @param {object} prospect - The prospect.
+ * @returns {boolean} True once they have been contacted.
+ */
+export const hasBeenContacted = (prospect) => hasReachedBuiltIn(prospect, 'Contacted')
+  || (prospect.history || []).some(e => e.type === 'email_sent');
+
+/**
+ * Checks whether a prospect has ever replied.
+ * @param {object} prospect - The prospect.
+ * @returns {boolean} True when they reached Replied or a reply was received.
+ */
+export const hasReplied = (prospect) => hasReachedBuiltIn(prospect, 'Replied')
+  || (prospect.history || []).some(e => e.type === 'email_received');
+
+/**
+ * Checks whether a meeting was ever set with a prospect.
+ * @param {object} prospect - The prospect.
+ * @returns {boolean} True when they reached Meeting Set.
+ */
+export const hasMeeting = (prospect) => hasReachedBuiltIn(prospect, 'Meeting Set');
+
+/**
+ * Compares how often prospects reply, by the template of their first email.
+ * @param {object[]} prospects - The prospects.
+ * @returns {{template: string, sent: number, replied: number, rate: number}[]}
+ *   One entry per template, most emailed first. Emails whose template is
+ *   unknown are grouped as "Unknown".
+ */
+export const replyRateByTemplate = (prospects) => {
+  const groups = new Map();
+  prospects.forEach(p => {
+    if (!(p.history || []).some(e => e.type === 'email_sent')) return;
+    const template = getOutreachTemplate(p) || 'Unknown';
+    const group = groups.get(template) || { template, sent: 0, replied: 0 };
+    group.sent += 1;
+    if (hasReplied(p)) group.replied += 1;
+    groups.set(template, group);
+  });
+  return [...groups.values()]
+    .map(group => ({ ...group, rate: group.replied / group.sent }))
+    .sort((a, b) => b.sent - a.sent);
+};
+
+/**
+ * Counts prospects added in each of the last few weeks.
+ * @param {object[]} prospects - The prospects.
+ * @param {number} [weeks=12] - How many weeks to show, ending with this one.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {{weekStart: Date, count: number}[]} One entry per week, oldest first.
+ */
+export const prospectsPerWeek = (prospects, weeks = 12, now = new Date()) => {
+  const first = addDays(startOfWeek(now), -7 * (weeks - 1));
+  const buckets = Array.from({ length: weeks }, (_, i) => ({ weekStart: startOfWeek(addDays(first, 7 * i + 3)), count: 0 }));
+  prospects.forEach(p => {
+    const created = getCreatedAt(p);
+    if (created < first) return;
+    const index = buckets.findLastIndex(b => b.weekStart <= created);
+    if (index !== -1) buckets[index].count += 1;
+  });
+  return buckets;
+};
+
+/**
+ * Averages how long prospects stay in each stage before moving on. Only
+ * finished stays count, so the stage a prospect is in now is left out.
+ * @param {object[]} prospects - The prospects.
+ * @param {string[]} [statuses=STATUSES] - The pipeline stages, in order.
+ * @returns {{status: string, averageMs: (number|null), samples: number}[]}
+ *   One entry per status.
+ */
+export const averageTimeInStage = (prospects, statuses = STATUSES) => {
+  const totals = Object.fromEntries(statuses.map(status => [status, { total: 0, samples: 0 }]));
+  prospects.forEach(p => {
+    const stages = getStageHistory(p);
+    stages.slice(0, -1).forEach((stage, i) => {
+      if (!totals[stage.status]) return;
+      totals[stage.status].total += Math.max(0, stages[i + 1].from - stage.from);
+      totals[stage.status].samples += 1;
+    });
+  });
+  return statuses.map(status => ({
+    status,
+    averageMs: totals[status].samples > 0 ? totals[status].total / totals[status].samples : null,
+    samples: totals[status].samples,
+  }));
+};
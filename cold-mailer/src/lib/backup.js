@@ -0,0 +1,216 @@
+import { getCreatedAt, normalizeEmail } from './prospects.js';
+import { migrateProspectList } from './migrations.js';
+
+// --- Workspace Backup and Restore ---
+
+const BACKUP_FORMAT = 'cold-mailer-backup';
+
+/**
+ * The backup file version. Bump it when the file layout changes and teach
+ * parseBackup to read the older layout.
+ */
+export const BACKUP_VERSION = 1;
+
+/**
+ * Builds a backup of the whole workspace. The LLM API key is left out so
+ * backups can be shared safely. Campaigns and the inbox review queue are
+ * not backed up.
+ * @param {object} workspace
+ * @param {object[]} workspace.prospects - The prospects, with their history.
+ * @param {object[]} workspace.companies - The company records.
+ * @param {object[]} workspace.templates - The email templates.
+ * @param {object[]} workspace.sequences - The sequence definitions.
+ * @param {object} workspace.settings - Sender profile, patterns and other settings.
+ * @returns {object} The backup, ready for JSON.stringify.
+ */
+export const createBackup = ({ prospects, companies, templates, sequences, settings }) => {
+  const { llmSettings, ...rest } = settings;
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    prospects,
+    companies,
+    templates,
+    sequences,
+    settings: {
+      ...rest,
+      ...(llmSettings ? { llmSettings: { ...llmSettings, apiKey: '' } } : {}),
+    },
+  };
+};
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isCompany = (c) => isObject(c) && c.id !== undefined && typeof c.name === 'string';
+
+const isTemplate = (t) => isObject(t) && t.id !== undefined
+  && typeof t.name === 'string' && typeof t.subject === 'string' && typeof t.body === 'string';
+
+const isSequence = (s) => isObject(s) && s.id !== undefined && typeof s.name === 'string'
+  && Array.isArray(s.steps) && s.steps.every(step => isObject(step) && typeof step.name === 'string');
+
+/**
+ * Reads and validates a backup file.
+ * @param {string} text - The file contents.
+ * @returns {{backup: object, skipped: number}} The validated backup, with
+ *   prospects upgraded to the current schema, and how many invalid
+ *   prospects, templates or sequences were dropped.
+ * @throws {Error} When the file is not a backup this version can read.
+ */
+export const parseBackup = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (!isObject(data) || data.format !== BACKUP_FORMAT) {
+    throw new Error('The file is not a Cold Mailer backup.');
+  }
+  if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+    throw new Error(`The backup was made by a newer version of the app (format ${data.version}). Update the app to restore it.`);
+  }
+  if (!Array.isArray(data.prospects)) {
+    throw new Error('The backup has no prospect list.');
+  }
+
+  const { prospects, rejected } = migrateProspectList(data.prospects);
+  const companies = Array.isArray(data.companies) ? data.companies.filter(isCompany) : [];
+  const templates = Array.isArray(data.templates) ? data.templates.filter(isTemplate) : [];
+  const sequences = Array.isArray(data.sequences) ? data.sequences.filter(isSequence) : [];
+  const skipped = rejected.length
+    + (Array.isArray(data.companies) ? data.companies.length - companies.length : 0)
+    + (Array.isArray(data.templates) ? data.templates.length - templates.length : 0)
+    + (Array.isArray(data.sequences) ? data.sequences.length - sequences.length : 0);
+
+  return {
+    backup: {
+      exportedAt: data.exportedAt,
+      prospects,
+      companies,
+      templates,
+      sequences,
+      settings: isObject(data.settings) ? data.settings : {},
+    },
+    skipped,
+  };
+};
+
+/**
+ * Returns the last time a prospect was changed.
+ * @param {object} prospect - The prospect.
+ * @returns {number} The time in milliseconds.
+ */
+const lastModified = (prospect) => Math.max(
+  getCreatedAt(prospect).getTime() || 0,
+  Date.parse(prospect.updatedAt) || 0,
+  ...(prospect.history || []).map(event => Date.parse(event.at) || 0)
+);
+
+/**
+ * Compares the prospects in a backup with the current ones. Prospects are
+ * matched by id, then by email. A matched prospect that differs is
+ * "updated" when the backup copy is at least as recent, and "conflicting"
+ * when the current copy was changed more recently.
+ * @param {object[]} current - The current prospects.
+ * @param {object[]} incoming - The prospects in the backup.
+ * @returns {{added: object[], updated: {current: object, incoming: object}[],
+ *   conflicts: {current: object, incoming: object}[], unchanged: number}} The comparison.
+ */
+export const diffProspects = (current, incoming) => {
+  const byId = new Map(current.map(p => [p.id, p]));
+  const byEmail = new Map(current.map(p => [normalizeEmail(p.email), p]));
+  const result = { added: [], updated: [], conflicts: [], unchanged: 0 };
+
+  incoming.forEach(next => {
+    const existing = byId.get(next.id) || byEmail.get(normalizeEmail(next.email));
+    if (!existing) {
+      result.added.push(next);
+    } else if (JSON.stringify({ ...existing, id: null }) === JSON.stringify({ ...next, id: null })) {
+      result.unchanged += 1;
+    } else if (lastModified(existing) > lastModified(next)) {
+      result.conflicts.push({ current: existing, incoming: next });
+    } else {
+      result.updated.push({ current: existing, incoming: next });
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Merges lists of records with ids; incoming records replace current ones
+ * with the same id and new ones are appended.
+ */
+const mergeById = (current, incoming) => {
+  const incomingById = new Map(incoming.map(item => [item.id, item]));
+  const merged = current.map(item => incomingById.get(item.id) || item);
+  const currentIds = new Set(current.map(item => item.id));
+  return [...merged, ...incoming.filter(item => !currentIds.has(item.id))];
+};
+
+/**
+ * Settings that are lists of records with ids. When merging they are merged
+ * like templates rather than kept from this device, since restored
+ * prospects can refer to them.
+ */
+const LIST_SETTINGS = ['experiments', 'segments', 'searchProviders'];
+
+/**
+ * Restores a backup into the workspace.
+ * @param {object} workspace - The current prospects, companies, templates, sequences and settings.
+ * @param {object} backup - A backup from parseBackup.
+ * @param {object} options
+ * @param {('merge'|'replace')} options.mode - Merge into the current data,
+ *   or replace it entirely.
+ * @param {('keep'|'overwrite')} options.conflicts - When merging, whether
+ *   conflicting prospects keep the current copy or take the backup's.
+ * @returns {object} The new prospects, companies, templates, sequences and
+ *   settings. Restored prospects whose company is missing are left unlinked
+ *   for the caller to link again. A/B tests, segments and search providers
+ *   are merged by id; other settings on this device win.
+ */
+export const restoreBackup = (workspace, backup, { mode, conflicts }) => {
+  if (mode === 'replace') {
+    const settings = { ...workspace.settings, ...backup.settings };
+    if (backup.settings.llmSettings && workspace.settings.llmSettings) {
+      // Backups never carry the API key, so keep the one on this device.
+      settings.llmSettings = { ...backup.settings.llmSettings, apiKey: workspace.settings.llmSettings.apiKey };
+    }
+    return {
+      prospects: backup.prospects,
+      companies: backup.companies,
+      templates: backup.templates,
+      sequences: backup.sequences,
+      settings,
+    };
+  }
+
+  const diff = diffProspects(workspace.prospects, backup.prospects);
+  const replacements = new Map([
+    ...diff.updated.map(({ current, incoming }) => [current.id, { ...incoming, id: current.id }]),
+    ...(conflicts === 'overwrite'
+      ? diff.conflicts.map(({ current, incoming }) => [current.id, { ...incoming, id: current.id }])
+      : []),
+  ]);
+
+  // Settings on this device win when merging.
+  const settings = { ...backup.settings, ...workspace.settings };
+  LIST_SETTINGS.forEach(key => {
+    if (!Array.isArray(backup.settings[key])) return;
+    settings[key] = mergeById(workspace.settings[key] || [], backup.settings[key].filter(isObject));
+  });
+
+  return {
+    prospects: [
+      ...diff.added,
+      ...workspace.prospects.map(p => replacements.get(p.id) || p),
+    ],
+    companies: mergeById(workspace.companies, backup.companies),
+    templates: mergeById(workspace.templates, backup.templates),
+    sequences: mergeById(workspace.sequences, backup.sequences),
+    settings,
+  };
+};
@@ -0,0 +1,242 @@
+import { createId } from './prospects.js';
+import { buildVariables, renderTemplate, parseDraft, findVariables } from './templates.js';
+import { validateEmail } from './emailValidation.js';
+
+// --- Mail-Merge Campaigns ---
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * The sending limits a new campaign starts with.
+ */
+export const DEFAULT_THROTTLE = {
+  perHour: 30,
+  minDelaySeconds: 45,
+  maxDelaySeconds: 150,
+};
+
+/**
+ * How each recipient of a campaign is described in the results.
+ */
+export const RECIPIENT_STATUSES = {
+  queued: 'Queued',
+  sending: 'Sending',
+  sent: 'Sent',
+  failed: 'Failed',
+  skipped: 'Skipped',
+};
+
+/**
+ * Consecutive failures after which a running campaign pauses itself, since
+ * the mail server is most likely down.
+ */
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+/**
+ * Personalizes a template for every selected prospect.
+ * @param {object} template - The template.
+ * @param {object[]} prospects - The recipients.
+ * @param {object} sender - The sender profile.
+ * @returns {{prospect: object, subject: string, body: string, unresolved: string[],
+ *   emailCheck: object}[]} One message per prospect, with the variables the
+ *   template could not fill and the recipient's email check.
+ */
+export const buildMessages = (template, prospects, sender) => prospects.map(prospect => {
+  const draft = renderTemplate(template, buildVariables(prospect, sender));
+  return {
+    prospect,
+    ...parseDraft(draft),
+    unresolved: findVariables(draft),
+    emailCheck: validateEmail(prospect.email, { domain: prospect.domain }),
+  };
+});
+
+/**
+ * Creates a campaign from previewed messages. Recipients whose address is
+ * invalid are skipped up front. The campaign starts paused.
+ * @param {object} options
+ * @param {string} options.name - The campaign name.
+ * @param {object} [options.template] - The template the messages came from.
+ * @param {object} [options.experiment] - The A/B test the messages came
+ *   from instead; each message then carries its variant and template name.
+ * @param {object[]} options.messages - Messages from buildMessages or buildVariantMessages.
+ * @param {object} [options.throttle] - Sending limits.
+ * @param {Date} [options.now=new Date()] - The creation time.
+ * @returns {object} The campaign.
+ */
+export const createCampaign = ({ name, template, experiment, messages, throttle = DEFAULT_THROTTLE, now = new Date() }) => ({
+  id: createId(),
+  name: name.trim() || (experiment || template).name,
+  templateId: experiment ? null : template.id,
+  templateName: experiment ? `A/B test: ${experiment.name}` : template.name,
+  ...(experiment ? { experimentId: experiment.id } : {}),
+  createdAt: now.toISOString(),
+  status: 'paused',
+  throttle: { ...throttle },
+  nextSendAt: null,
+  recipients: messages.map(({ prospect, subject, body, emailCheck, variant, template: templateName }) => ({
+    prospectId: prospect.id,
+    name: `${prospect.firstName} ${prospect.lastName}`.trim(),
+    email: prospect.email,
+    subject,
+    body,
+    ...(variant ? { variant, template: templateName } : {}),
+    ...(emailCheck.level === 'invalid'
+      ? { status: 'skipped', error: 'Invalid email address.' }
+      : { status: 'queued' }),
+  })),
+});
+
+/**
+ * Counts a campaign's recipients by status.
+ * @param {object} campaign - The campaign.
+ * @returns {Object<string, number>} The count per status, plus "total".
+ */
+export const summarizeCampaign = (campaign) => campaign.recipients.reduce(
+  (counts, r) => ({ ...counts, [r.status]: counts[r.status] + 1 }),
+  { ...Object.fromEntries(Object.keys(RECIPIENT_STATUSES).map(key => [key, 0])), total: campaign.recipients.length }
+);
+
+/**
+ * Picks when the next message may go out: a random pause after the last
+ * attempt, and never more than the hourly limit within any hour.
+ * @param {object} campaign - The campaign.
+ * @param {Date} [now=new Date()] - The current time.
+ * @param {Function} [random=Math.random] - Source of randomness in [0, 1).
+ * @returns {object} The campaign with nextSendAt set.
+ */
+export const scheduleNext = (campaign, now = new Date(), random = Math.random) => {
+  const { perHour, minDelaySeconds, maxDelaySeconds } = campaign.throttle;
+  const attempts = campaign.recipients
+    .filter(r => r.attemptedAt)
+    .map(r => new Date(r.attemptedAt).getTime())
+    .sort((a, b) => a - b);
+
+  let next = now.getTime();
+  if (attempts.length > 0) {
+    const low = Math.min(minDelaySeconds, maxDelaySeconds);
+    const high = Math.max(minDelaySeconds, maxDelaySeconds);
+    next = Math.max(next, attempts[attempts.length - 1] + (low + random() * (high - low)) * 1000);
+  }
+  const recent = attempts.filter(at => at > now.getTime() - HOUR);
+  if (perHour > 0 && recent.length >= perHour) {
+    next = Math.max(next, recent[recent.length - perHour] + HOUR);
+  }
+  return { ...campaign, nextSendAt: new Date(next).toISOString() };
+};
+
+/**
+ * Returns the index of the next recipient waiting to be sent.
+ * @param {object} campaign - The campaign.
+ * @returns {number} The index, or -1 when none are left.
+ */
+export const getNextRecipient = (campaign) => campaign.recipients.findIndex(r => r.status === 'queued');
+
+const updateRecipient = (campaign, index, changes) => ({
+  ...campaign,
+  recipients: campaign.recipients.map((r, i) => (i === index ? { ...r, ...changes } : r)),
+});
+
+/**
+ * Marks a campaign as finished.
+ * @param {object} campaign - The campaign.
+ * @returns {object} The completed campaign.
+ */
+export const completeCampaign = (campaign) => ({ ...campaign, status: 'completed', nextSendAt: null });
+
+/**
+ * Starts or resumes sending.
+ * @param {object} campaign - The campaign.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {object} The running campaign, or completed when nothing is left.
+ */
+export const resumeCampaign = (campaign, now = new Date()) => {
+  if (getNextRecipient(campaign) === -1) return completeCampaign(campaign);
+  return scheduleNext({ ...campaign, status: 'running', error: '' }, now);
+};
+
+/**
+ * Pauses sending. Recipients already queued stay queued.
+ * @param {object} campaign - The campaign.
+ * @param {string} [error] - Why the campaign paused itself, if it did.
+ * @returns {object} The paused campaign.
+ */
+export const pauseCampaign = (campaign, error = '') => ({ ...campaign, status: 'paused', nextSendAt: null, error });
+
+/**
+ * Stops a campaign for good, skipping everyone still queued.
+ * @param {object} campaign - The campaign.
+ * @returns {object} The cancelled campaign.
+ */
+export const cancelCampaign = (campaign) => ({
+  ...campaign,
+  status: 'cancelled',
+  nextSendAt: null,
+  recipients: campaign.recipients.map(r => (r.status === 'queued' ? { ...r, status: 'skipped', error: 'Campaign cancelled.' } : r)),
+});
+
+/**
+ * Puts failed recipients back in the queue.
+ * @param {object} campaign - The campaign.
+ * @returns {object} The paused campaign with failures re-queued.
+ */
+export const retryFailed = (campaign) => ({
+  ...pauseCampaign(campaign),
+  recipients: campaign.recipients.map(r => (r.status === 'failed' ? { ...r, status: 'queued', error: '' } : r)),
+});
+
+/**
+ * Marks a recipient as being sent right now.
+ * @param {object} campaign - The campaign.
+ * @param {number} index - The recipient index.
+ * @param {Date} [now=new Date()] - The attempt time.
+ * @returns {object} The updated campaign.
+ */
+export const markSending = (campaign, index, now = new Date()) =>
+  updateRecipient(campaign, index, { status: 'sending', attemptedAt: now.toISOString() });
+
+/**
+ * Records the outcome of sending to a recipient and schedules the next
+ * message. A run of failures pauses the campaign, and a running campaign
+ * completes once nobody is left in the queue.
+ * @param {object} campaign - The campaign.
+ * @param {number} index - The recipient index.
+ * @param {{messageId?: string, sentAt?: string, error?: string}} result - The
+ *   server's answer, or the error message.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {object} The updated campaign.
+ */
+export const recordResult = (campaign, index, result, now = new Date()) => {
+  const updated = updateRecipient(campaign, index, result.error
+    ? { status: 'failed', error: result.error }
+    : { status: 'sent', messageId: result.messageId, sentAt: result.sentAt || now.toISOString(), error: '' });
+
+  // A campaign paused or cancelled mid-send keeps that status.
+  if (updated.status !== 'running') return updated;
+  if (getNextRecipient(updated) === -1 && !updated.recipients.some(r => r.status === 'sending')) {
+    return completeCampaign(updated);
+  }
+
+  const attempted = updated.recipients
+    .filter(r => r.attemptedAt && r.status !== 'sending')
+    .sort((a, b) => new Date(b.attemptedAt) - new Date(a.attemptedAt))
+    .slice(0, MAX_CONSECUTIVE_FAILURES);
+  if (attempted.length === MAX_CONSECUTIVE_FAILURES && attempted.every(r => r.status === 'failed')) {
+    return pauseCampaign(updated, `Paused after ${MAX_CONSECUTIVE_FAILURES} failures in a row: ${result.error}`);
+  }
+  return scheduleNext(updated, now);
+};
+
+/**
+ * Prepares stored campaigns after a reload. Nothing sends until the user
+ * resumes, and a message that was mid-send is marked failed because it is
+ * unknown whether it went out.
+ * @param {object[]} campaigns - The stored campaigns.
+ * @returns {object[]} The campaigns, none of them running.
+ */
+export const restoreCampaigns = (campaigns) => campaigns.map(campaign => ({
+  ...(campaign.status === 'running' ? pauseCampaign(campaign) : campaign),
+  recipients: campaign.recipients.map(r => (r.status === 'sending'
+    ? { ...r, status: 'failed', error: 'Interrupted while sending. Check your sent mail before retrying.' }
+    : r)),
+}));
@@ -0,0 +1,174 @@
+import { createId } from './prospects.js';
+import { normalizeDomain } from './emailPatterns.js';
+
+// --- Companies ---
+
+export const COMPANY_SIZES = ['1-10', '11-50', '51-200', '201-1000', '1001-5000', '5000+'];
+
+/**
+ * Legal suffixes ignored when comparing company names.
+ */
+const LEGAL_SUFFIXES = [
+  'inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company',
+  'gmbh', 'ag', 'sa', 'sas', 'srl', 'bv', 'nv', 'plc', 'pty', 'pvt', 'oy', 'ab', 'as',
+];
+
+const DOMAIN_LIKE = /^(?:[a-z]+:\/\/)?(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}\/?$/i;
+
+/**
+ * Reduces a company name to a key for duplicate detection, so "Acme",
+ * "Acme Inc." and "acme.com" all become "acme".
+ * @param {string} name - The company name.
+ * @returns {string} The comparison key.
+ */
+export const companyKey = (name) => {
+  let text = (name || '').trim().toLowerCase();
+  if (DOMAIN_LIKE.test(text)) {
+    text = normalizeDomain(text).split('.')[0];
+  }
+  const words = text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  while (words.length > 1 && LEGAL_SUFFIXES.includes(words[words.length - 1])) {
+    words.pop();
+  }
+  return words.join(' ');
+};
+
+/**
+ * Cleans up a typed company name and domain. A name typed as a domain
+ * ("acme.com") becomes the domain, with a capitalized name derived from it.
+ * @param {string} name - The company name as typed.
+ * @param {string} domain - The company domain as typed.
+ * @returns {{name: string, domain: string}} The cleaned name and domain.
+ */
+export const normalizeCompanyInput = (name, domain) => {
+  const trimmed = (name || '').trim().replace(/\s+/g, ' ');
+  let cleanDomain = normalizeDomain(domain);
+  let cleanName = trimmed;
+
+  if (DOMAIN_LIKE.test(trimmed)) {
+    if (!cleanDomain) cleanDomain = normalizeDomain(trimmed);
+    const label = normalizeDomain(trimmed).split('.')[0];
+    cleanName = label.charAt(0).toUpperCase() + label.slice(1);
+  }
+  return { name: cleanName, domain: cleanDomain };
+};
+
+/**
+ * Builds a new company record.
+ * @param {object} fields - The company fields.
+ * @returns {object} The company.
+ */
+export const createCompany = (fields) => ({
+  id: createId(),
+  name: '',
+  domain: '',
+  industry: '',
+  size: '',
+  notes: '',
+  createdAt: new Date().toISOString(),
+  ...fields,
+});
+
+/**
+ * Finds the company a name and domain refer to. A matching domain wins;
+ * otherwise names are compared ignoring case, punctuation and legal suffixes.
+ * @param {object[]} companies - The known companies.
+ * @param {string} name - The company name.
+ * @param {string} domain - The company domain.
+ * @returns {object|undefined} The matching company.
+ */
+export const findCompany = (companies, name, domain) => {
+  const cleanDomain = normalizeDomain(domain);
+  const key = companyKey(name);
+  return (cleanDomain && companies.find(c => c.domain === cleanDomain))
+    || (key && companies.find(c => companyKey(c.name) === key));
+};
+
+/**
+ * Links every prospect without a company record to one, creating and
+ * filling in companies as needed. Linked prospects take the company's
+ * canonical name, and its domain when they have none.
+ * @param {object[]} prospects - The prospects.
+ * @param {object[]} companies - The known companies.
+ * @returns {{prospects: object[], companies: object[]}} The updated lists.
+ *   Unchanged prospects and companies keep their identity.
+ */
+export const linkProspects = (prospects, companies) => {
+  const knownIds = new Set(companies.map(c => c.id));
+  let nextCompanies = companies;
+
+  const nextProspects = prospects.map(prospect => {
+    if (prospect.companyId !== undefined && knownIds.has(prospect.companyId)) return prospect;
+
+    const { name, domain } = normalizeCompanyInput(prospect.company, prospect.domain);
+    if (!name && !domain) return prospect;
+
+    let company = findCompany(nextCompanies, name, domain);
+    if (!company) {
+      company = createCompany({ name: name || domain, domain });
+      nextCompanies = [...nextCompanies, company];
+      knownIds.add(company.id);
+    } else if (!company.domain && domain) {
+      const filled = { ...company, domain };
+      nextCompanies = nextCompanies.map(c => (c.id === company.id ? filled : c));
+      company = filled;
+    }
+
+    return {
+      ...prospect,
+      companyId: company.id,
+      company: company.name,
+      domain: normalizeDomain(prospect.domain) || company.domain,
+    };
+  });
+
+  return { prospects: nextProspects, companies: nextCompanies };
+};
+
+/**
+ * Applies company edits and copies the new name and domain onto its prospects.
+ * @param {object[]} prospects - The prospects.
+ * @param {object} company - The updated company.
+ * @param {object} previous - The company before the edit.
+ * @returns {object[]} The updated prospects.
+ */
+export const syncCompanyToProspects = (prospects, company, previous) => prospects.map(p => {
+  if (p.companyId !== company.id) return p;
+  const domain = !p.domain || p.domain === previous.domain ? company.domain : p.domain;
+  if (p.company === company.name && p.domain === domain) return p;
+  return { ...p, company: company.name, domain };
+});
+
+/**
+ * Merges a duplicate company into another: its prospects move over and the
+ * target keeps its own fields, filling blanks from the duplicate.
+ * @param {object[]} prospects - The prospects.
+ * @param {object[]} companies - The companies.
+ * @param {*} sourceId - The duplicate company id.
+ * @param {*} targetId - The company to keep.
+ * @returns {{prospects: object[], companies: object[]}} The updated lists.
+ */
+export const mergeCompanies = (prospects, companies, sourceId, targetId) => {
+  const source = companies.find(c => c.id === sourceId);
+  const target = companies.find(c => c.id === targetId);
+  const filled = Object.fromEntries(
+    Object.entries(target).map(([key, value]) => [key, value || source[key] || value])
+  );
+  const merged = {
+    ...filled,
+    notes: [target.notes, source.notes].filter(Boolean).join('\n\n'),
+  };
+
+  return {
+    companies: companies.filter(c => c.id !== sourceId).map(c => (c.id === targetId ? merged : c)),
+    prospects: prospects.map(p => (p.companyId === sourceId
+      ? { ...p, companyId: targetId, company: merged.name, domain: p.domain || merged.domain }
+      : p)),
+  };
+};
@@ -0,0 +1,74 @@
+// --- Companion Server Client ---
+
+export const DEFAULT_COMPANION_SETTINGS = {
+  enabled: false,
+  url: 'http://localhost:3001',
+  trackOpens: false,
+  trackClicks: false,
+};
+
+/**
+ * Calls the companion server and returns its JSON answer.
+ * @param {object} settings - The companion settings.
+ * @param {string} path - The API path, like "/api/send".
+ * @param {object} [body] - A JSON body to POST.
+ * @returns {Promise<*>} The parsed response.
+ */
+const request = async (settings, path, body) => {
+  let response;
+  try {
+    response = await fetch(`${settings.url.replace(/\/+$/, '')}${path}`, body === undefined ? {} : {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+  } catch {
+    throw new Error(`Could not reach the companion server at ${settings.url}. Is it running (npm run server)?`);
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `The companion server answered ${response.status}.`);
+  }
+  return data;
+};
+
+/**
+ * Checks that the companion server is up and can reach its SMTP server.
+ * @param {object} settings - The companion settings.
+ * @returns {Promise<{ok: boolean, from: string, smtp: {ok: boolean, host: string, error?: string},
+ *   inbox: {enabled: boolean, lastPollAt: (string|null), error: string},
+ *   tracking: {enabled: boolean, url: string}}>}
+ */
+export const checkCompanion = (settings) => request(settings, '/api/health');
+
+/**
+ * Sends an email through the companion server, with open and click
+ * tracking as chosen in the settings.
+ * @param {object} settings - The companion settings.
+ * @param {object} message
+ * @param {string} message.to - The recipient's address.
+ * @param {string} [message.toName] - The recipient's display name.
+ * @param {string} [message.fromName] - The sender's display name.
+ * @param {string} message.subject - The subject line.
+ * @param {string} message.text - The plain-text body.
+ * @returns {Promise<{messageId: string, sentAt: string, tracked: boolean}>} The sent
+ *   message's id and time, and whether the server added tracking.
+ */
+export const sendEmail = (settings, message) => request(settings, '/api/send', {
+  ...message,
+  track: { opens: settings.trackOpens, clicks: settings.trackClicks },
+});
+
+/**
+ * Fetches replies and bounces the companion server found in the inbox,
+ * along with opens and clicks on tracked emails.
+ * @param {object} settings - The companion settings.
+ * @param {number} after - The cursor returned by the previous call; 0 for all.
+ * @param {boolean} [pollFirst=false] - Check the mailbox now instead of
+ *   waiting for the server's next scheduled check.
+ * @returns {Promise<{events: object[], cursor: number, status: {enabled: boolean,
+ *   lastPollAt: (string|null), error: string}}>} The new events and the next cursor.
+ */
+export const fetchInboxEvents = (settings, after, pollFirst = false) => (pollFirst
+  ? request(settings, `/api/inbox/poll?after=${after}`, {})
+  : request(settings, `/api/inbox?after=${after}`));
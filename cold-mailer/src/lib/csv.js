@@ -0,0 +1,98 @@
+// --- CSV Parsing ---
+
+/**
+ * Parses RFC 4180 CSV text into rows of string fields.
+ * Handles quoted fields, escaped quotes (""), embedded commas and line
+ * breaks, CRLF or LF row endings and a leading UTF-8 BOM.
+ * @param {string} text - The raw CSV file contents.
+ * @param {string} [delimiter=','] - The field separator.
+ * @returns {string[][]} The parsed rows. Blank lines are dropped.
+ */
+export const parseCSV = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+
+  const endRow = () => {
+    endField();
+    // A line with a single empty field is a blank line, not a record.
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i += 1;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      endRow();
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+    } else {
+      field += char;
+    }
+    i += 1;
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// --- CSV Serialization ---
+
+/**
+ * Escapes a single value for a CSV field per RFC 4180. Values containing
+ * the delimiter, quotes, line breaks or edge whitespace are quoted and
+ * embedded quotes doubled. null and undefined become an empty field.
+ * @param {*} value - The value to write.
+ * @param {string} [delimiter=','] - The field separator.
+ * @returns {string} The escaped field.
+ */
+export const escapeCSVField = (value, delimiter = ',') => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  const needsQuotes = text.includes(delimiter)
+    || /["\r\n]/.test(text)
+    || text !== text.trim();
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes rows of values into CSV text with CRLF line endings.
+ * @param {Array<Array<*>>} rows - The rows to write, header row included.
+ * @param {string} [delimiter=','] - The field separator.
+ * @returns {string} The CSV text.
+ */
+export const serializeCSV = (rows, delimiter = ',') =>
+  rows.map(row => row.map(value => escapeCSVField(value, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
@@ -0,0 +1,86 @@
+// --- Date Helpers ---
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Adds whole days to a date.
+ * @param {(Date|string|number)} date - The start date.
+ * @param {number} days - The number of days to add.
+ * @returns {Date} The new date.
+ */
+export const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+/**
+ * Returns the first moment of the given day in local time.
+ * @param {(Date|string|number)} date - Any moment in the day.
+ * @returns {Date} 00:00:00.000 on that day.
+ */
+export const startOfDay = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+};
+
+/**
+ * Returns the last moment of the given day in local time.
+ * @param {(Date|string|number)} date - Any moment in the day.
+ * @returns {Date} 23:59:59.999 on that day.
+ */
+export const endOfDay = (date) => {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+/**
+ * Formats a date for display, e.g. "Oct 21, 2026".
+ * @param {(Date|string|number)} date - The date.
+ * @returns {string} The formatted date, or '' when there is no date.
+ */
+export const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })
+  : '');
+
+/**
+ * Formats a date and time for display, e.g. "Oct 21, 2026, 3:04 PM".
+ * @param {(Date|string|number)} date - The date.
+ * @returns {string} The formatted date and time, or '' when there is no date.
+ */
+export const formatDateTime = (date) => (date
+  ? new Date(date).toLocaleString(undefined, { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' })
+  : '');
+
+/**
+ * Returns the first moment of the week (Monday) containing the date, in local time.
+ * @param {(Date|string|number)} date - Any moment in the week.
+ * @returns {Date} 00:00:00.000 on that Monday.
+ */
+export const startOfWeek = (date) => {
+  const start = startOfDay(date);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+/**
+ * Formats a duration in days for display, e.g. "3.5 days" or "5 hours".
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+export const formatDuration = (ms) => {
+  const hours = ms / (60 * 60 * 1000);
+  if (hours < 24) return `${Math.max(1, Math.round(hours))} hour${Math.round(hours) === 1 ? '' : 's'}`;
+  const days = Math.round((hours / 24) * 10) / 10;
+  return `${days} day${days === 1 ? '' : 's'}`;
+};
+
+/**
+ * Reads a date input value ("2026-10-21") as midnight local time. Parsing
+ * it with new Date() would give midnight UTC, which is the previous day
+ * west of Greenwich.
+ * @param {string} value - The date in YYYY-MM-DD form.
+ * @returns {(Date|null)} The date, or null when the value is not a date.
+ */
+export const parseDateInput = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
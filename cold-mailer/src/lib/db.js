@@ -0,0 +1,277 @@
+import { getCreatedAt } from './prospects.js';
+import { LEGACY_STORAGE_KEYS, migrateProspect, migrateProspectList } from './migrations.js';
+import { loadJSON, saveJSON } from './storage.js';
+
+// --- IndexedDB Storage ---
+
+const DB_NAME = 'cold-mailer';
+
+/**
+ * Database upgrades, one per version. Index 0 creates version 1. Add a
+ * step and the version goes up with it.
+ */
+const DB_UPGRADES = [
+  (db) => {
+    const prospects = db.createObjectStore('prospects', { keyPath: 'id' });
+    prospects.createIndex('email', 'email');
+    db.createObjectStore('meta', { keyPath: 'key' });
+  },
+  (db) => {
+    const companies = db.createObjectStore('companies', { keyPath: 'id' });
+    companies.createIndex('domain', 'domain');
+  },
+];
+
+const DB_VERSION = DB_UPGRADES.length;
+
+/**
+ * Storage keys for the localStorage fallback used when IndexedDB is not
+ * available (for example in some private browsing modes).
+ */
+const FALLBACK_KEYS = {
+  prospects: 'prospects',
+  companies: 'companies',
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+});
+
+let dbPromise = null;
+
+/**
+ * Opens (and if needed creates or upgrades) the database. The connection is
+ * shared for the whole session.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        for (let version = event.oldVersion; version < DB_VERSION; version += 1) {
+          DB_UPGRADES[version](request.result, request.transaction);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Close other tabs of this app to finish upgrading its database.'));
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Newest first, with prospects created together (such as a CSV import)
+ * kept in the order they were created.
+ */
+const byNewest = (a, b) =>
+  getCreatedAt(b) - getCreatedAt(a) || (a.id < b.id ? -1 : 1);
+
+/**
+ * Reads the legacy localStorage lists. Lists that are not valid JSON are
+ * reported rather than thrown away.
+ * @returns {{records: Array<*>, corrupt: {key: string, raw: string}[]}} The
+ *   records from every legacy key, newest key first, and the unreadable lists.
+ */
+const readLegacyStorage = () => {
+  const records = [];
+  const corrupt = [];
+
+  LEGACY_STORAGE_KEYS.forEach(key => {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return;
+    try {
+      const parsed = JSON.parse(raw);
+      records.push(...(Array.isArray(parsed) ? parsed : [parsed]));
+    } catch {
+      corrupt.push({ key, raw });
+    }
+  });
+
+  return { records, corrupt };
+};
+
+/**
+ * Moves prospects out of the legacy localStorage keys into the database,
+ * once. Unreadable data is kept in the meta store so it can be recovered.
+ * @param {IDBDatabase} db - The open database.
+ * @returns {Promise<string[]>} Warnings to show the user.
+ */
+const migrateLegacyStorage = async (db) => {
+  const done = await requestToPromise(db.transaction('meta').objectStore('meta').get('legacyMigration'));
+  if (done) return [];
+
+  const { records, corrupt } = readLegacyStorage();
+  const { prospects, rejected } = migrateProspectList(records);
+
+  const tx = db.transaction(['prospects', 'meta'], 'readwrite');
+  const store = tx.objectStore('prospects');
+  const meta = tx.objectStore('meta');
+  prospects.forEach(prospect => store.put(prospect));
+  if (rejected.length > 0 || corrupt.length > 0) {
+    meta.put({ key: `quarantine-${Date.now()}`, rejected, corrupt });
+  }
+  meta.put({ key: 'legacyMigration', at: new Date().toISOString(), count: prospects.length });
+  await transactionDone(tx);
+
+  LEGACY_STORAGE_KEYS.forEach(key => localStorage.removeItem(key));
+
+  const warnings = [];
+  if (corrupt.length > 0) {
+    warnings.push(`Saved data under ${corrupt.map(c => `"${c.key}"`).join(', ')} was damaged and could not be read. A copy was kept in the database.`);
+  }
+  if (rejected.length > 0) {
+    warnings.push(`${rejected.length} saved ${rejected.length === 1 ? 'entry was' : 'entries were'} not a valid prospect and ${rejected.length === 1 ? 'was' : 'were'} set aside.`);
+  }
+  return warnings;
+};
+
+const readProspects = async () => {
+  let db;
+  try {
+    db = await openDatabase();
+  } catch (err) {
+    const { prospects, rejected } = migrateProspectList(loadJSON(FALLBACK_KEYS.prospects, []));
+    const warnings = [`Browser database unavailable (${err.message}); using limited local storage instead.`];
+    if (rejected.length > 0) {
+      warnings.push(`${rejected.length} saved entries were not valid prospects and were skipped.`);
+    }
+    return { prospects: prospects.sort(byNewest), warnings };
+  }
+
+  const warnings = await migrateLegacyStorage(db);
+  const stored = await requestToPromise(db.transaction('prospects').objectStore('prospects').getAll());
+
+  const prospects = [];
+  const upgraded = [];
+  const rejected = [];
+  stored.forEach(record => {
+    const prospect = migrateProspect(record);
+    if (!prospect) {
+      rejected.push(record);
+    } else {
+      prospects.push(prospect);
+      if (prospect !== record) upgraded.push(prospect);
+    }
+  });
+
+  if (upgraded.length > 0 || rejected.length > 0) {
+    const tx = db.transaction(['prospects', 'meta'], 'readwrite');
+    const store = tx.objectStore('prospects');
+    upgraded.forEach(prospect => store.put(prospect));
+    rejected.forEach(record => store.delete(record.id));
+    if (rejected.length > 0) {
+      tx.objectStore('meta').put({ key: `quarantine-${Date.now()}`, rejected, corrupt: [] });
+      warnings.push(`${rejected.length} stored ${rejected.length === 1 ? 'record was' : 'records were'} invalid and set aside.`);
+    }
+    await transactionDone(tx);
+  }
+
+  return { prospects: prospects.sort(byNewest), warnings };
+};
+
+let loadPromise = null;
+
+/**
+ * Loads every prospect, migrating legacy localStorage data and upgrading
+ * old records on the way. Falls back to localStorage when IndexedDB cannot
+ * be opened. Concurrent calls share one load so the migration runs once.
+ * @returns {Promise<{prospects: object[], warnings: string[]}>} The
+ *   prospects, newest first, and anything the user should know about.
+ */
+export const loadProspects = () => {
+  if (!loadPromise) {
+    loadPromise = readProspects().finally(() => {
+      loadPromise = null;
+    });
+  }
+  return loadPromise;
+};
+
+/**
+ * Loads every company record.
+ * @returns {Promise<object[]>} The companies.
+ */
+export const loadCompanies = async () => {
+  let db;
+  try {
+    db = await openDatabase();
+  } catch {
+    const stored = loadJSON(FALLBACK_KEYS.companies, []);
+    return Array.isArray(stored) ? stored.filter(c => c && c.id !== undefined) : [];
+  }
+  const stored = await requestToPromise(db.transaction('companies').objectStore('companies').getAll());
+  return stored.filter(c => c && c.id !== undefined && typeof c.name === 'string');
+};
+
+let writeQueue = Promise.resolve();
+
+/**
+ * Persists the difference between two versions of a record list. Only
+ * records that were added, changed (by reference) or removed are written.
+ * Writes are queued so they land in order.
+ * @param {('prospects'|'companies')} storeName - The object store.
+ * @param {object[]} previous - The list as last saved.
+ * @param {object[]} next - The new list.
+ * @returns {Promise<void>} Resolves when the changes are stored.
+ */
+const saveRecordChanges = (storeName, previous, next) => {
+  const before = new Map(previous.map(record => [record.id, record]));
+  const nextIds = new Set(next.map(record => record.id));
+  const changed = next.filter(record => before.get(record.id) !== record);
+  const removed = previous.filter(record => !nextIds.has(record.id)).map(record => record.id);
+
+  if (changed.length === 0 && removed.length === 0) {
+    return writeQueue;
+  }
+
+  writeQueue = writeQueue
+    .catch(() => {})
+    .then(async () => {
+      let db;
+      try {
+        db = await openDatabase();
+      } catch {
+        saveJSON(FALLBACK_KEYS[storeName], next);
+        return;
+      }
+      const tx = db.transaction(storeName, 'readwrite');
+      const store = tx.objectStore(storeName);
+      changed.forEach(record => store.put(record));
+      removed.forEach(id => store.delete(id));
+      await transactionDone(tx);
+    });
+
+  return writeQueue;
+};
+
+/**
+ * Persists changes to the prospect list.
+ * @param {object[]} previous - The list as last saved.
+ * @param {object[]} next - The new list.
+ * @returns {Promise<void>} Resolves when the changes are stored.
+ */
+export const saveProspectChanges = (previous, next) => saveRecordChanges('prospects', previous, next);
+
+/**
+ * Persists changes to the company list.
+ * @param {object[]} previous - The list as last saved.
+ * @param {object[]} next - The new list.
+ * @returns {Promise<void>} Resolves when the changes are stored.
+ */
+export const saveCompanyChanges = (previous, next) => saveRecordChanges('companies', previous, next);
@@ -0,0 +1,218 @@
+import { parseDraft } from './templates.js';
+
+// --- Draft Deliverability Checks ---
+
+/**
+ * Phrases spam filters and wary readers associate with bulk marketing,
+ * with a suggestion for each.
+ */
+export const SPAM_PHRASES = [
+  { phrase: 'act now', suggestion: 'Drop the urgency; ask a question instead.' },
+  { phrase: 'limited time', suggestion: 'Drop the urgency; a cold email has no deadline.' },
+  { phrase: 'urgent', suggestion: 'Nothing in a first email is urgent to the reader.' },
+  { phrase: 'click here', suggestion: 'Describe where the link goes instead.' },
+  { phrase: 'buy now', suggestion: 'Ask for a conversation, not a purchase.' },
+  { phrase: 'order now', suggestion: 'Ask for a conversation, not a purchase.' },
+  { phrase: 'call now', suggestion: 'Suggest a short call at a time that suits them.' },
+  { phrase: 'for free', suggestion: 'Say "at no cost" or describe what they get.' },
+  { phrase: 'free trial', suggestion: 'Describe what they get to try.' },
+  { phrase: 'free gift', suggestion: 'Describe what they get.' },
+  { phrase: 'free offer', suggestion: 'Describe the idea rather than an offer.' },
+  { phrase: 'risk-free', suggestion: 'Describe the commitment plainly.' },
+  { phrase: 'no obligation', suggestion: 'Describe the commitment plainly.' },
+  { phrase: 'guarantee', suggestion: 'Back the claim with a result instead.' },
+  { phrase: 'guaranteed', suggestion: 'Back the claim with a result instead.' },
+  { phrase: '100%', suggestion: 'Use a concrete figure from a real result.' },
+  { phrase: 'best price', suggestion: 'Leave pricing for the conversation.' },
+  { phrase: 'lowest price', suggestion: 'Leave pricing for the conversation.' },
+  { phrase: 'cheap', suggestion: 'Talk about value rather than price.' },
+  { phrase: 'discount', suggestion: 'Leave pricing for the conversation.' },
+  { phrase: 'special offer', suggestion: 'Describe the idea rather than an offer.' },
+  { phrase: 'exclusive deal', suggestion: 'Describe the idea rather than a deal.' },
+  { phrase: 'once in a lifetime', suggestion: 'Cut the hype.' },
+  { phrase: 'amazing', suggestion: 'Let a specific result speak instead.' },
+  { phrase: 'incredible', suggestion: 'Let a specific result speak instead.' },
+  { phrase: 'miracle', suggestion: 'Let a specific result speak instead.' },
+  { phrase: 'congratulations', suggestion: 'Open with something specific to them.' },
+  { phrase: 'winner', suggestion: 'Cut the hype.' },
+  { phrase: 'cash', suggestion: 'Talk about the outcome, not money.' },
+  { phrase: 'make money', suggestion: 'Talk about the outcome for their business.' },
+  { phrase: 'earn money', suggestion: 'Talk about the outcome for their business.' },
+  { phrase: 'extra income', suggestion: 'Talk about the outcome for their business.' },
+  { phrase: 'double your', suggestion: 'Use a concrete figure from a real result.' },
+  { phrase: 'increase sales', suggestion: 'Name the specific result you helped someone get.' },
+  { phrase: 'this is not spam', suggestion: 'Remove it; the phrase itself trips filters.' },
+  { phrase: 'dear friend', suggestion: 'Greet them by name.' },
+];
+
+/**
+ * Greetings that show the email was not written for the reader.
+ */
+const GENERIC_GREETINGS = ['dear sir or madam', 'dear sir/madam', 'to whom it may concern', 'hi there', 'hello there', 'dear customer'];
+
+const URL_SHORTENERS = ['bit.ly', 'tinyurl.com', 'goo.gl', 't.co', 'ow.ly', 'is.gd', 'buff.ly', 'rebrand.ly'];
+
+export const SUBJECT_MAX_LENGTH = 60;
+export const MAX_LINKS = 2;
+export const WORD_RANGE = { min: 25, max: 150 };
+export const MAX_READING_GRADE = 9;
+
+const SEVERITY_PENALTY = { error: 25, warning: 10, info: 3 };
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Finds every match of a pattern in the text.
+ * @returns {{start: number, end: number, text: string}[]}
+ */
+const findAll = (text, pattern) => [...text.matchAll(pattern)].map(match => ({
+  start: match.index,
+  end: match.index + match[0].length,
+  text: match[0],
+}));
+
+const phrasePattern = (phrase) => new RegExp(`(?<![\\w-])${escapeRegExp(phrase)}(?![\\w-])`, 'gi');
+
+/**
+ * Estimates the syllables in a word from its vowel groups.
+ */
+const countSyllables = (word) => {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length <= 3) return 1;
+  const groups = letters.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+};
+
+/**
+ * Estimates the US school grade needed to read a text easily, using the
+ * Flesch-Kincaid grade level formula.
+ * @param {string} text - The text.
+ * @returns {number} The grade, rounded to one decimal; 0 for empty text.
+ */
+export const readingGrade = (text) => {
+  const words = text.match(/[a-zA-Z][a-zA-Z'-]*/g) || [];
+  if (words.length === 0) return 0;
+  const sentences = Math.max(1, (text.match(/[.!?]+(?=\s|$)/g) || []).length);
+  const syllables = words.reduce((total, word) => total + countSyllables(word), 0);
+  const grade = 0.39 * (words.length / sentences) + 11.8 * (syllables / words.length) - 15.59;
+  return Math.max(0, Math.round(grade * 10) / 10);
+};
+
+/**
+ * Checks a draft for things that hurt deliverability or replies: spam
+ * phrases, too many links or capitals, the subject and body length, the
+ * reading level, placeholders left unfilled and missing personalization.
+ * @param {string} draft - The draft text, with the subject on a "Subject:" line.
+ * @param {object} [prospect] - The recipient; their name and company are
+ *   expected in the body.
+ * @returns {{score: number, level: ('good'|'fair'|'poor'), issues: {code: string,
+ *   severity: ('error'|'warning'|'info'), message: string, suggestion: string,
+ *   ranges: {start: number, end: number}[]}[], stats: {words: number, links: number,
+ *   readingGrade: number, subjectLength: number}}} The score out of 100, and
+ *   the issues found with where they are in the draft.
+ */
+export const lintDraft = (draft, prospect = {}) => {
+  const text = draft || '';
+  const { subject, body } = parseDraft(text);
+  const issues = [];
+  const add = (code, severity, message, suggestion, ranges = []) => issues.push({ code, severity, message, suggestion, ranges });
+
+  // Placeholders: {{variables}} and [Bracketed notes] the writer meant to replace.
+  const placeholders = [
+    ...findAll(text, /\{\{\s*[a-zA-Z][\w]*\s*\}\}/g),
+    ...findAll(text, /\[[^\]\n]{2,80}\](?!\()/g),
+  ].sort((a, b) => a.start - b.start);
+  if (placeholders.length > 0) {
+    const names = [...new Set(placeholders.map(p => p.text))];
+    add('placeholder', 'error', `Unfilled placeholders: ${names.join(', ')}`, 'Replace each one with real details before sending.', placeholders);
+  }
+
+  if (!subject) {
+    add('subject_missing', 'error', 'There is no subject line.', 'Start the draft with "Subject: …".');
+  } else if (subject.length > SUBJECT_MAX_LENGTH) {
+    add('subject_long', 'warning', `The subject is ${subject.length} characters long.`, `Keep it under ${SUBJECT_MAX_LENGTH} so it is not cut off on phones.`);
+  }
+
+  SPAM_PHRASES.forEach(({ phrase, suggestion }) => {
+    const found = findAll(text, phrasePattern(phrase));
+    if (found.length > 0) add('spam_phrase', 'warning', `"${found[0].text}" is a common spam trigger.`, suggestion, found);
+  });
+
+  const greetings = GENERIC_GREETINGS.flatMap(greeting => findAll(text, phrasePattern(greeting)));
+  if (greetings.length > 0) {
+    add('generic_greeting', 'warning', `"${greetings[0].text}" reads like a mass mailing.`, 'Greet them by first name.', greetings);
+  }
+
+  const links = findAll(text, /\b(?:https?:\/\/|www\.)[^\s<>"')\]]+/gi);
+  if (links.length > MAX_LINKS) {
+    add('too_many_links', 'warning', `The draft has ${links.length} links.`, `Keep a cold email to ${MAX_LINKS} links or fewer; one is best.`, links);
+  }
+  const shortened = links.filter(link => URL_SHORTENERS.some(host => link.text.replace(/^https?:\/\/(www\.)?/i, '').toLowerCase().startsWith(`${host}/`)));
+  if (shortened.length > 0) {
+    add('link_shortener', 'warning', 'Shortened links hide where they go.', 'Link to the full address on your own domain.', shortened);
+  }
+
+  const linkAt = (index) => links.some(link => index >= link.start && index < link.end);
+  const caps = findAll(text, /\b[A-Z][A-Z'-]{3,}\b/g).filter(word => !linkAt(word.start));
+  if (caps.length > 0) {
+    add('caps', 'warning', `Words in capitals: ${[...new Set(caps.map(c => c.text))].slice(0, 5).join(', ')}`, 'Use normal case; capitals read as shouting and trip filters.', caps);
+  }
+  const exclamations = findAll(text, /!{2,}/g);
+  const exclamationCount = (text.match(/!/g) || []).length;
+  if (exclamations.length > 0 || exclamationCount > 2) {
+    add('exclamations', 'warning', `The draft uses ${exclamationCount} exclamation marks.`, 'Use one at most.', exclamations.length > 0 ? exclamations : findAll(text, /!/g));
+  }
+
+  const words = (body.match(/\S+/g) || []).length;
+  if (words > WORD_RANGE.max) {
+    add('too_long', 'warning', `The body is ${words} words long.`, `Cold emails of ${WORD_RANGE.min}–${WORD_RANGE.max} words get the most replies; cut to the one point that matters.`);
+  } else if (words > 0 && words < WORD_RANGE.min) {
+    add('too_short', 'info', `The body is only ${words} words long.`, 'Make sure it says why you are writing to them in particular.');
+  }
+
+  const grade = readingGrade(body);
+  if (grade > MAX_READING_GRADE) {
+    add('reading_level', 'warning', `Reading level is grade ${grade}.`, 'Use shorter sentences and plainer words; aim for grade 5–8.');
+  }
+
+  const bodyText = body.toLowerCase();
+  const firstName = (prospect.firstName || '').trim();
+  const company = (prospect.company || '').trim();
+  if (firstName && !bodyText.includes(firstName.toLowerCase())) {
+    add('no_name', 'warning', `The body never mentions ${firstName}.`, 'Greet them by first name.');
+  }
+  if (company && !text.toLowerCase().includes(company.toLowerCase())) {
+    add('no_company', 'info', `The draft never mentions ${company}.`, 'Say something specific about their company.');
+  }
+
+  const score = Math.max(0, 100 - issues.reduce((total, issue) => total + SEVERITY_PENALTY[issue.severity], 0));
+  return {
+    score,
+    level: score >= 80 ? 'good' : score >= 50 ? 'fair' : 'poor',
+    issues,
+    stats: { words, links: links.length, readingGrade: grade, subjectLength: subject.length },
+  };
+};
+
+/**
+ * Splits a text into plain and highlighted segments for display. Where
+ * highlights overlap, the first issue wins.
+ * @param {string} text - The text.
+ * @param {object[]} issues - Issues from lintDraft.
+ * @returns {{text: string, issue: (object|null)}[]} The segments, in order.
+ */
+export const highlightIssues = (text, issues) => {
+  const marks = issues
+    .flatMap(issue => issue.ranges.map(range => ({ ...range, issue })))
+    .sort((a, b) => a.start - b.start);
+  const segments = [];
+  let position = 0;
+  marks.forEach(({ start, end, issue }) => {
+    if (start < position) return;
+    if (start > position) segments.push({ text: text.slice(position, start), issue: null });
+    segments.push({ text: text.slice(start, end), issue });
+    position = end;
+  });
+  if (position < text.length) segments.push({ text: text.slice(position), issue: null });
+  return segments;
+};
@@ -0,0 +1,24 @@
+// --- File Download Helper ---
+
+/**
+ * Triggers a browser download of the given data.
+ * @param {(Blob|string|Uint8Array)} data - The file contents.
+ * @param {string} filename - The suggested file name.
+ * @param {string} [type] - The MIME type, used when data is not already a Blob.
+ */
+export const downloadFile = (data, filename, type = 'application/octet-stream') => {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Give the browser a moment to start the download before revoking.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,242 @@
+// --- Email Pattern Engine ---
+
+/**
+ * The built-in patterns, most common first. Tokens:
+ * {first} first name, {last} last name, {middle} middle name,
+ * {f} first initial, {l} last initial, {m} middle initial.
+ */
+export const DEFAULT_PATTERNS = [
+  '{first}.{last}',
+  '{f}{last}',
+  '{first}{l}',
+  '{first}',
+  '{last}',
+  '{first}_{last}',
+  '{f}.{last}',
+  '{first}{last}',
+  '{last}.{first}',
+  '{f}{l}',
+];
+
+/**
+ * How often each built-in pattern shows up in the wild, used as the
+ * starting confidence before anything is known about a domain.
+ */
+const PATTERN_PRIORS = {
+  '{first}.{last}': 0.3,
+  '{f}{last}': 0.2,
+  '{first}': 0.1,
+  '{first}{l}': 0.06,
+  '{first}{last}': 0.06,
+  '{f}.{last}': 0.05,
+  '{first}_{last}': 0.04,
+  '{last}': 0.03,
+  '{last}.{first}': 0.03,
+  '{f}{l}': 0.02,
+};
+
+const CUSTOM_PATTERN_PRIOR = 0.02;
+
+/**
+ * How much weight the prior carries against observed addresses. With 2,
+ * a single verified address at a domain already outweighs the prior.
+ */
+const PRIOR_WEIGHT = 2;
+
+const TOKEN_PATTERN = /\{(first|last|middle|f|l|m)\}/g;
+
+const SPECIAL_LETTERS = {
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ð: 'd', þ: 'th', ł: 'l', ı: 'i',
+};
+
+/**
+ * Reduces a name part to the characters mail servers accept: strips
+ * diacritics, apostrophes and punctuation and lower-cases the rest.
+ * @param {string} value - A name or name part, e.g. "O'Brien" or "Zoë".
+ * @returns {string} The normalized part, e.g. "obrien" or "zoe".
+ */
+export const normalizeNamePart = (value) => (value || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[ßæœøđðþłı]/g, char => SPECIAL_LETTERS[char])
+  .replace(/[^a-z0-9]/g, '');
+
+const splitWords = (value) => (value || '')
+  .split(/[\s-]+/)
+  .map(normalizeNamePart)
+  .filter(Boolean);
+
+/**
+ * Splits a prospect's name into the variants an address might be built
+ * from. Multi-part surnames ("García López", "Smith-Jones") yield the joined
+ * form as well as each part on its own.
+ * @param {string} firstName - The first name, possibly with middle names.
+ * @param {string} lastName - The last name, possibly with several parts.
+ * @returns {{first: string, middle: string, lastVariants: string[]}} The name parts.
+ */
+export const parseName = (firstName, lastName) => {
+  const firstWords = splitWords(firstName);
+  const lastWords = splitWords(lastName);
+  const joined = lastWords.join('');
+  const lastVariants = [...new Set([joined, ...lastWords])].filter(Boolean);
+
+  return {
+    first: firstWords[0] || '',
+    middle: firstWords.slice(1).join(''),
+    lastVariants,
+  };
+};
+
+/**
+ * Normalizes a domain typed by the user or taken from an email address.
+ * @param {string} domain - e.g. "https://www.Acme.com/about".
+ * @returns {string} e.g. "acme.com".
+ */
+export const normalizeDomain = (domain) => (domain || '')
+  .trim()
+  .toLowerCase()
+  .replace(/^[a-z]+:\/\//, '')
+  .replace(/^www\./, '')
+  .replace(/[/?#].*$/, '');
+
+/**
+ * Fills a pattern template for one set of name parts.
+ * @param {string} pattern - A template such as "{first}.{last}".
+ * @param {{first: string, middle: string, last: string}} parts - The name parts.
+ * @returns {string} The local part, or '' if the pattern needs a part that is empty.
+ */
+export const applyPattern = (pattern, { first, middle, last }) => {
+  const values = {
+    first,
+    last,
+    middle,
+    f: first[0] || '',
+    l: last[0] || '',
+    m: middle[0] || '',
+  };
+  let missing = false;
+  const local = pattern.replace(TOKEN_PATTERN, (_, token) => {
+    if (!values[token]) missing = true;
+    return values[token];
+  });
+  return missing ? '' : local.toLowerCase();
+};
+
+/**
+ * Checks that a user-entered template is usable.
+ * @param {string} pattern - The template.
+ * @returns {string} An error message, or '' if the template is valid.
+ */
+export const validatePattern = (pattern) => {
+  if (!pattern.match(TOKEN_PATTERN)) {
+    return 'must contain at least one token like {first} or {last}';
+  }
+  const rest = pattern.replace(TOKEN_PATTERN, '');
+  if (/[{}]/.test(rest)) return 'has an unknown token';
+  if (/[^a-z0-9._+-]/i.test(rest)) return 'contains characters not allowed in an address';
+  return '';
+};
+
+/**
+ * Lists every local part a pattern can produce for a name.
+ * @param {string} pattern - The template.
+ * @param {ReturnType<typeof parseName>} name - The parsed name.
+ * @returns {string[]} The distinct local parts.
+ */
+const expandPattern = (pattern, { first, middle, lastVariants }) => {
+  const lasts = lastVariants.length > 0 ? lastVariants : [''];
+  const locals = lasts.map(last => applyPattern(pattern, { first, middle, last })).filter(Boolean);
+  return [...new Set(locals)];
+};
+
+/**
+ * Counts which patterns explain the verified addresses already logged at
+ * a domain.
+ * @param {object[]} prospects - Logged prospects with verified emails.
+ * @param {string} domain - The domain to learn about.
+ * @param {string[]} patterns - The candidate templates.
+ * @returns {{total: number, matches: Object<string, number>}} How many
+ *   prospects were examined and how many each pattern explains.
+ */
+export const learnDomainPatterns = (prospects, domain, patterns) => {
+  const target = normalizeDomain(domain);
+  const matches = Object.fromEntries(patterns.map(p => [p, 0]));
+  let total = 0;
+
+  prospects.forEach(prospect => {
+    const [local, emailDomain] = (prospect.email || '').toLowerCase().split('@');
+    if (!local || normalizeDomain(emailDomain) !== target) return;
+
+    const name = parseName(prospect.firstName, prospect.lastName);
+    if (!name.first) return;
+
+    total += 1;
+    patterns.forEach(pattern => {
+      if (expandPattern(pattern, name).includes(local)) {
+        matches[pattern] += 1;
+      }
+    });
+  });
+
+  return { total, matches };
+};
+
+/**
+ * Returns the pattern that best explains the verified addresses at a domain.
+ * @param {object[]} prospects - Logged prospects with verified emails.
+ * @param {string} domain - The domain.
+ * @param {string[]} [patterns=DEFAULT_PATTERNS] - The candidate templates.
+ * @returns {{pattern: string, matches: number, total: number}|null} The best
+ *   pattern, or null when no logged address at the domain fits any pattern.
+ */
+export const detectDomainPattern = (prospects, domain, patterns = DEFAULT_PATTERNS) => {
+  const { total, matches } = learnDomainPatterns(prospects, domain, patterns);
+  const best = patterns.reduce((top, pattern) =>
+    (matches[pattern] > (top ? matches[top] : 0) ? pattern : top), null);
+  return best ? { pattern: best, matches: matches[best], total } : null;
+};
+
+/**
+ * Generates ranked email guesses for a new contact. Patterns that explain
+ * addresses already verified at the same domain rank first.
+ * @param {object} contact
+ * @param {string} contact.firstName - The first name.
+ * @param {string} contact.lastName - The last name.
+ * @param {string} contact.domain - The company domain.
+ * @param {object} [options]
+ * @param {string[]} [options.patterns=DEFAULT_PATTERNS] - The templates to try.
+ * @param {object[]} [options.knownProspects=[]] - Logged prospects to learn from.
+ * @returns {{email: string, pattern: string, confidence: number}[]} Guesses,
+ *   highest confidence (0 to 1) first.
+ */
+export const generateEmailGuesses = (
+  { firstName, lastName, domain },
+  { patterns = DEFAULT_PATTERNS, knownProspects = [] } = {}
+) => {
+  const target = normalizeDomain(domain);
+  const name = parseName(firstName, lastName);
+  if (!target || !name.first) return [];
+
+  const { total, matches } = learnDomainPatterns(knownProspects, target, patterns);
+  const guesses = new Map();
+
+  patterns.forEach((pattern, index) => {
+    const prior = PATTERN_PRIORS[pattern] ?? CUSTOM_PATTERN_PRIOR;
+    const confidence = (matches[pattern] + prior * PRIOR_WEIGHT) / (total + PRIOR_WEIGHT);
+
+    expandPattern(pattern, name).forEach((local, variant) => {
+      const email = `${local}@${target}`;
+      // Split-surname variants are less likely than the joined surname.
+      const score = variant === 0 ? confidence : confidence / 2;
+      const existing = guesses.get(email);
+      if (!existing || existing.confidence < score) {
+        guesses.set(email, { email, pattern, confidence: score, order: index });
+      }
+    });
+  });
+
+  return [...guesses.values()]
+    .sort((a, b) => b.confidence - a.confidence || a.order - b.order)
+    .map(({ email, pattern, confidence }) => ({ email, pattern, confidence }));
+};
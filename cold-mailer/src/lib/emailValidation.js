@@ -0,0 +1,170 @@
+import { normalizeDomain } from './emailPatterns.js';
+
+// --- Email Address Validation ---
+
+/**
+ * Local parts that reach a team inbox rather than a person.
+ */
+export const ROLE_LOCAL_PARTS = [
+  'info', 'sales', 'support', 'admin', 'administrator', 'contact', 'contactus', 'hello', 'hi',
+  'team', 'office', 'marketing', 'billing', 'accounts', 'accounting', 'finance', 'help',
+  'helpdesk', 'enquiries', 'inquiries', 'careers', 'jobs', 'hr', 'recruiting', 'press', 'media',
+  'pr', 'webmaster', 'postmaster', 'hostmaster', 'abuse', 'noreply', 'no-reply', 'donotreply',
+  'do-not-reply', 'mail', 'email', 'service', 'customerservice', 'feedback', 'legal', 'privacy',
+  'security', 'partners', 'orders', 'newsletter', 'bookings', 'reception',
+];
+
+/**
+ * Throwaway inbox providers. Addresses here rarely belong to a real buyer.
+ */
+export const DISPOSABLE_DOMAINS = [
+  'mailinator.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com', '10minutemail.com',
+  '10minutemail.net', 'tempmail.com', 'temp-mail.org', 'tempmailo.com', 'throwawaymail.com',
+  'yopmail.com', 'yopmail.fr', 'trashmail.com', 'trashmail.de', 'getnada.com', 'nada.email',
+  'dispostable.com', 'maildrop.cc', 'mailnesia.com', 'mintemail.com', 'mohmal.com',
+  'fakeinbox.com', 'emailondeck.com', 'spamgourmet.com', 'mailcatch.com', 'tempr.email',
+  'discard.email', 'burnermail.io', 'mytemp.email', 'moakt.com', 'tmail.ws', 'getairmail.com',
+];
+
+/**
+ * Personal mailbox providers, used for typo suggestions and to flag
+ * personal addresses logged against a company.
+ */
+export const FREE_MAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'hotmail.com', 'hotmail.co.uk',
+  'outlook.com', 'live.com', 'msn.com', 'icloud.com', 'me.com', 'mac.com', 'aol.com',
+  'protonmail.com', 'proton.me', 'gmx.com', 'gmx.de', 'web.de', 'mail.com', 'yandex.com',
+  'zoho.com', 'fastmail.com',
+];
+
+/**
+ * Frequently mistyped top-level domains.
+ */
+const TLD_TYPOS = {
+  con: 'com', cpm: 'com', cmo: 'com', ocm: 'com', comm: 'com', om: 'com', vom: 'com', xom: 'com',
+  nte: 'net', ner: 'net', ogr: 'org', orh: 'org',
+};
+
+// RFC 5322 addr-spec without comments or folding whitespace: a dot-atom
+// or quoted-string local part, and a dot-atom domain or address literal.
+const ATEXT = "[a-z0-9!#$%&'*+/=?^_`{|}~-]";
+const DOT_ATOM = `${ATEXT}+(?:\\.${ATEXT}+)*`;
+const QUOTED_STRING = '"(?:[\\x20\\x21\\x23-\\x5b\\x5d-\\x7e]|\\\\[\\x20-\\x7e])*"';
+const HOSTNAME = '(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\\.)+[a-z]{2,63}';
+const ADDRESS_LITERAL = '\\[(?:\\d{1,3}\\.){3}\\d{1,3}\\]';
+const ADDR_SPEC = new RegExp(`^(?:${DOT_ATOM}|${QUOTED_STRING})@(?:${HOSTNAME}|${ADDRESS_LITERAL})$`, 'i');
+
+/**
+ * Checks an address against RFC 5322 addr-spec syntax and the SMTP length
+ * limits (64 characters before the @, 254 overall).
+ * @param {string} email - The address.
+ * @returns {boolean} True when the syntax is valid.
+ */
+export const isValidEmailSyntax = (email) => {
+  const value = (email || '').trim();
+  const at = value.lastIndexOf('@');
+  return ADDR_SPEC.test(value) && at <= 64 && value.length <= 254;
+};
+
+/**
+ * Optimal string alignment distance: edits, including swapping two
+ * neighbouring letters, needed to turn one string into another.
+ */
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j += 1) d[0][j] = j;
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+/**
+ * Suggests the domain an address was probably meant to have.
+ * @param {string} domain - The address's domain.
+ * @param {string[]} candidates - Domains it may be a typo of.
+ * @returns {string} The suggested domain, or '' when it looks fine.
+ */
+export const suggestDomain = (domain, candidates) => {
+  if (candidates.includes(domain)) return '';
+
+  const labels = domain.split('.');
+  const tld = labels[labels.length - 1];
+  if (TLD_TYPOS[tld]) {
+    return [...labels.slice(0, -1), TLD_TYPOS[tld]].join('.');
+  }
+
+  let best = '';
+  let bestDistance = Infinity;
+  candidates.forEach(candidate => {
+    const distance = editDistance(domain, candidate);
+    // Short domains need a closer match to avoid false alarms.
+    const limit = candidate.length > 6 ? 2 : 1;
+    if (distance > 0 && distance <= limit && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+/**
+ * Validates an address before it is logged.
+ * @param {string} email - The address.
+ * @param {object} [context]
+ * @param {string} [context.domain] - The prospect's company domain.
+ * @returns {{level: ('valid'|'risky'|'invalid'), issues: {code: string, message: string}[],
+ *   suggestion: string}} The verdict, what is wrong, and a corrected address
+ *   when the domain looks mistyped.
+ */
+export const validateEmail = (email, { domain } = {}) => {
+  const value = (email || '').trim();
+  if (!isValidEmailSyntax(value)) {
+    return {
+      level: 'invalid',
+      issues: [{ code: 'syntax', message: 'Not a valid email address.' }],
+      suggestion: '',
+    };
+  }
+
+  const at = value.lastIndexOf('@');
+  const local = value.slice(0, at).toLowerCase();
+  const emailDomain = value.slice(at + 1).toLowerCase();
+  const companyDomain = normalizeDomain(domain);
+  const issues = [];
+
+  const typoCandidates = companyDomain ? [companyDomain, ...FREE_MAIL_DOMAINS] : FREE_MAIL_DOMAINS;
+  const suggestedDomain = suggestDomain(emailDomain, typoCandidates);
+  if (suggestedDomain) {
+    issues.push({ code: 'typo', message: `Did you mean ${suggestedDomain}?` });
+  }
+
+  if (ROLE_LOCAL_PARTS.includes(local.replace(/[._]/g, '')) || ROLE_LOCAL_PARTS.includes(local)) {
+    issues.push({ code: 'role', message: `${local}@ is a shared role inbox, not a person.` });
+  }
+
+  if (DISPOSABLE_DOMAINS.includes(emailDomain)) {
+    issues.push({ code: 'disposable', message: `${emailDomain} is a disposable email provider.` });
+  } else if (FREE_MAIL_DOMAINS.includes(emailDomain) && companyDomain) {
+    issues.push({ code: 'personal', message: 'This is a personal address, not a work address.' });
+  } else if (
+    companyDomain
+    && !suggestedDomain
+    && emailDomain !== companyDomain
+    && !emailDomain.endsWith(`.${companyDomain}`)
+  ) {
+    issues.push({ code: 'domain_mismatch', message: `The address is at ${emailDomain}, but the company domain is ${companyDomain}.` });
+  }
+
+  return {
+    level: issues.length > 0 ? 'risky' : 'valid',
+    issues,
+    suggestion: suggestedDomain ? `${value.slice(0, at)}@${suggestedDomain}` : '',
+  };
+};
@@ -0,0 +1,149 @@
+import { createZip } from './zip.js';
+
+// --- RFC 5322 Message Files ---
+
+const encoder = new TextEncoder();
+
+const isAscii = (text) => /^[\x20-\x7e]*$/.test(text);
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+};
+
+/**
+ * Encodes a header value as RFC 2047 encoded-words when it is not plain
+ * ASCII. Long values are split into several words on character boundaries
+ * and folded onto continuation lines.
+ * @param {string} text - The header text.
+ * @returns {string} The header-safe text.
+ */
+export const encodeHeader = (text) => {
+  if (isAscii(text)) return text;
+  const words = [];
+  let chunk = '';
+  Array.from(text).forEach(char => {
+    // 45 bytes of UTF-8 keep each encoded-word under the 75 character limit.
+    if (encoder.encode(chunk + char).length > 45) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  });
+  words.push(chunk);
+  return words.map(word => `=?UTF-8?B?${toBase64(encoder.encode(word))}?=`).join('\r\n ');
+};
+
+/**
+ * Formats a mailbox, quoting or encoding the display name as needed.
+ * @param {string} address - The email address.
+ * @param {string} [name] - The display name.
+ * @returns {string} The mailbox, like `"Doe, Jane" <jane@acme.com>`.
+ */
+export const formatMailbox = (address, name) => {
+  if (!name) return address;
+  const display = isAscii(name)
+    ? (/[()<>[\]:;@\\,."]/.test(name) ? `"${name.replace(/(["\\])/g, '\\$1')}"` : name)
+    : encodeHeader(name);
+  return `${display} <${address}>`;
+};
+
+const toHex = (byte) => `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+
+/**
+ * Encodes text as quoted-printable with CRLF line endings and lines no
+ * longer than 76 characters.
+ * @param {string} text - The text.
+ * @returns {string} The encoded text.
+ */
+export const encodeQuotedPrintable = (text) => text
+  .replace(/\r\n?/g, '\n')
+  .split('\n')
+  .map(line => {
+    const bytes = encoder.encode(line);
+    const lines = [];
+    let current = '';
+    bytes.forEach((byte, i) => {
+      const isLast = i === bytes.length - 1;
+      let chunk;
+      if (byte === 0x3d || byte > 0x7e || (byte < 0x20 && byte !== 0x09)) chunk = toHex(byte);
+      // Trailing whitespace would be stripped in transit.
+      else if ((byte === 0x20 || byte === 0x09) && isLast) chunk = toHex(byte);
+      else chunk = String.fromCharCode(byte);
+      if (current.length + chunk.length > 75) {
+        lines.push(`${current}=`);
+        current = '';
+      }
+      current += chunk;
+    });
+    lines.push(current);
+    return lines.join('\r\n');
+  })
+  .join('\r\n');
+
+/**
+ * Formats a date as an RFC 5322 date-time in UTC.
+ * @param {Date} date - The date.
+ * @returns {string} The date, like "Mon, 19 Oct 2026 09:30:00 +0000".
+ */
+export const formatMessageDate = (date) => date.toUTCString().replace('GMT', '+0000');
+
+/**
+ * Builds a plain-text email as an RFC 5322 message, ready to save as .eml
+ * and open in a mail client.
+ * @param {object} message
+ * @param {{address: string, name?: string}} message.from - The sender.
+ * @param {{address: string, name?: string}} [message.to] - The recipient.
+ *   Leave the address empty to pick one in the mail client.
+ * @param {string} message.subject - The subject line.
+ * @param {string} message.body - The plain-text body.
+ * @param {Date} [message.date=new Date()] - The message date.
+ * @param {boolean} [message.draft=true] - Marks the message as unsent, so
+ *   clients that support it open it ready to edit and send.
+ * @returns {string} The message source.
+ */
+export const buildEml = ({ from, to, subject, body, date = new Date(), draft = true }) => [
+  ...(from?.address ? [`From: ${formatMailbox(from.address, from.name)}`] : []),
+  ...(to?.address ? [`To: ${formatMailbox(to.address, to.name)}`] : []),
+  `Subject: ${encodeHeader(subject)}`,
+  `Date: ${formatMessageDate(date)}`,
+  ...(draft ? ['X-Unsent: 1'] : []),
+  'MIME-Version: 1.0',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  encodeQuotedPrintable(body),
+  '',
+].join('\r\n');
+
+/**
+ * Suggests a file name for a message to a prospect.
+ * @param {object} prospect - The recipient.
+ * @param {string} subject - The subject line.
+ * @returns {string} A file-system-safe name ending in .eml.
+ */
+export const emlFilename = (prospect, subject) => {
+  const name = [prospect.firstName, prospect.lastName, subject].filter(Boolean).join(' ');
+  const slug = name.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${(slug || 'message').slice(0, 80)}.eml`;
+};
+
+/**
+ * Packs personalized messages into a ZIP of .eml files, numbered so that
+ * recipients with the same name do not overwrite each other.
+ * @param {{prospect: object, subject: string, body: string}[]} messages - The messages.
+ * @param {object} sender - The sender profile; senderEmail becomes the From address.
+ * @param {Date} [now=new Date()] - The message date.
+ * @returns {Uint8Array} The ZIP archive.
+ */
+export const createEmlArchive = (messages, sender, now = new Date()) => createZip(messages.map(({ prospect, subject, body }, i) => ({
+  name: `${String(i + 1).padStart(3, '0')}-${emlFilename(prospect, subject)}`,
+  content: buildEml({
+    from: { address: sender.senderEmail, name: sender.senderName },
+    to: { address: prospect.email, name: `${prospect.firstName} ${prospect.lastName}`.trim() },
+    subject,
+    body,
+    date: now,
+  }),
+})), now);
@@ -0,0 +1,295 @@
+import { createId } from './prospects.js';
+import { addEvent } from './timeline.js';
+import { buildMessages } from './campaigns.js';
+import { hasBeenContacted, hasReplied, hasMeeting } from './analytics.js';
+
+// --- A/B Tests ---
+
+/**
+ * How prospects are split between an A/B test's variants.
+ */
+export const ASSIGNMENT_MODES = {
+  roundRobin: 'Round-robin',
+  random: 'Random',
+};
+
+const VARIANT_LETTERS = 'ABCDEFGH';
+
+/**
+ * Variants need this many contacted prospects each before their reply
+ * rates are compared.
+ */
+export const MIN_SAMPLE = 10;
+
+/**
+ * Creates an A/B test.
+ * @param {object} [fields] - Fields to set on the test.
+ * @returns {{id: number, name: string, assignment: string, active: boolean,
+ *   assigned: number, createdAt: string, variants: {id: string, templateId: number,
+ *   subject: string}[]}} The test. "assigned" counts the assignments made,
+ *   which drives round-robin.
+ */
+export const createExperiment = (fields = {}) => ({
+  id: createId(),
+  name: 'Untitled Test',
+  assignment: 'roundRobin',
+  active: true,
+  assigned: 0,
+  createdAt: new Date().toISOString(),
+  variants: [],
+  ...fields,
+});
+
+/**
+ * Creates the next variant of a test, lettered after the ones it has.
+ * @param {object[]} variants - The test's current variants.
+ * @param {(number|null)} templateId - The template the variant uses.
+ * @returns {({id: string, templateId: (number|null), subject: string}|null)} The
+ *   variant, or null when every letter is taken.
+ */
+export const createVariant = (variants, templateId) => {
+  const letter = [...VARIANT_LETTERS].find(l => !variants.some(v => v.id === l));
+  return letter ? { id: letter, templateId, subject: '' } : null;
+};
+
+/**
+ * Checks an edited test before it is saved.
+ * @param {object} experiment - The A/B test.
+ * @param {object[]} templates - The available templates.
+ * @returns {string[]} The problems found; empty when the test is valid.
+ */
+export const validateExperiment = (experiment, templates) => {
+  const errors = [];
+  if (!experiment.name.trim()) errors.push('The test needs a name.');
+  if (experiment.variants.length < 2) errors.push('A test needs at least two variants.');
+  experiment.variants.forEach(v => {
+    if (!templates.some(t => t.id === v.templateId)) errors.push(`Variant ${v.id} needs a template.`);
+  });
+  const seen = new Set();
+  experiment.variants.forEach(v => {
+    const key = `${v.templateId}|${v.subject.trim().toLowerCase()}`;
+    if (seen.has(key)) errors.push(`Variant ${v.id} is the same as another variant.`);
+    seen.add(key);
+  });
+  return errors;
+};
+
+/**
+ * Returns the template a variant sends: its template with the subject line
+ * swapped for the variant's own, when it has one.
+ * @param {object} variant - The variant.
+ * @param {object[]} templates - The available templates.
+ * @returns {(object|null)} The template, or null when it has been deleted.
+ */
+export const getVariantTemplate = (variant, templates) => {
+  const template = templates.find(t => t.id === variant.templateId);
+  if (!template) return null;
+  return variant.subject.trim() ? { ...template, subject: variant.subject.trim() } : template;
+};
+
+/**
+ * Returns the variant a prospect was given in a test.
+ * @param {object} prospect - The prospect.
+ * @param {object} experiment - The A/B test.
+ * @returns {(string|null)} The variant letter, or null when they are not in the test.
+ */
+export const getAssignedVariant = (prospect, experiment) =>
+  (prospect.experiment && prospect.experiment.id === experiment.id ? prospect.experiment.variant : null);
+
+/**
+ * Counts one more prospect given a variant, moving round-robin on.
+ * @param {object} experiment - The A/B test.
+ * @returns {object} The updated test.
+ */
+export const countAssignment = (experiment) => ({ ...experiment, assigned: experiment.assigned + 1 });
+
+/**
+ * Picks a variant for the next draft. A prospect who already has a variant
+ * in the test keeps it, so every email they get comes from the same one.
+ * @param {object} experiment - The A/B test.
+ * @param {(string|null)} [current] - The variant the prospect already has.
+ * @param {Function} [random=Math.random] - Source of randomness in [0, 1).
+ * @returns {({experiment: object, variant: object}|null)} The variant, and the
+ *   test with its round-robin position moved on when a new one was picked, or
+ *   null when the test has no variants. Save the test only once the variant
+ *   is recorded on a prospect.
+ */
+export const assignVariant = (experiment, current = null, random = Math.random) => {
+  const kept = experiment.variants.find(v => v.id === current);
+  if (kept) return { experiment, variant: kept };
+  const count = experiment.variants.length;
+  if (count === 0) return null;
+  const index = experiment.assignment === 'random'
+    ? Math.min(count - 1, Math.floor(random() * count))
+    : experiment.assigned % count;
+  return { experiment: countAssignment(experiment), variant: experiment.variants[index] };
+};
+
+/**
+ * Records the variant a prospect was given, replacing any earlier test
+ * they were in.
+ * @param {object} prospect - The prospect.
+ * @param {object} experiment - The A/B test.
+ * @param {string} variant - The variant letter.
+ * @param {Date} [now=new Date()] - When the variant was assigned.
+ * @returns {object} The updated prospect, unchanged if they already had it.
+ */
+export const recordVariant = (prospect, experiment, variant, now = new Date()) => {
+  if (getAssignedVariant(prospect, experiment) === variant) return prospect;
+  return addEvent(
+    { ...prospect, experiment: { id: experiment.id, name: experiment.name, variant } },
+    'variant_assigned',
+    { experiment: experiment.name, variant },
+    now
+  );
+};
+
+/**
+ * Records the variants given out with a batch of messages.
+ * @param {object[]} prospects - All prospects.
+ * @param {object} experiment - The A/B test the messages came from.
+ * @param {object[]} messages - Messages from buildVariantMessages.
+ * @param {Date} [now=new Date()] - When the variants were assigned.
+ * @returns {object[]} The updated prospects.
+ */
+export const recordVariants = (prospects, experiment, messages, now = new Date()) => {
+  const variants = new Map(messages.map(m => [m.prospect.id, m.variant]));
+  return prospects.map(p => (variants.has(p.id) ? recordVariant(p, experiment, variants.get(p.id), now) : p));
+};
+
+/**
+ * Personalizes a test's variants for a list of prospects, assigning each
+ * one a variant.
+ * @param {object} experiment - The A/B test.
+ * @param {object[]} templates - The available templates.
+ * @param {object[]} prospects - The recipients.
+ * @param {object} sender - The sender profile.
+ * @param {Function} [random=Math.random] - Source of randomness in [0, 1).
+ * @returns {{experiment: object, messages: object[]}} The test with its
+ *   round-robin position moved on, and messages as from buildMessages with
+ *   the variant letter and template name added. Prospects whose variant's
+ *   template was deleted, or every prospect when the test has no variants,
+ *   are left out.
+ */
+export const buildVariantMessages = (experiment, templates, prospects, sender, random = Math.random) => {
+  let next = experiment;
+  const messages = [];
+  prospects.forEach(prospect => {
+    const assigned = assignVariant(next, getAssignedVariant(prospect, next), random);
+    if (!assigned) return;
+    next = assigned.experiment;
+    const template = getVariantTemplate(assigned.variant, templates);
+    if (!template) return;
+    messages.push({ ...buildMessages(template, [prospect], sender)[0], variant: assigned.variant.id, template: template.name });
+  });
+  return { experiment: next, messages };
+};
+
+/**
+ * Approximates the standard normal cumulative distribution function
+ * (Abramowitz and Stegun 26.2.17).
+ */
+const normalCdf = (z) => {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+  const tail = density * t * (0.31938153 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z >= 0 ? 1 - tail : tail;
+};
+
+/**
+ * Compares two reply rates with a two-proportion z-test.
+ * @param {{replied: number, contacted: number}} a - The first variant.
+ * @param {{replied: number, contacted: number}} b - The second variant.
+ * @returns {number} The two-sided p-value: the chance of a gap this large if
+ *   both variants did equally well. 1 when there is nothing to compare.
+ */
+export const compareRates = (a, b) => {
+  const pooled = (a.replied + b.replied) / (a.contacted + b.contacted);
+  const error = Math.sqrt(pooled * (1 - pooled) * (1 / a.contacted + 1 / b.contacted));
+  if (!error) return 1;
+  const z = (a.replied / a.contacted - b.replied / b.contacted) / error;
+  return 2 * (1 - normalCdf(Math.abs(z)));
+};
+
+/**
+ * Describes a p-value for people who do not read p-values.
+ * @param {number} pValue - The p-value from compareRates.
+ * @returns {('significant'|'likely'|'inconclusive')} "significant" below 0.05,
+ *   "likely" below 0.2.
+ */
+const describeSignificance = (pValue) => {
+  if (pValue < 0.05) return 'significant';
+  if (pValue < 0.2) return 'likely';
+  return 'inconclusive';
+};
+
+/**
+ * Works out how each variant of a test is doing. Contacted is a share of
+ * the prospects assigned; replies and meetings are shares of those
+ * contacted. The variant with the best reply rate leads, and every other
+ * variant is compared against it.
+ * @param {object} experiment - The A/B test.
+ * @param {object[]} prospects - All prospects.
+ * @returns {{variants: {variant: string, assigned: number, contacted: number,
+ *   replied: number, meetings: number, contactRate: (number|null),
+ *   replyRate: (number|null), meetingRate: (number|null), isLeader: boolean,
+ *   pValue: (number|null), significance: ('significant'|'likely'|'inconclusive'|'insufficient'|null)}[],
+ *   leader: (string|null), significance: (string|null)}} One entry per
+ *   variant, and the leading variant with how sure the lead is against
+ *   the runner-up.
+ */
+export const summarizeExperiment = (experiment, prospects) => {
+  const members = prospects.filter(p => p.experiment && p.experiment.id === experiment.id);
+  const rows = experiment.variants.map(({ id }) => {
+    const assigned = members.filter(p => p.experiment.variant === id);
+    const contacted = assigned.filter(hasBeenContacted);
+    const replied = contacted.filter(hasReplied).length;
+    const meetings = contacted.filter(hasMeeting).length;
+    const rate = (count) => (contacted.length > 0 ? count / contacted.length : null);
+    return {
+      variant: id,
+      assigned: assigned.length,
+      contacted: contacted.length,
+      replied,
+      meetings,
+      contactRate: assigned.length > 0 ? contacted.length / assigned.length : null,
+      replyRate: rate(replied),
+      meetingRate: rate(meetings),
+    };
+  });
+
+  const ranked = rows.filter(r => r.contacted > 0).sort((a, b) => b.replyRate - a.replyRate || b.contacted - a.contacted);
+  const leader = ranked[0] || null;
+  const variants = rows.map(row => {
+    if (!leader || row.contacted === 0) return { ...row, isLeader: false, pValue: null, significance: null };
+    if (row === leader) return { ...row, isLeader: true, pValue: null, significance: null };
+    const pValue = compareRates(leader, row);
+    const enough = leader.contacted >= MIN_SAMPLE && row.contacted >= MIN_SAMPLE;
+    return { ...row, isLeader: false, pValue, significance: enough ? describeSignificance(pValue) : 'insufficient' };
+  });
+  const runnerUp = ranked[1] && variants.find(v => v.variant === ranked[1].variant);
+  return {
+    variants,
+    leader: leader && runnerUp ? leader.variant : null,
+    significance: runnerUp ? runnerUp.significance : null,
+  };
+};
+
+/**
+ * Repairs stored A/B tests, dropping any that cannot be read.
+ * @param {*} saved - The stored tests.
+ * @returns {object[]} The tests.
+ */
+export const restoreExperiments = (saved) => (Array.isArray(saved) ? saved : [])
+  .filter(x => x && typeof x === 'object' && typeof x.name === 'string' && Array.isArray(x.variants))
+  .map(x => ({
+    ...createExperiment(),
+    ...x,
+    id: x.id ?? createId(),
+    assignment: ASSIGNMENT_MODES[x.assignment] ? x.assignment : 'roundRobin',
+    active: x.active !== false,
+    assigned: Number(x.assigned) || 0,
+    variants: x.variants
+      .filter(v => v && typeof v.id === 'string')
+      .map(v => ({ id: v.id, templateId: v.templateId ?? null, subject: typeof v.subject === 'string' ? v.subject : '' })),
+  }));
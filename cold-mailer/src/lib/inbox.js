@@ -0,0 +1,138 @@
+import { STATUSES, normalizeEmail } from './prospects.js';
+import { FREE_MAIL_DOMAINS } from './emailValidation.js';
+import { addEvent, changeStatus } from './timeline.js';
+
+// --- Reply, Bounce and Tracking Matching ---
+
+/**
+ * The status a prospect moves to when they reply. Prospects already past
+ * it in the pipeline keep their status.
+ */
+export const REPLIED_STATUS = 'Replied';
+
+const domainOf = (email) => normalizeEmail(email).split('@')[1] || '';
+
+const hasSentMessage = (prospect, ids) => (prospect.sentEmails || []).some(sent => ids.includes(sent.messageId));
+
+const findByEmail = (prospects, email) => prospects.filter(p => normalizeEmail(p.email) === normalizeEmail(email));
+
+/**
+ * Works out which prospects an inbox event is about. Opens and clicks are
+ * matched by the tracked message's Message-ID; bounces by the original
+ * Message-ID, then by the failed address; replies by thread headers, then
+ * by sender address. Anything that cannot be pinned to a single prospect,
+ * and automatic replies, go to review instead.
+ * @param {object} event - An inbox or tracking event from the companion server.
+ * @param {object[]} prospects - All prospects.
+ * @returns {({kind: ('reply'|'bounce'|'open'|'click'), prospectIds: number[], reason: string}|null)}
+ *   The match, with a reason when it needs review, or null when the event
+ *   is unrelated to any prospect.
+ */
+export const matchInboxEvent = (event, prospects) => {
+  if (event.tracking) {
+    const { type, messageId } = event.tracking;
+    const byThread = prospects.filter(p => hasSentMessage(p, [messageId]));
+    return byThread.length > 0 ? { kind: type, prospectIds: byThread.map(p => p.id), reason: '' } : null;
+  }
+
+  if (event.bounce) {
+    const { originalMessageId, recipients } = event.bounce;
+    const byThread = originalMessageId ? prospects.filter(p => hasSentMessage(p, [originalMessageId])) : [];
+    if (byThread.length === 1) return { kind: 'bounce', prospectIds: [byThread[0].id], reason: '' };
+
+    const matches = recipients.map(r => findByEmail(prospects, r.email)).filter(found => found.length > 0);
+    if (matches.length === 0) return null;
+    const prospectIds = [...new Set(matches.flat().map(p => p.id))];
+    const reason = matches.some(found => found.length > 1) ? 'Several prospects share the bounced address.' : '';
+    return { kind: 'bounce', prospectIds, reason };
+  }
+
+  const threadIds = [...event.inReplyTo, ...event.references];
+  const byThread = threadIds.length > 0 ? prospects.filter(p => hasSentMessage(p, threadIds)) : [];
+  const byAddress = findByEmail(prospects, event.from.email);
+  const autoReason = event.autoReply ? 'Looks like an automatic reply, such as an out-of-office message.' : '';
+
+  if (byThread.length === 1) return { kind: 'reply', prospectIds: [byThread[0].id], reason: autoReason };
+  if (byAddress.length === 1) return { kind: 'reply', prospectIds: [byAddress[0].id], reason: autoReason };
+  if (byAddress.length > 1) return { kind: 'reply', prospectIds: byAddress.map(p => p.id), reason: 'Several prospects share this address.' };
+
+  // Someone else at a company we emailed, e.g. a colleague answering for them.
+  const domain = domainOf(event.from.email);
+  const colleagues = domain && !FREE_MAIL_DOMAINS.includes(domain)
+    ? prospects.filter(p => (p.sentEmails || []).length > 0 && domainOf(p.email) === domain)
+    : [];
+  if (colleagues.length > 0) {
+    return { kind: 'reply', prospectIds: colleagues.map(p => p.id), reason: `Sent from another address at ${domain}.` };
+  }
+  return null;
+};
+
+/**
+ * Records a reply, bounce, open or click on a prospect. A reply moves the
+ * prospect to Replied unless they are further along; a bounce flags the
+ * address so sequences stop emailing it. Replies and bounces already
+ * recorded are ignored.
+ * @param {object} prospect - The prospect.
+ * @param {object} event - The inbox or tracking event.
+ * @param {('reply'|'bounce'|'open'|'click')} kind - What the event is.
+ * @param {string[]} [statuses=STATUSES] - The pipeline stages, in order.
+ * @returns {object} The updated prospect.
+ */
+export const applyInboxEvent = (prospect, event, kind, statuses = STATUSES) => {
+  const seen = event.messageId && (prospect.history || []).some(e => e.messageId === event.messageId && e.type !== 'email_sent');
+  if (seen) return prospect;
+  const at = new Date(event.date);
+
+  if (kind === 'open' || kind === 'click') {
+    const sent = (prospect.sentEmails || []).find(s => s.messageId === event.tracking.messageId);
+    return addEvent(prospect, kind === 'open' ? 'email_opened' : 'link_clicked', {
+      ...(sent && sent.subject ? { subject: sent.subject } : {}),
+      ...(kind === 'click' ? { url: event.tracking.url } : {}),
+    }, at);
+  }
+
+  if (kind === 'bounce') {
+    const recipient = event.bounce.recipients.find(r => normalizeEmail(r.email) === normalizeEmail(prospect.email)) || {};
+    return addEvent({ ...prospect, bouncedAt: at.toISOString() }, 'email_bounced', {
+      email: prospect.email,
+      messageId: event.messageId,
+      ...(recipient.status ? { status: recipient.status } : {}),
+      ...(recipient.diagnostic ? { diagnostic: recipient.diagnostic } : {}),
+    }, at);
+  }
+
+  const replied = addEvent(prospect, 'email_received', {
+    subject: event.subject,
+    from: event.from.email,
+    messageId: event.messageId,
+  }, at);
+  const index = statuses.indexOf(prospect.status);
+  return index !== -1 && index < statuses.indexOf(REPLIED_STATUS) ? changeStatus(replied, REPLIED_STATUS, at) : replied;
+};
+
+/**
+ * Applies a batch of inbox events to the prospects.
+ * @param {object[]} prospects - All prospects.
+ * @param {object[]} events - New inbox events, oldest first.
+ * @param {string[]} [statuses=STATUSES] - The pipeline stages, in order.
+ * @returns {{prospects: object[], review: object[], applied: number}} The
+ *   updated prospects, the events that need a person to decide, and how
+ *   many were applied automatically.
+ */
+export const processInboxEvents = (prospects, events, statuses = STATUSES) => {
+  let updated = prospects;
+  const review = [];
+  let applied = 0;
+
+  events.forEach(event => {
+    const match = matchInboxEvent(event, updated);
+    if (!match) return;
+    if (match.reason) {
+      review.push({ id: event.id, event, ...match });
+      return;
+    }
+    updated = updated.map(p => (match.prospectIds.includes(p.id) ? applyInboxEvent(p, event, match.kind, statuses) : p));
+    applied += 1;
+  });
+  return { prospects: updated, review, applied };
+};
@@ -0,0 +1,201 @@
+import { buildVariables, renderTemplate } from './templates.js';
+
+// --- LLM Draft Providers ---
+
+export const PROVIDER_TYPES = [
+  { key: 'none', label: 'None (fill template only)' },
+  { key: 'openai', label: 'OpenAI-compatible API' },
+  { key: 'mock', label: 'Local mock (no network)' },
+];
+
+export const DEFAULT_LLM_SETTINGS = {
+  provider: 'none',
+  baseUrl: 'http://localhost:11434/v1',
+  apiKey: '',
+  model: 'llama3.1',
+  temperature: 0.7,
+};
+
+/**
+ * Builds the chat messages asking a model to write a cold email. The
+ * selected template is passed along as a style and structure reference.
+ * @param {Object<string, string>} variables - Prospect and sender variables.
+ * @param {object} [template] - The selected template.
+ * @returns {{role: string, content: string}[]} The chat messages.
+ */
+export const buildDraftMessages = (variables, template) => {
+  const prospectLines = [
+    ['Name', `${variables.firstName} ${variables.lastName}`.trim()],
+    ['Title', variables.title],
+    ['Company', variables.company],
+    ['Company domain', variables.domain],
+  ].filter(([, value]) => value).map(([label, value]) => `${label}: ${value}`);
+
+  const senderLines = [
+    ['Name', variables.senderName],
+    ['Company', variables.senderCompany],
+    ['Service', variables.senderService],
+    ['Value proposition', variables.senderValueProp],
+  ].filter(([, value]) => value).map(([label, value]) => `${label}: ${value}`);
+
+  const reference = template
+    ? `\n\nUse this template as a reference for tone and structure:\n\n${renderTemplate(template, variables)}`
+    : '';
+
+  return [
+    {
+      role: 'system',
+      content: 'You write short, personal B2B cold emails. Reply with the email only: '
+        + 'a first line of the form "Subject: ..." followed by a blank line and the body. '
+        + 'Keep it under 120 words, avoid hype, and end with one low-pressure question. '
+        + 'Never invent facts about the prospect beyond what you are given.',
+    },
+    {
+      role: 'user',
+      content: `Prospect:\n${prospectLines.join('\n') || 'Unknown'}\n\nSender:\n${senderLines.join('\n') || 'Unknown'}${reference}`,
+    },
+  ];
+};
+
+/**
+ * Reads a server-sent events stream of chat completion chunks.
+ * @param {ReadableStream<Uint8Array>} body - The response body.
+ * @param {Function} onToken - Called with each text fragment.
+ * @returns {Promise<string>} The full completion text.
+ */
+const readCompletionStream = async (body, onToken) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const data = line.trim().replace(/^data:\s*/, '');
+      if (!line.trim().startsWith('data:') || !data) continue;
+      if (data === '[DONE]') return text;
+
+      const token = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (token) {
+        text += token;
+        onToken(token);
+      }
+    }
+  }
+  return text;
+};
+
+/**
+ * A provider that calls an OpenAI-compatible /chat/completions endpoint
+ * (OpenAI, Ollama, LM Studio, vLLM or a local stub) with streaming enabled.
+ * @param {object} settings - The LLM settings.
+ * @returns {{name: string, complete: Function}} The provider.
+ */
+export const createOpenAIProvider = ({ baseUrl, apiKey, model, temperature }) => ({
+  name: 'openai',
+  complete: async ({ messages, signal, onToken }) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      signal,
+      body: JSON.stringify({ model, messages, temperature: Number(temperature), stream: true }),
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`The model server answered ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+    }
+
+    // Servers that ignore stream:true answer with a single JSON body.
+    if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+      const text = (await response.json()).choices?.[0]?.message?.content || '';
+      onToken(text);
+      return text;
+    }
+
+    return readCompletionStream(response.body, onToken);
+  },
+});
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('The draft was cancelled.', 'AbortError'));
+  }, { once: true });
+});
+
+/**
+ * A provider that streams back the filled template word by word, for
+ * trying out streaming and cancellation without a model server.
+ * @returns {{name: string, complete: Function}} The provider.
+ */
+export const createMockProvider = () => ({
+  name: 'mock',
+  complete: async ({ fallback, signal, onToken }) => {
+    const tokens = fallback.match(/\S+\s*/g) || [];
+    for (const token of tokens) {
+      await wait(30, signal);
+      onToken(token);
+    }
+    return fallback;
+  },
+});
+
+/**
+ * Returns the provider for the saved settings.
+ * @param {object} settings - The LLM settings.
+ * @returns {({name: string, complete: Function}|null)} The provider, or null
+ *   when none is configured.
+ */
+export const getDraftProvider = (settings) => {
+  switch (settings.provider) {
+    case 'openai':
+      return settings.baseUrl ? createOpenAIProvider(settings) : null;
+    case 'mock':
+      return createMockProvider();
+    default:
+      return null;
+  }
+};
+
+/**
+ * Drafts a cold email for a prospect, streaming through the provider when
+ * one is configured and falling back to filling the template otherwise.
+ * @param {object} options
+ * @param {object} options.prospect - The prospect fields.
+ * @param {object} options.sender - The sender profile.
+ * @param {object} options.template - The selected template.
+ * @param {object} [options.provider] - A provider from getDraftProvider.
+ * @param {AbortSignal} [options.signal] - Cancels the request.
+ * @param {Function} [options.onToken] - Called with each streamed fragment.
+ * @returns {Promise<string>} The full draft.
+ */
+export const draftAIEmail = async ({ prospect, sender, template, provider, signal, onToken = () => {} }) => {
+  const variables = buildVariables(prospect, sender);
+  const fallback = renderTemplate(template, variables);
+
+  if (!provider) {
+    onToken(fallback);
+    return fallback;
+  }
+
+  return provider.complete({
+    messages: buildDraftMessages(variables, template),
+    fallback,
+    signal,
+    onToken,
+  });
+};
@@ -0,0 +1,27 @@
+// --- mailto: Links ---
+
+/**
+ * Some mail clients and browsers cut mailto: links off past roughly this
+ * many characters, dropping the end of the body.
+ */
+export const MAILTO_MAX_LENGTH = 2000;
+
+// RFC 6068 allows "@" unescaped in the address, and some clients only
+// recognise the recipient when it is left that way.
+const encodeAddress = (address) => encodeURIComponent(address).replace(/%40/g, '@');
+
+/**
+ * Builds a mailto: link that opens a new message in the user's mail client.
+ * @param {object} message
+ * @param {string} [message.to] - The recipient address.
+ * @param {string} [message.subject] - The subject line.
+ * @param {string} [message.body] - The plain-text body.
+ * @returns {string} The link.
+ */
+export const buildMailtoUrl = ({ to = '', subject = '', body = '' }) => {
+  const params = [];
+  if (subject) params.push(`subject=${encodeURIComponent(subject)}`);
+  // Line breaks must be sent as CRLF.
+  if (body) params.push(`body=${encodeURIComponent(body.replace(/\r\n?|\n/g, '\r\n'))}`);
+  return `mailto:${encodeAddress(to.trim())}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+};
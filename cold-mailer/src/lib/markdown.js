@@ -0,0 +1,86 @@
+// --- Markdown-ish Notes Parser ---
+
+const INLINE_PATTERN = /(\*\*[^*]+\*\*|\*[^*]+\*|`[^`]+`|\[[^\]]+\]\([^)\s]+\)|https?:\/\/[^\s)]+)/g;
+
+/**
+ * Splits a line into styled spans. Supports **bold**, *italic*, `code`,
+ * [text](url) links and bare http(s) URLs.
+ * @param {string} text - One line of text.
+ * @returns {{type: string, text: string, href?: string}[]} The spans.
+ */
+export const parseInline = (text) => text
+  .split(INLINE_PATTERN)
+  .filter(Boolean)
+  .map(part => {
+    if (part.startsWith('**') && part.endsWith('**') && part.length > 4) {
+      return { type: 'bold', text: part.slice(2, -2) };
+    }
+    if (part.startsWith('`') && part.endsWith('`') && part.length > 2) {
+      return { type: 'code', text: part.slice(1, -1) };
+    }
+    if (part.startsWith('*') && part.endsWith('*') && part.length > 2) {
+      return { type: 'italic', text: part.slice(1, -1) };
+    }
+    const link = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+    if (link) {
+      return { type: 'link', text: link[1], href: link[2] };
+    }
+    if (/^https?:\/\//.test(part)) {
+      return { type: 'link', text: part, href: part };
+    }
+    return { type: 'text', text: part };
+  });
+
+/**
+ * Parses notes into blocks: "# " headings, "- " or "* " bullet lists and
+ * paragraphs separated by blank lines.
+ * @param {string} text - The notes.
+ * @returns {{type: string, spans?: object[], lines?: object[][], items?: object[][]}[]} The blocks.
+ */
+export const parseNotes = (text) => {
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', lines: paragraph.map(parseInline) });
+      paragraph = [];
+    }
+    if (list) {
+      blocks.push({ type: 'list', items: list });
+      list = null;
+    }
+  };
+
+  (text || '').split('\n').forEach(line => {
+    const trimmed = line.trim();
+    const bullet = trimmed.match(/^[-*]\s+(.*)$/);
+    const heading = trimmed.match(/^#{1,3}\s+(.*)$/);
+
+    if (!trimmed) {
+      flush();
+    } else if (heading) {
+      flush();
+      blocks.push({ type: 'heading', spans: parseInline(heading[1]) });
+    } else if (bullet) {
+      if (paragraph.length > 0) flush();
+      list = list || [];
+      list.push(parseInline(bullet[1]));
+    } else {
+      if (list) flush();
+      paragraph.push(trimmed);
+    }
+  });
+  flush();
+
+  return blocks;
+};
+
+/**
+ * Only web and mail links are rendered as links; anything else (such as a
+ * javascript: URL) is shown as plain text.
+ * @param {string} href - The link target.
+ * @returns {boolean} True when the link is safe to render.
+ */
+export const isSafeLink = (href) => /^(https?:|mailto:)/i.test(href);
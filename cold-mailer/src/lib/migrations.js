@@ -0,0 +1,104 @@
+import { PROSPECT_SCHEMA_VERSION, createId, normalizeStatus } from './prospects.js';
+
+// --- Prospect Record Migrations ---
+
+/**
+ * localStorage keys earlier versions kept the whole prospect list under,
+ * newest first: "prospects" from App.jsx and "workflowProspects" from the
+ * original Coldmailer.jsx.
+ */
+export const LEGACY_STORAGE_KEYS = ['prospects', 'workflowProspects'];
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value));
+
+/**
+ * Upgrades a record from the version before the step's index to the next.
+ * Index 0 takes an unversioned record to version 1, and so on. Add a step
+ * here whenever PROSPECT_SCHEMA_VERSION is bumped.
+ */
+const RECORD_UPGRADES = [
+  // Version 1: the original Coldmailer.jsx fields. Ids were strings,
+  // companyDomain held the domain, verifiedEmail sometimes held the email
+  // and dateAdded was a YYYY-MM-DD date. There was no status.
+  (record) => {
+    const { companyDomain, verifiedEmail, dateAdded, ...rest } = record;
+    const numericId = Number(record.id);
+    const createdAt = record.createdAt
+      || (dateAdded && !Number.isNaN(Date.parse(dateAdded)) ? new Date(dateAdded).toISOString() : undefined)
+      || (Number.isFinite(numericId) ? new Date(numericId).toISOString() : new Date().toISOString());
+
+    return {
+      ...rest,
+      id: Number.isFinite(numericId) ? numericId : record.id,
+      domain: toText(record.domain ?? companyDomain),
+      email: toText(record.email ?? verifiedEmail),
+      createdAt,
+    };
+  },
+  // Version 2: every record has all core fields as strings, a known
+  // status and a history that starts with a "created" event.
+  (record) => ({
+    ...record,
+    firstName: toText(record.firstName),
+    lastName: toText(record.lastName),
+    company: toText(record.company),
+    title: toText(record.title),
+    status: normalizeStatus(record.status),
+    history: Array.isArray(record.history) && record.history.length > 0
+      ? record.history
+      : [{ type: 'created', at: record.createdAt }],
+  }),
+];
+
+/**
+ * Brings a stored record up to the current schema.
+ * @param {*} record - A record as read from storage.
+ * @returns {object|null} The upgraded prospect, or null when the record is
+ *   not a usable prospect (not an object, or no name, company or email).
+ */
+export const migrateProspect = (record) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return null;
+
+  const from = Number.isInteger(record.schemaVersion) ? record.schemaVersion : 0;
+  if (from >= PROSPECT_SCHEMA_VERSION) return record;
+
+  let upgraded = { ...record };
+  if (upgraded.id === undefined || upgraded.id === null || upgraded.id === '') {
+    upgraded.id = createId();
+  }
+  for (let version = from; version < PROSPECT_SCHEMA_VERSION; version += 1) {
+    upgraded = RECORD_UPGRADES[version](upgraded);
+  }
+
+  if (!upgraded.firstName && !upgraded.company && !upgraded.email) return null;
+  return { ...upgraded, schemaVersion: PROSPECT_SCHEMA_VERSION };
+};
+
+/**
+ * Upgrades a list of stored records, dropping duplicates by id (the first
+ * one wins) and setting aside anything that is not a usable prospect.
+ * @param {*} records - The stored list; anything but an array is rejected whole.
+ * @returns {{prospects: object[], rejected: Array<*>}} The upgraded prospects
+ *   and the raw records that could not be read.
+ */
+export const migrateProspectList = (records) => {
+  if (!Array.isArray(records)) {
+    return { prospects: [], rejected: records === null || records === undefined ? [] : [records] };
+  }
+
+  const seen = new Set();
+  const prospects = [];
+  const rejected = [];
+
+  records.forEach(record => {
+    const prospect = migrateProspect(record);
+    if (!prospect) {
+      rejected.push(record);
+    } else if (!seen.has(prospect.id)) {
+      seen.add(prospect.id);
+      prospects.push(prospect);
+    }
+  });
+
+  return { prospects, rejected };
+};
@@ -0,0 +1,215 @@
+import { STATUSES, createId } from './prospects.js';
+
+// --- Pipeline Stages and Custom Fields ---
+
+/**
+ * The colors a stage can be shown in: a dot for lists and board columns,
+ * and badge classes for status pickers.
+ */
+export const STAGE_COLORS = {
+  gray: { label: 'Gray', dot: 'bg-gray-400', badge: 'bg-gray-700 text-gray-100' },
+  blue: { label: 'Blue', dot: 'bg-blue-400', badge: 'bg-blue-900/60 text-blue-200' },
+  indigo: { label: 'Indigo', dot: 'bg-indigo-400', badge: 'bg-indigo-900/60 text-indigo-200' },
+  purple: { label: 'Purple', dot: 'bg-purple-400', badge: 'bg-purple-900/60 text-purple-200' },
+  pink: { label: 'Pink', dot: 'bg-pink-400', badge: 'bg-pink-900/60 text-pink-200' },
+  red: { label: 'Red', dot: 'bg-red-400', badge: 'bg-red-900/60 text-red-200' },
+  orange: { label: 'Orange', dot: 'bg-orange-400', badge: 'bg-orange-900/60 text-orange-200' },
+  yellow: { label: 'Yellow', dot: 'bg-yellow-400', badge: 'bg-yellow-900/60 text-yellow-200' },
+  green: { label: 'Green', dot: 'bg-green-400', badge: 'bg-green-900/60 text-green-200' },
+  teal: { label: 'Teal', dot: 'bg-teal-400', badge: 'bg-teal-900/60 text-teal-200' },
+};
+
+const BUILT_IN_COLORS = ['gray', 'blue', 'yellow', 'purple', 'green'];
+
+export const DEFAULT_STAGES = STATUSES.map((name, index) => ({ id: index + 1, name, color: BUILT_IN_COLORS[index] }));
+
+/**
+ * The kinds of value a custom field holds. The type picks the input shown
+ * in forms and whether the table links the value.
+ */
+export const FIELD_TYPES = [
+  { key: 'text', label: 'Text' },
+  { key: 'url', label: 'URL' },
+  { key: 'phone', label: 'Phone' },
+];
+
+/**
+ * Fields most teams add, offered as one-click shortcuts.
+ */
+export const SUGGESTED_FIELDS = [
+  { label: 'LinkedIn URL', type: 'url' },
+  { label: 'Phone', type: 'phone' },
+  { label: 'Source', type: 'text' },
+];
+
+export const DEFAULT_PIPELINE = { stages: DEFAULT_STAGES, fields: [] };
+
+/**
+ * Checks whether a stage is one the app relies on.
+ * @param {string} name - The stage name.
+ * @returns {boolean} True for the built-in stages.
+ */
+export const isBuiltInStage = (name) => STATUSES.includes(name);
+
+/**
+ * Lists the stage names in pipeline order.
+ * @param {object} pipeline - The pipeline settings.
+ * @returns {string[]} The stage names.
+ */
+export const getStatuses = (pipeline) => pipeline.stages.map(stage => stage.name);
+
+/**
+ * Looks up the color classes for a stage. Unknown stages are gray.
+ * @param {object} pipeline - The pipeline settings.
+ * @param {string} name - The stage name.
+ * @returns {{label: string, dot: string, badge: string}} The color.
+ */
+export const getStageColor = (pipeline, name) => {
+  const stage = pipeline.stages.find(s => s.name === name);
+  return STAGE_COLORS[stage && stage.color] || STAGE_COLORS.gray;
+};
+
+/**
+ * Adds a prospect's status to the stage list if it is not in it, so a
+ * picker still shows the current value for prospects in a removed stage.
+ * @param {string[]} statuses - The stage names.
+ * @param {string} status - The current status.
+ * @returns {string[]} The options to offer.
+ */
+export const getStatusOptions = (statuses, status) =>
+  (!status || statuses.includes(status) ? statuses : [...statuses, status]);
+
+/**
+ * Turns a field label into a key for storing its values, e.g.
+ * "LinkedIn URL" becomes "linkedinUrl".
+ * @param {string} label - The field label.
+ * @param {object[]} fields - The existing fields; the key avoids theirs.
+ * @returns {string} The new key.
+ */
+export const createFieldKey = (label, fields) => {
+  const words = label.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().match(/[a-z0-9]+/g) || [];
+  const base = words.map((word, i) => (i === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('') || 'field';
+  const taken = new Set(fields.map(f => f.key));
+  let key = base;
+  for (let n = 2; taken.has(key); n += 1) {
+    key = `${base}${n}`;
+  }
+  return key;
+};
+
+/**
+ * Creates a custom field definition.
+ * @param {string} label - The field label.
+ * @param {string} type - One of the FIELD_TYPES keys.
+ * @param {object[]} fields - The existing fields.
+ * @returns {{key: string, label: string, type: string}} The field.
+ */
+export const createField = (label, type, fields) => ({ key: createFieldKey(label, fields), label, type });
+
+/**
+ * Creates a custom stage.
+ * @param {string} name - The stage name.
+ * @param {string} [color='gray'] - One of the STAGE_COLORS keys.
+ * @returns {{id: number, name: string, color: string}} The stage.
+ */
+export const createStage = (name, color = 'gray') => ({ id: createId(), name, color });
+
+/**
+ * Custom field values live in a prospect's `custom` object. Where they sit
+ * alongside the built-in fields, such as import mappings and export
+ * columns, they are keyed with this prefix so the two never clash.
+ */
+export const CUSTOM_FIELD_PREFIX = 'custom.';
+
+/**
+ * Lists the built-in prospect fields followed by the custom ones, keyed
+ * for use alongside each other.
+ * @param {object[]} builtIn - The built-in fields.
+ * @param {object[]} fields - The custom field definitions.
+ * @returns {{key: string, label: string}[]} The combined fields.
+ */
+export const withCustomFields = (builtIn, fields) => [
+  ...builtIn,
+  ...fields.map(({ key, label }) => ({ key: `${CUSTOM_FIELD_PREFIX}${key}`, label })),
+];
+
+/**
+ * Reads a custom field value off a prospect.
+ * @param {object} prospect - The prospect.
+ * @param {string} key - The field key.
+ * @returns {string} The value, or '' when unset.
+ */
+export const getCustomValue = (prospect, key) => (prospect.custom && prospect.custom[key]) || '';
+
+/**
+ * Checks edited pipeline settings before they are saved.
+ * @param {object} pipeline - The pipeline settings.
+ * @returns {string[]} The problems found; empty when the settings are valid.
+ */
+export const validatePipeline = ({ stages, fields }) => {
+  const errors = [];
+  const names = stages.map(s => s.name.trim().toLowerCase());
+  if (names.some(name => !name)) errors.push('Every stage needs a name.');
+  if (new Set(names).size !== names.length) errors.push('Stage names must be unique.');
+  if (fields.some(f => !f.label.trim())) errors.push('Every custom field needs a label.');
+  return errors;
+};
+
+/**
+ * Repairs stored pipeline settings: unknown colors fall back to gray, bad
+ * entries are dropped, and any built-in stage that went missing is put
+ * back after the built-in stage before it.
+ * @param {*} saved - The stored settings.
+ * @returns {object} Usable pipeline settings.
+ */
+export const restorePipeline = (saved) => {
+  const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(saved)) return DEFAULT_PIPELINE;
+
+  const seen = new Set();
+  const stages = (Array.isArray(saved.stages) ? saved.stages : [])
+    .filter(stage => isObject(stage) && typeof stage.name === 'string' && stage.name.trim())
+    .filter(stage => !seen.has(stage.name) && seen.add(stage.name))
+    .map(stage => ({ id: stage.id ?? createId(), name: stage.name, color: STAGE_COLORS[stage.color] ? stage.color : 'gray' }));
+  DEFAULT_STAGES.forEach((stage, index) => {
+    if (seen.has(stage.name)) return;
+    // Put it back right after the built-in stage that normally precedes it.
+    const before = index > 0 ? stages.findIndex(s => s.name === DEFAULT_STAGES[index - 1].name) : -1;
+    stages.splice(before + 1, 0, stage);
+    seen.add(stage.name);
+  });
+
+  const keys = new Set();
+  const fields = (Array.isArray(saved.fields) ? saved.fields : [])
+    .filter(field => isObject(field) && typeof field.key === 'string' && field.key && typeof field.label === 'string')
+    .filter(field => !keys.has(field.key) && keys.add(field.key))
+    .map(field => ({ key: field.key, label: field.label, type: FIELD_TYPES.some(t => t.key === field.type) ? field.type : 'text' }));
+
+  return { stages, fields };
+};
+
+/**
+ * Moves prospects along when stages are renamed. Status changes in their
+ * history are renamed too, so time spent in a stage before the rename
+ * still counts towards it.
+ * @param {object[]} prospects - The prospects.
+ * @param {object} before - The pipeline settings before the edit.
+ * @param {object} after - The pipeline settings after the edit.
+ * @returns {object[]} The prospects, with renamed statuses updated.
+ */
+export const applyStageRenames = (prospects, before, after) => {
+  const renames = new Map();
+  after.stages.forEach(stage => {
+    const old = before.stages.find(s => s.id === stage.id);
+    if (old && old.name !== stage.name) renames.set(old.name, stage.name);
+  });
+  if (renames.size === 0) return prospects;
+  const rename = (status) => (renames.has(status) ? renames.get(status) : status);
+  const renameEvent = (e) => (e.type === 'status_changed' && (renames.has(e.from) || renames.has(e.to))
+    ? { ...e, from: rename(e.from), to: rename(e.to) }
+    : e);
+  return prospects.map(p => {
+    const renamed = renames.has(p.status) || (p.history || []).some(e => renameEvent(e) !== e);
+    return renamed ? { ...p, status: rename(p.status), history: (p.history || []).map(renameEvent) } : p;
+  });
+};
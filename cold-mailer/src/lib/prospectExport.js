@@ -0,0 +1,104 @@
+import { PROSPECT_FIELDS, formatTags } from './prospects.js';
+import { CUSTOM_FIELD_PREFIX, getCustomValue, withCustomFields } from './pipeline.js';
+import { serializeCSV } from './csv.js';
+import { createXLSX } from './xlsx.js';
+import { formatHistory } from './timeline.js';
+
+// --- Prospect Export ---
+
+export const EXPORT_FORMATS = [
+  { key: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  { key: 'xlsx', label: 'Excel (.xlsx)', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  { key: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json;charset=utf-8' },
+];
+
+/**
+ * Every column that can be exported: the prospect fields plus record metadata.
+ */
+export const EXPORT_COLUMNS = [
+  ...PROSPECT_FIELDS,
+  { key: 'notes', label: 'Notes' },
+  { key: 'createdAt', label: 'Date Added' },
+  { key: 'history', label: 'Activity History' },
+];
+
+/**
+ * Lists every exportable column, with the team's custom fields last.
+ * @param {object[]} [fields=[]] - The custom field definitions.
+ * @returns {{key: string, label: string}[]} The columns.
+ */
+export const getExportColumns = (fields = []) => withCustomFields(EXPORT_COLUMNS, fields);
+
+const getExportValue = (prospect, key) => {
+  if (key === 'history') return formatHistory(prospect);
+  if (key === 'tags') return formatTags(prospect.tags);
+  if (key.startsWith(CUSTOM_FIELD_PREFIX)) return getCustomValue(prospect, key.slice(CUSTOM_FIELD_PREFIX.length));
+  return prospect[key] ?? '';
+};
+
+const toRecord = (prospect, columns) => {
+  const record = {};
+  columns.forEach(key => {
+    if (key.startsWith(CUSTOM_FIELD_PREFIX)) {
+      record.custom = { ...record.custom, [key.slice(CUSTOM_FIELD_PREFIX.length)]: getExportValue(prospect, key) };
+    } else if (key === 'history' || key === 'tags') {
+      record[key] = prospect[key] || [];
+    } else {
+      record[key] = prospect[key] ?? '';
+    }
+  });
+  return record;
+};
+
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * Filters prospects down to the chosen statuses.
+ * @param {object[]} prospects - All prospects.
+ * @param {string[]} statuses - The statuses to keep.
+ * @returns {object[]} The matching prospects.
+ */
+export const filterByStatus = (prospects, statuses) =>
+  prospects.filter(p => statuses.includes(p.status));
+
+/**
+ * Builds the table of values to export, header row first.
+ * @param {object[]} prospects - The prospects to export.
+ * @param {string[]} columns - The column keys to include, in order.
+ * @param {object[]} [fields=[]] - The custom field definitions.
+ * @returns {string[][]} The header row followed by one row per prospect.
+ */
+export const buildExportRows = (prospects, columns, fields = []) => {
+  const available = getExportColumns(fields);
+  const labels = columns.map(key => (available.find(f => f.key === key) || { label: key }).label);
+  return [
+    labels,
+    ...prospects.map(p => columns.map(key => getExportValue(p, key))),
+  ];
+};
+
+/**
+ * Serializes prospects in the requested format.
+ * @param {object[]} prospects - The prospects to export.
+ * @param {object} options
+ * @param {string} options.format - One of the EXPORT_FORMATS keys.
+ * @param {string[]} options.columns - The column keys to include, in order.
+ * @param {object[]} [options.fields=[]] - The custom field definitions.
+ * @returns {{data: (string|Uint8Array), filename: string, mimeType: string}} The file to download.
+ */
+export const exportProspects = (prospects, { format, columns, fields = [] }) => {
+  const { extension, mimeType } = EXPORT_FORMATS.find(f => f.key === format) || EXPORT_FORMATS[0];
+  const filename = `prospect_list.${extension}`;
+
+  if (extension === 'json') {
+    const records = prospects.map(p => toRecord(p, columns));
+    return { data: JSON.stringify(records, null, 2), filename, mimeType };
+  }
+
+  const rows = buildExportRows(prospects, columns, fields);
+  if (extension === 'xlsx') {
+    return { data: createXLSX(rows, 'Prospects'), filename, mimeType };
+  }
+  // The BOM makes Excel open the file as UTF-8 instead of the system code page.
+  return { data: UTF8_BOM + serializeCSV(rows), filename, mimeType };
+};
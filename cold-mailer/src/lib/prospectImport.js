@@ -0,0 +1,145 @@
+import { STATUSES, PROSPECT_FIELDS, REQUIRED_FIELDS, createProspect, normalizeEmail, normalizeStatus, parseTags } from './prospects.js';
+import { CUSTOM_FIELD_PREFIX, withCustomFields } from './pipeline.js';
+import { changeStatus } from './timeline.js';
+
+// --- CSV Import Helpers ---
+
+/**
+ * Alternative header spellings for each prospect field, compared after
+ * lower-casing and stripping everything but letters and digits.
+ */
+const HEADER_ALIASES = {
+  firstName: ['firstname', 'first', 'givenname', 'fname'],
+  lastName: ['lastname', 'last', 'surname', 'familyname', 'lname'],
+  company: ['company', 'companyname', 'organization', 'organisation', 'account'],
+  domain: ['domain', 'companydomain', 'website', 'url', 'companywebsite'],
+  email: ['email', 'emailaddress', 'verifiedemail', 'mail', 'workemail'],
+  title: ['title', 'jobtitle', 'position', 'role'],
+  status: ['status', 'stage'],
+  tags: ['tags', 'tag', 'labels', 'label'],
+};
+
+const simplifyHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Lists the fields a CSV column can be mapped onto: the prospect fields
+ * plus the team's custom fields.
+ * @param {object[]} [fields=[]] - The custom field definitions.
+ * @returns {{key: string, label: string}[]} The fields.
+ */
+export const getImportFields = (fields = []) => withCustomFields(PROSPECT_FIELDS, fields);
+
+/**
+ * Guesses which prospect field each CSV column holds from its header.
+ * Custom fields match their own label.
+ * @param {string[]} headers - The header row.
+ * @param {object[]} [fields=[]] - The custom field definitions.
+ * @returns {string[]} A field key per column, or '' to ignore the column.
+ */
+export const guessColumnMapping = (headers, fields = []) => {
+  const used = new Set();
+  const aliases = (key, label) => HEADER_ALIASES[key] || [simplifyHeader(label)];
+  return headers.map(header => {
+    const simple = simplifyHeader(header);
+    const match = getImportFields(fields).find(({ key, label }) =>
+      !used.has(key) && aliases(key, label).includes(simple)
+    );
+    if (!match) return '';
+    used.add(match.key);
+    return match.key;
+  });
+};
+
+/**
+ * Turns CSV rows into import candidates using a column mapping, and flags
+ * rows that are invalid or duplicate an existing prospect or an earlier row.
+ * @param {string[][]} rows - The data rows (without the header row).
+ * @param {string[]} mapping - A field key per column, '' to ignore it.
+ * @param {object[]} existing - The prospects already logged.
+ * @returns {{fields: object, error: string, duplicateOf: (object|null), duplicateInFile: boolean}[]} One candidate per row.
+ */
+export const buildImportCandidates = (rows, mapping, existing) => {
+  const existingByEmail = new Map(existing.map(p => [normalizeEmail(p.email), p]));
+  const seen = new Set();
+
+  return rows.map(row => {
+    const fields = {};
+    mapping.forEach((key, index) => {
+      const value = (row[index] || '').trim();
+      if (key.startsWith(CUSTOM_FIELD_PREFIX)) {
+        if (value) fields.custom = { ...fields.custom, [key.slice(CUSTOM_FIELD_PREFIX.length)]: value };
+      } else if (key === 'tags') {
+        if (value) fields.tags = parseTags(value);
+      } else if (key) {
+        fields[key] = value;
+      }
+    });
+
+    const missing = REQUIRED_FIELDS.filter(key => !fields[key]);
+    const error = missing.length > 0
+      ? `Missing ${missing.map(key => PROSPECT_FIELDS.find(f => f.key === key).label).join(', ')}`
+      : '';
+
+    const emailKey = normalizeEmail(fields.email);
+    const duplicateOf = (emailKey && existingByEmail.get(emailKey)) || null;
+    const duplicateInFile = Boolean(emailKey) && seen.has(emailKey);
+    if (emailKey) {
+      seen.add(emailKey);
+    }
+
+    return { fields, error, duplicateOf, duplicateInFile };
+  });
+};
+
+/**
+ * Merges import candidates into the prospect list.
+ * @param {object[]} prospects - The current prospects.
+ * @param {object[]} candidates - Candidates from buildImportCandidates.
+ * @param {'skip'|'update'} duplicateMode - Whether to skip duplicates of
+ *   existing prospects or fill their fields from the imported row. Tags
+ *   are added to the ones already there.
+ * @param {string[]} [statuses=STATUSES] - The pipeline stages, in order.
+ * @returns {{prospects: object[], added: number, updated: number, skipped: number}} The merged list and counts.
+ */
+export const mergeImportCandidates = (prospects, candidates, duplicateMode, statuses = STATUSES) => {
+  const updates = new Map();
+  const added = [];
+  let skipped = 0;
+
+  candidates.forEach(({ fields, error, duplicateOf, duplicateInFile }) => {
+    if (error || duplicateInFile) {
+      skipped += 1;
+      return;
+    }
+    if (duplicateOf) {
+      if (duplicateMode !== 'update') {
+        skipped += 1;
+        return;
+      }
+      const filled = Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
+      updates.set(duplicateOf.id, { ...(updates.get(duplicateOf.id) || {}), ...filled });
+      return;
+    }
+    added.push(createProspect(fields, 'CSV import', statuses));
+  });
+
+  const merged = prospects.map(p => {
+    const changes = updates.get(p.id);
+    if (!changes) return p;
+    const { status, tags, custom, ...rest } = changes;
+    const updated = {
+      ...p,
+      ...rest,
+      ...(tags ? { tags: parseTags([...(p.tags || []), ...tags]) } : {}),
+      ...(custom ? { custom: { ...p.custom, ...custom } } : {}),
+    };
+    return status ? changeStatus(updated, normalizeStatus(status, statuses)) : updated;
+  });
+
+  return {
+    prospects: [...added, ...merged],
+    added: added.length,
+    updated: updates.size,
+    skipped,
+  };
+};
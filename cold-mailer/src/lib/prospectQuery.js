@@ -0,0 +1,128 @@
+import { STATUSES, getCreatedAt } from './prospects.js';
+import { getCustomValue } from './pipeline.js';
+import { countEngagement } from './analytics.js';
+
+// --- Prospect Search, Filter and Sort ---
+
+export const EMPTY_FILTERS = {
+  search: '',
+  statuses: [],
+  company: '',
+  tag: '',
+  field: '',
+  fieldValue: '',
+  segmentId: null,
+};
+
+export const SORT_FIELDS = {
+  name: (p) => `${p.firstName} ${p.lastName}`.trim().toLowerCase(),
+  company: (p) => (p.company || '').toLowerCase(),
+  status: (p, statuses) => statuses.indexOf(p.status),
+  createdAt: (p) => getCreatedAt(p).getTime(),
+  opens: (p) => countEngagement(p).opens,
+  clicks: (p) => countEngagement(p).clicks,
+};
+
+export const PAGE_SIZES = [25, 50, 100, 250];
+
+const SEARCH_FIELDS = ['firstName', 'lastName', 'company', 'email', 'title'];
+
+/**
+ * Checks whether any filter is active.
+ * @param {object} filters - The filters.
+ * @returns {boolean} True when something is filtered out.
+ */
+export const hasActiveFilters = ({ search, statuses, company, tag, field, fieldValue, segmentId }) =>
+  Boolean(search.trim()) || statuses.length > 0 || Boolean(company) || Boolean(tag) || Boolean(field && fieldValue.trim())
+  || segmentId !== null;
+
+/**
+ * Lists the distinct company names, sorted alphabetically.
+ * @param {object[]} prospects - The prospects.
+ * @returns {string[]} The company names.
+ */
+export const listCompanies = (prospects) =>
+  [...new Set(prospects.map(p => p.company).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+/**
+ * Lists the distinct tags, sorted alphabetically. Tags that differ only
+ * in case are listed once.
+ * @param {object[]} prospects - The prospects.
+ * @returns {string[]} The tags.
+ */
+export const listTags = (prospects) => {
+  const tags = new Map();
+  prospects.forEach(p => (p.tags || []).forEach(tag => {
+    if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+  }));
+  return [...tags.values()].sort((a, b) => a.localeCompare(b));
+};
+
+const hasTag = (prospect, tag) => (prospect.tags || []).some(t => t.toLowerCase() === tag.toLowerCase());
+
+/**
+ * Filters prospects. Every word of the search must appear in one of the
+ * name, company, email or title fields, a tag or a custom field.
+ * @param {object[]} prospects - The prospects.
+ * @param {object} filters - The search text, statuses (empty for all),
+ *   company, tag, and a custom field key with text its value must contain.
+ * @returns {object[]} The matching prospects, in their original order.
+ */
+export const filterProspects = (prospects, { search, statuses, company, tag = '', field = '', fieldValue = '' }) => {
+  const words = search.toLowerCase().split(/\s+/).filter(Boolean);
+  const wanted = fieldValue.trim().toLowerCase();
+
+  return prospects.filter(p => {
+    if (statuses.length > 0 && !statuses.includes(p.status)) return false;
+    if (company && p.company !== company) return false;
+    if (tag && !hasTag(p, tag)) return false;
+    if (field && wanted && !getCustomValue(p, field).toLowerCase().includes(wanted)) return false;
+    if (words.length === 0) return true;
+    const haystack = [
+      ...SEARCH_FIELDS.map(key => p[key] || ''),
+      ...(p.tags || []),
+      ...Object.values(p.custom || {}),
+    ].join(' ').toLowerCase();
+    return words.every(word => haystack.includes(word));
+  });
+};
+
+/**
+ * Sorts prospects by a column. Ties keep their original order.
+ * @param {object[]} prospects - The prospects.
+ * @param {({field: string, direction: ('asc'|'desc')}|null)} sort - The
+ *   column and direction, or null to keep the original order.
+ * @param {string[]} [statuses=STATUSES] - The pipeline stages, in order.
+ * @returns {object[]} The sorted prospects.
+ */
+export const sortProspects = (prospects, sort, statuses = STATUSES) => {
+  if (!sort || !SORT_FIELDS[sort.field]) return prospects;
+  const getValue = SORT_FIELDS[sort.field];
+  const factor = sort.direction === 'desc' ? -1 : 1;
+
+  return prospects
+    .map((prospect, index) => ({ prospect, index, value: getValue(prospect, statuses) }))
+    .sort((a, b) => {
+      if (a.value < b.value) return -factor;
+      if (a.value > b.value) return factor;
+      return a.index - b.index;
+    })
+    .map(({ prospect }) => prospect);
+};
+
+/**
+ * Cuts one page out of a list.
+ * @param {object[]} items - The full list.
+ * @param {number} page - The 1-based page number; clamped to the valid range.
+ * @param {number} pageSize - The number of items per page.
+ * @returns {{items: object[], page: number, pageCount: number}} The page.
+ */
+export const paginate = (items, page, pageSize) => {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(1, page), pageCount);
+  return {
+    items: items.slice((current - 1) * pageSize, current * pageSize),
+    page: current,
+    pageCount,
+  };
+};
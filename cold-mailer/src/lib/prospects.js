@@ -0,0 +1,147 @@
+import { isValidEmailSyntax } from './emailValidation.js';
+
+// --- Prospect Model ---
+
+/**
+ * The built-in pipeline stages, in their default order. The app moves
+ * prospects into these on its own (Contacted on send, Replied on reply), so
+ * they cannot be renamed or removed; teams add their own stages around them
+ * in pipeline.js.
+ */
+export const STATUSES = ['Not Contacted', 'Contacted', 'Replied', 'Meeting Set', 'Closed'];
+
+export const DEFAULT_STATUS = STATUSES[0];
+
+/**
+ * The core prospect fields, in the order they are shown and exported.
+ */
+export const PROSPECT_FIELDS = [
+  { key: 'firstName', label: 'First Name' },
+  { key: 'lastName', label: 'Last Name' },
+  { key: 'company', label: 'Company' },
+  { key: 'domain', label: 'Company Domain' },
+  { key: 'email', label: 'Email' },
+  { key: 'title', label: 'Job Title' },
+  { key: 'status', label: 'Status' },
+  { key: 'tags', label: 'Tags' },
+];
+
+/**
+ * The current shape of a stored prospect record. Bump this and add an
+ * upgrade step in migrations.js whenever fields are renamed or restructured.
+ */
+export const PROSPECT_SCHEMA_VERSION = 2;
+
+/**
+ * Fields that must be filled in before a prospect can be logged.
+ */
+export const REQUIRED_FIELDS = ['firstName', 'company', 'email'];
+
+/**
+ * Checks prospect fields before they are logged or saved.
+ * @param {object} fields - The prospect fields.
+ * @returns {Object<string, string>} An error message per invalid field;
+ *   empty when the fields are valid.
+ */
+export const validateProspect = (fields) => {
+  const errors = {};
+  REQUIRED_FIELDS.forEach(key => {
+    if (!(fields[key] || '').trim()) {
+      errors[key] = `${PROSPECT_FIELDS.find(f => f.key === key).label} is required.`;
+    }
+  });
+  if (!errors.email && !isValidEmailSyntax(fields.email)) {
+    errors.email = 'Enter a valid email address, like jane.doe@acme.com.';
+  }
+  return errors;
+};
+
+let lastId = 0;
+
+/**
+ * Returns a numeric id that is unique for this session, even when many
+ * prospects are created within the same millisecond.
+ * @returns {number} The new id.
+ */
+export const createId = () => {
+  lastId = Math.max(Date.now(), lastId + 1);
+  return lastId;
+};
+
+/**
+ * Normalizes an email address for comparison.
+ * @param {string} email - The email address.
+ * @returns {string} The trimmed, lower-cased address.
+ */
+export const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+/**
+ * Returns when a prospect was added. Prospects logged before creation
+ * times were recorded fall back to their id, which is a creation timestamp.
+ * @param {object} prospect - The prospect.
+ * @returns {Date} The creation time.
+ */
+export const getCreatedAt = (prospect) => new Date(prospect.createdAt || prospect.id);
+
+/**
+ * Matches free text against the known statuses, ignoring case.
+ * @param {string} value - The status text.
+ * @param {string[]} [statuses=STATUSES] - The pipeline stages, in order.
+ * @returns {string} The matching status, or the first stage.
+ */
+export const normalizeStatus = (value, statuses = STATUSES) => {
+  const wanted = (value || '').trim().toLowerCase();
+  return statuses.find(s => s.toLowerCase() === wanted) || statuses[0] || DEFAULT_STATUS;
+};
+
+/**
+ * Splits comma-separated tags, dropping blanks and repeats. Tags that
+ * differ only in case count as repeats; the first spelling wins.
+ * @param {(string|string[])} value - The tags, as text or a list.
+ * @returns {string[]} The tags.
+ */
+export const parseTags = (value) => {
+  const tags = Array.isArray(value) ? value : (value || '').split(',');
+  const seen = new Set();
+  return tags.map(tag => String(tag).trim()).filter(tag => {
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Joins tags for display or an input field.
+ * @param {string[]} [tags] - The tags.
+ * @returns {string} The comma-separated tags.
+ */
+export const formatTags = (tags) => (tags || []).join(', ');
+
+/**
+ * Builds a new prospect record with every field present and a "created"
+ * event at the start of its timeline.
+ * @param {object} fields - The prospect fields to set.
+ * @param {string} [source] - Where the prospect came from, e.g. "CSV import".
+ * @param {string[]} [statuses=STATUSES] - The pipeline stages, in order.
+ * @returns {object} The new prospect.
+ */
+export const createProspect = (fields, source, statuses = STATUSES) => {
+  const createdAt = new Date().toISOString();
+  return {
+    id: createId(),
+    schemaVersion: PROSPECT_SCHEMA_VERSION,
+    firstName: '',
+    lastName: '',
+    company: '',
+    domain: '',
+    email: '',
+    title: '',
+    tags: [],
+    custom: {},
+    createdAt,
+    history: [{ type: 'created', at: createdAt, ...(source ? { source } : {}) }],
+    ...fields,
+    status: normalizeStatus(fields.status, statuses),
+  };
+};
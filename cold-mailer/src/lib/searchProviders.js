@@ -0,0 +1,104 @@
+import { createId } from './prospects.js';
+import { findVariables, fillVariables } from './templates.js';
+
+// --- Magic Search Providers ---
+
+/**
+ * The prospect fields a provider URL can use, written as {{name}}.
+ */
+export const SEARCH_VARIABLES = [
+  { key: 'fullName', label: 'Full name' },
+  { key: 'firstName', label: 'First name' },
+  { key: 'lastName', label: 'Last name' },
+  { key: 'company', label: 'Company' },
+  { key: 'domain', label: 'Company domain' },
+  { key: 'title', label: 'Job title' },
+  { key: 'email', label: 'Email' },
+];
+
+export const DEFAULT_PROVIDERS = [
+  { id: 'linkedin', name: 'LinkedIn', url: 'https://www.linkedin.com/search/results/people/?keywords={{fullName}}%20{{company}}', enabled: true },
+  { id: 'google', name: 'Google', url: 'https://www.google.com/search?q={{fullName}}%20{{company}}%20linkedin', enabled: true },
+  { id: 'domain', name: 'Domain', url: 'https://www.google.com/search?q={{company}}%20official%20website', enabled: true },
+  { id: 'experte', name: 'EXPERTE', url: 'https://www.experte.com/email-finder?name={{fullName}}&domain={{domain}}', enabled: true },
+  { id: 'crunchbase', name: 'Crunchbase', url: 'https://www.crunchbase.com/textsearch?q={{company}}', enabled: true },
+  { id: 'careers', name: 'Careers Page', url: 'https://{{domain}}/careers', enabled: true },
+  { id: 'github', name: 'GitHub', url: 'https://github.com/search?q={{fullName}}&type=users', enabled: false },
+  { id: 'x', name: 'X / Twitter', url: 'https://x.com/search?q={{fullName}}%20{{company}}&f=user', enabled: false },
+];
+
+/**
+ * Collects the values a provider URL can use from the prospect fields.
+ * @param {object} prospect - The prospect fields.
+ * @returns {Object<string, string>} The trimmed values by variable name.
+ */
+export const buildSearchValues = (prospect) => {
+  const values = Object.fromEntries(SEARCH_VARIABLES.map(({ key }) => [key, (prospect[key] || '').trim()]));
+  values.fullName = `${values.firstName} ${values.lastName}`.trim();
+  return values;
+};
+
+/**
+ * Lists the fields a provider needs that are still empty.
+ * @param {object} provider - The search provider.
+ * @param {Object<string, string>} values - Values from buildSearchValues.
+ * @returns {string[]} The labels of the missing fields.
+ */
+export const getMissingFields = (provider, values) => findVariables(provider.url)
+  .filter(name => !values[name])
+  .map(name => SEARCH_VARIABLES.find(v => v.key === name)?.label || name);
+
+/**
+ * Fills a provider's URL template. Values are URL-encoded.
+ * @param {object} provider - The search provider.
+ * @param {Object<string, string>} values - Values from buildSearchValues.
+ * @returns {(string|null)} The search URL, or null while a field it needs is empty.
+ */
+export const buildSearchUrl = (provider, values) => {
+  if (getMissingFields(provider, values).length > 0) return null;
+  const encoded = Object.fromEntries(Object.entries(values).map(([key, value]) => [key, encodeURIComponent(value)]));
+  return fillVariables(provider.url, encoded);
+};
+
+/**
+ * Creates a search provider.
+ * @param {object} [fields] - Fields to set on the provider.
+ * @returns {{id: number, name: string, url: string, enabled: boolean}} The provider.
+ */
+export const createProvider = (fields = {}) => ({
+  id: createId(),
+  name: '',
+  url: 'https://',
+  enabled: true,
+  ...fields,
+});
+
+/**
+ * Checks edited providers before they are saved.
+ * @param {object[]} providers - The search providers.
+ * @returns {string[]} The problems found; empty when the providers are valid.
+ */
+export const validateProviders = (providers) => {
+  const errors = [];
+  const known = SEARCH_VARIABLES.map(v => v.key);
+  providers.forEach((provider, index) => {
+    const label = provider.name.trim() || `Source ${index + 1}`;
+    if (!provider.name.trim()) errors.push(`Source ${index + 1} needs a name.`);
+    if (!/^https?:\/\/\S+$/i.test(provider.url.trim())) errors.push(`${label} needs a URL starting with http:// or https://.`);
+    const unknown = findVariables(provider.url).filter(name => !known.includes(name));
+    if (unknown.length > 0) errors.push(`${label} uses unknown fields: ${unknown.map(name => `{{${name}}}`).join(', ')}.`);
+  });
+  return errors;
+};
+
+/**
+ * Repairs stored providers, falling back to the defaults when there are none.
+ * @param {*} saved - The stored providers.
+ * @returns {object[]} The providers.
+ */
+export const restoreProviders = (saved) => {
+  if (!Array.isArray(saved)) return DEFAULT_PROVIDERS;
+  return saved
+    .filter(p => p && typeof p === 'object' && typeof p.name === 'string' && typeof p.url === 'string')
+    .map(p => ({ id: p.id ?? createId(), name: p.name, url: p.url, enabled: p.enabled !== false }));
+};
@@ -0,0 +1,139 @@
+import { createId, getCreatedAt, parseTags } from './prospects.js';
+import { editProspect } from './timeline.js';
+import { addDays, startOfDay, endOfDay, parseDateInput, formatDate } from './dates.js';
+
+// --- Tags and Saved Segments ---
+
+/**
+ * The rules of a segment that matches everyone. A prospect must pass every
+ * rule that is set: carry at least one of the tags, be in one of the
+ * statuses, work at the company, and have been added in the date range.
+ */
+export const EMPTY_RULES = {
+  tags: [],
+  statuses: [],
+  company: '',
+  addedAfter: '',
+  addedBefore: '',
+  addedWithinDays: '',
+};
+
+/**
+ * Creates a saved segment.
+ * @param {object} [segment]
+ * @param {string} [segment.name] - The segment name.
+ * @param {object} [segment.rules] - The rules, as in EMPTY_RULES.
+ * @returns {{id: number, name: string, rules: object}} The segment.
+ */
+export const createSegment = ({ name = 'New Segment', rules = {} } = {}) => ({
+  id: createId(),
+  name,
+  rules: { ...EMPTY_RULES, ...rules },
+});
+
+/**
+ * Turns the prospect table filters into segment rules, so a filtered view
+ * can be saved as it is.
+ * @param {object} filters - The table filters.
+ * @returns {object} The matching rules.
+ */
+export const rulesFromFilters = (filters) => ({
+  ...EMPTY_RULES,
+  tags: filters.tag ? [filters.tag] : [],
+  statuses: filters.statuses,
+  company: filters.company,
+});
+
+/**
+ * Checks whether a prospect belongs to a segment.
+ * @param {object} prospect - The prospect.
+ * @param {object} rules - The segment rules.
+ * @param {Date} [now=new Date()] - The current time, for rolling date ranges.
+ * @returns {boolean} True when the prospect passes every rule that is set.
+ */
+export const matchesRules = (prospect, rules, now = new Date()) => {
+  const tags = (prospect.tags || []).map(tag => tag.toLowerCase());
+  if (rules.tags.length > 0 && !rules.tags.some(tag => tags.includes(tag.toLowerCase()))) return false;
+  if (rules.statuses.length > 0 && !rules.statuses.includes(prospect.status)) return false;
+  if (rules.company && prospect.company !== rules.company) return false;
+
+  const created = getCreatedAt(prospect);
+  const after = parseDateInput(rules.addedAfter);
+  const before = parseDateInput(rules.addedBefore);
+  const withinDays = Number(rules.addedWithinDays);
+  if (after && created < startOfDay(after)) return false;
+  if (before && created > endOfDay(before)) return false;
+  if (withinDays > 0 && created < startOfDay(addDays(now, -(withinDays - 1)))) return false;
+  return true;
+};
+
+/**
+ * Filters prospects down to a segment.
+ * @param {object[]} prospects - The prospects.
+ * @param {(object|null)} segment - The segment, or null for everyone.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {object[]} The prospects in the segment, in their original order.
+ */
+export const filterBySegment = (prospects, segment, now = new Date()) =>
+  (segment ? prospects.filter(p => matchesRules(p, segment.rules, now)) : prospects);
+
+/**
+ * Describes a segment's rules in plain words.
+ * @param {object} rules - The segment rules.
+ * @returns {string} The description, e.g. "Tagged fintech · Contacted or Replied".
+ */
+export const describeRules = (rules) => {
+  const parts = [];
+  if (rules.tags.length > 0) parts.push(`Tagged ${rules.tags.join(' or ')}`);
+  if (rules.statuses.length > 0) parts.push(rules.statuses.join(' or '));
+  if (rules.company) parts.push(`At ${rules.company}`);
+  if (rules.addedAfter) parts.push(`Added from ${formatDate(parseDateInput(rules.addedAfter))}`);
+  if (rules.addedBefore) parts.push(`Added until ${formatDate(parseDateInput(rules.addedBefore))}`);
+  if (Number(rules.addedWithinDays) > 0) parts.push(`Added in the last ${Number(rules.addedWithinDays)} days`);
+  return parts.length > 0 ? parts.join(' · ') : 'Everyone';
+};
+
+/**
+ * Repairs stored segments, dropping anything unusable.
+ * @param {*} saved - The stored segments.
+ * @returns {object[]} The segments.
+ */
+export const restoreSegments = (saved) => (Array.isArray(saved) ? saved : [])
+  .filter(s => s && typeof s === 'object' && typeof s.name === 'string')
+  .map(s => ({
+    id: s.id ?? createId(),
+    name: s.name,
+    rules: {
+      ...EMPTY_RULES,
+      ...s.rules,
+      tags: parseTags(s.rules && s.rules.tags),
+      statuses: Array.isArray(s.rules && s.rules.statuses) ? s.rules.statuses : [],
+    },
+  }));
+
+/**
+ * Adds tags to the chosen prospects, recording the edit on each one that changes.
+ * @param {object[]} prospects - All prospects.
+ * @param {Set<number>} ids - The prospects to tag.
+ * @param {string[]} tags - The tags to add.
+ * @param {string} [by] - Who made the change.
+ * @returns {object[]} The updated prospects.
+ */
+export const addTags = (prospects, ids, tags, by = '') => prospects.map(p =>
+  (ids.has(p.id) ? editProspect(p, { tags: parseTags([...(p.tags || []), ...tags]) }, by) : p)
+);
+
+/**
+ * Removes tags from the chosen prospects, ignoring case.
+ * @param {object[]} prospects - All prospects.
+ * @param {Set<number>} ids - The prospects to untag.
+ * @param {string[]} tags - The tags to remove.
+ * @param {string} [by] - Who made the change.
+ * @returns {object[]} The updated prospects.
+ */
+export const removeTags = (prospects, ids, tags, by = '') => {
+  const removed = tags.map(tag => tag.toLowerCase());
+  return prospects.map(p =>
+    (ids.has(p.id) ? editProspect(p, { tags: (p.tags || []).filter(tag => !removed.includes(tag.toLowerCase())) }, by) : p)
+  );
+};
@@ -0,0 +1,113 @@
+import { createId } from './prospects.js';
+import { addDays, endOfDay } from './dates.js';
+import { recordSentEmail } from './timeline.js';
+
+// --- Follow-up Sequences ---
+
+/**
+ * Statuses in which a sequence keeps running. Any other stage, built-in or
+ * custom, means the prospect has answered or been ruled out, so it stops.
+ */
+export const SEQUENCE_ACTIVE_STATUSES = ['Not Contacted', 'Contacted'];
+
+export const DEFAULT_SEQUENCES = [
+  {
+    id: 1,
+    name: 'Three-Touch',
+    steps: [
+      { name: 'Initial email', templateId: 1, delayDays: 0 },
+      { name: 'Follow-up', templateId: 2, delayDays: 3 },
+      { name: 'Breakup email', templateId: 3, delayDays: 7 },
+    ],
+  },
+];
+
+/**
+ * Builds a new sequence definition with a single initial step.
+ * @param {object} [fields] - Fields to set on the sequence.
+ * @returns {object} The sequence.
+ */
+export const createSequence = (fields = {}) => ({
+  id: createId(),
+  name: 'Untitled Sequence',
+  steps: [{ name: 'Initial email', templateId: null, delayDays: 0 }],
+  ...fields,
+});
+
+/**
+ * Copies a sequence definition onto a prospect so later edits to the
+ * definition do not change sequences already in progress.
+ * @param {object} sequence - The sequence definition.
+ * @param {Date} [now=new Date()] - When the sequence starts.
+ * @returns {object} The prospect's sequence state.
+ */
+export const startSequence = (sequence, now = new Date()) => ({
+  sequenceId: sequence.id,
+  name: sequence.name,
+  startedAt: now.toISOString(),
+  steps: sequence.steps.map(step => ({ ...step, sentAt: null })),
+});
+
+/**
+ * Works out the next unsent step of a prospect's sequence and when it is
+ * due. The first step is due its delay after the sequence started; every
+ * later step is due its delay after the previous step was sent.
+ * @param {object} prospect - The prospect.
+ * @returns {{index: number, step: object, dueAt: Date}|null} The next step,
+ *   or null when there is no sequence, every step is sent, the prospect
+ *   has moved past Contacted, or their email bounced.
+ */
+export const getNextStep = (prospect) => {
+  const { sequence } = prospect;
+  if (!sequence || prospect.bouncedAt || !SEQUENCE_ACTIVE_STATUSES.includes(prospect.status)) return null;
+
+  const index = sequence.steps.findIndex(step => !step.sentAt);
+  if (index === -1) return null;
+
+  const step = sequence.steps[index];
+  const from = index === 0 ? sequence.startedAt : sequence.steps[index - 1].sentAt;
+  return { index, step, dueAt: addDays(from, Number(step.delayDays) || 0) };
+};
+
+/**
+ * Checks whether a prospect has a sequence step due today or overdue.
+ * @param {object} prospect - The prospect.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {boolean} True when a step is due.
+ */
+export const isStepDue = (prospect, now = new Date()) => {
+  const next = getNextStep(prospect);
+  return Boolean(next) && next.dueAt <= endOfDay(now);
+};
+
+/**
+ * Lists prospects with a step due today or overdue, most overdue first.
+ * @param {object[]} prospects - All prospects.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {object[]} The due prospects.
+ */
+export const getDueProspects = (prospects, now = new Date()) => prospects
+  .filter(p => isStepDue(p, now))
+  .sort((a, b) => getNextStep(a).dueAt - getNextStep(b).dueAt);
+
+/**
+ * Records a sequence step as sent.
+ * @param {object} prospect - The prospect.
+ * @param {number} index - The step index.
+ * @param {Date} [now=new Date()] - When the step was sent.
+ * @param {{subject?: string, messageId?: string, template?: string}} [message] -
+ *   The email's subject, template and, when it was sent through the
+ *   companion server, its message id.
+ * @returns {object} The updated prospect. A prospect who was not contacted
+ *   yet moves to Contacted.
+ */
+export const markStepSent = (prospect, index, now = new Date(), message = {}) => {
+  const step = prospect.sequence.steps[index];
+  return recordSentEmail({
+    ...prospect,
+    sequence: {
+      ...prospect.sequence,
+      steps: prospect.sequence.steps.map((s, i) => (i === index ? { ...s, sentAt: now.toISOString() } : s)),
+    },
+  }, { step: step.name, ...message }, now);
+};
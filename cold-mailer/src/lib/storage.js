@@ -0,0 +1,25 @@
+// --- Local Storage Helpers ---
+
+/**
+ * Reads a JSON value from localStorage.
+ * @param {string} key - The storage key.
+ * @param {*} fallback - Returned when the key is missing or holds invalid JSON.
+ * @returns {*} The stored value or the fallback.
+ */
+export const loadJSON = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored === null ? fallback : JSON.parse(stored);
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Writes a JSON value to localStorage.
+ * @param {string} key - The storage key.
+ * @param {*} value - The value to store.
+ */
+export const saveJSON = (key, value) => {
+  localStorage.setItem(key, JSON.stringify(value));
+};
@@ -0,0 +1,148 @@
+import { createId } from './prospects.js';
+
+// --- Email Templates ---
+
+/**
+ * Variables filled from the current prospect.
+ */
+export const PROSPECT_VARIABLES = ['firstName', 'lastName', 'company', 'title', 'domain', 'email'];
+
+/**
+ * Variables filled from the sender profile.
+ */
+export const SENDER_VARIABLES = [
+  { key: 'senderName', label: 'Your Name', placeholder: 'Alex Smith' },
+  { key: 'senderEmail', label: 'Your Email', placeholder: 'alex@smithstudio.com' },
+  { key: 'senderCompany', label: 'Your Company', placeholder: 'Smith Studio' },
+  { key: 'senderService', label: 'Your Service', placeholder: 'modern web design' },
+  { key: 'senderValueProp', label: 'Your Value Prop', placeholder: 'help companies increase user engagement' },
+];
+
+export const DEFAULT_SENDER = Object.fromEntries(SENDER_VARIABLES.map(({ key }) => [key, '']));
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z][\w]*)\s*\}\}/g;
+
+export const DEFAULT_TEMPLATES = [
+  {
+    id: 1,
+    name: 'Quick Question',
+    subject: 'Quick question re: {{company}}',
+    body: `Hi {{firstName}},
+
+I was on {{company}}'s website and noticed you're the {{title}}.
+
+I specialize in {{senderService}} and {{senderValueProp}}. I had a quick idea on how you could [Specific Idea for Them].
+
+Would you be open to a 10-minute chat next week if you're interested?
+
+Best,
+
+{{senderName}}
+`,
+  },
+  {
+    id: 2,
+    name: 'Follow-up',
+    subject: 'Re: Quick question re: {{company}}',
+    body: `Hi {{firstName}},
+
+Just bumping this to the top of your inbox in case it got buried.
+
+Would a quick 10-minute chat about {{senderService}} for {{company}} be useful?
+
+Best,
+
+{{senderName}}
+`,
+  },
+  {
+    id: 3,
+    name: 'Breakup',
+    subject: 'Should I close your file?',
+    body: `Hi {{firstName}},
+
+I haven't heard back, so I'll assume the timing isn't right and won't follow up again.
+
+If {{senderValueProp}} becomes a priority for {{company}} later on, just reply to this email.
+
+All the best,
+
+{{senderName}}
+`,
+  },
+];
+
+/**
+ * Builds a new, empty template.
+ * @param {object} [fields] - Fields to set on the template.
+ * @returns {object} The template.
+ */
+export const createTemplate = (fields = {}) => ({
+  id: createId(),
+  name: 'Untitled Template',
+  subject: '',
+  body: '',
+  ...fields,
+});
+
+/**
+ * Lists the variable names referenced in a piece of text.
+ * @param {string} text - Text containing {{variable}} placeholders.
+ * @returns {string[]} The distinct variable names, in order of appearance.
+ */
+export const findVariables = (text) =>
+  [...new Set([...(text || '').matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+
+/**
+ * Replaces {{variable}} placeholders. Variables with no value are left in
+ * place so they stand out in the draft.
+ * @param {string} text - The template text.
+ * @param {Object<string, string>} values - The variable values.
+ * @returns {string} The filled text.
+ */
+export const fillVariables = (text, values) =>
+  (text || '').replace(VARIABLE_PATTERN, (placeholder, name) => {
+    const value = values[name];
+    return value === undefined || value === null || String(value).trim() === '' ? placeholder : String(value);
+  });
+
+/**
+ * Collects the variable values for a prospect and sender profile.
+ * @param {object} prospect - The prospect fields.
+ * @param {object} sender - The sender profile.
+ * @returns {Object<string, string>} The values by variable name.
+ */
+export const buildVariables = (prospect, sender) => ({
+  ...Object.fromEntries(PROSPECT_VARIABLES.map(key => [key, prospect[key] || ''])),
+  ...sender,
+});
+
+/**
+ * Formats a subject and body as a single draft.
+ * @param {string} subject - The subject line.
+ * @param {string} body - The message body.
+ * @returns {string} The draft text, with the subject on a "Subject:" line.
+ */
+export const formatDraft = (subject, body) => `Subject: ${subject}\n\n${body}`;
+
+/**
+ * Splits a draft back into its subject and body. The subject is taken from
+ * a leading "Subject:" line; drafts without one have an empty subject.
+ * @param {string} draft - The draft text.
+ * @returns {{subject: string, body: string}} The subject and body.
+ */
+export const parseDraft = (draft) => {
+  const text = (draft || '').replace(/\r\n?/g, '\n').replace(/^\s*\n/, '');
+  const match = text.match(/^subject:[ \t]*(.*)(?:\n|$)/i);
+  if (!match) return { subject: '', body: text.trim() };
+  return { subject: match[1].trim(), body: text.slice(match[0].length).replace(/^\s*\n/, '').trimEnd() };
+};
+
+/**
+ * Fills a template for a prospect.
+ * @param {object} template - The template.
+ * @param {Object<string, string>} values - The variable values.
+ * @returns {string} The draft text, with the subject on a "Subject:" line.
+ */
+export const renderTemplate = (template, values) =>
+  formatDraft(fillVariables(template.subject, values), fillVariables(template.body, values));
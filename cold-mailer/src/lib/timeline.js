@@ -0,0 +1,149 @@
+import { formatDateTime } from './dates.js';
+
+// --- Prospect Activity Timeline ---
+
+/**
+ * Describes each event type in the prospect timeline.
+ */
+const EVENT_DESCRIPTIONS = {
+  created: (e) => (e.source ? `Added from ${e.source}` : 'Prospect logged'),
+  sources_checked: (e) => `Looked up on ${e.sources.join(', ')}`,
+  status_changed: (e) => `Status changed from ${e.from} to ${e.to}`,
+  email_drafted: (e) => (e.template ? `Email drafted from "${e.template}"` : 'Email drafted'),
+  email_copied: () => 'Email copied to clipboard',
+  email_exported: (e) => (e.format === 'mailto' ? 'Email opened in mail app' : 'Email saved as .eml file'),
+  email_sent: (e) => {
+    const label = e.step || e.subject;
+    const campaign = e.campaign ? ` in campaign "${e.campaign}"` : '';
+    return `${label ? `Sent "${label}"` : 'Email sent'}${campaign}${e.messageId ? ' via SMTP' : ''}`;
+  },
+  email_received: (e) => `Reply from ${e.from}${e.subject ? `: "${e.subject}"` : ''}`,
+  email_opened: (e) => (e.subject ? `Opened "${e.subject}"` : 'Opened an email'),
+  link_clicked: (e) => `Clicked ${e.url}${e.subject ? ` in "${e.subject}"` : ''}`,
+  email_bounced: (e) => `Email to ${e.email} bounced${e.status ? ` (${e.status})` : ''}${e.diagnostic ? `: ${e.diagnostic}` : ''}`,
+  variant_assigned: (e) => `Given variant ${e.variant} of A/B test "${e.experiment}"`,
+  sequence_started: (e) => `Added to sequence "${e.sequence}"`,
+  sequence_stopped: (e) => `Removed from sequence "${e.sequence}"`,
+  note_added: (e) => e.text,
+  edited: (e) => {
+    const fields = e.changes.map(c => (c.field === 'notes' ? 'notes' : `${c.field} from "${c.from}" to "${c.to}"`));
+    return `Edited ${fields.join(', ')}${e.by ? ` (by ${e.by})` : ''}`;
+  },
+};
+
+/**
+ * Appends an event to a prospect's timeline.
+ * @param {object} prospect - The prospect.
+ * @param {string} type - The event type, a key of EVENT_DESCRIPTIONS.
+ * @param {object} [details] - Extra fields describing the event.
+ * @param {Date} [now=new Date()] - When the event happened.
+ * @returns {object} The updated prospect.
+ */
+export const addEvent = (prospect, type, details = {}, now = new Date()) => ({
+  ...prospect,
+  history: [...(prospect.history || []), { type, at: now.toISOString(), ...details }],
+});
+
+/**
+ * Changes a prospect's status and records the change.
+ * @param {object} prospect - The prospect.
+ * @param {string} status - The new status.
+ * @param {Date} [now=new Date()] - When the change happened.
+ * @returns {object} The updated prospect, unchanged if the status is the same.
+ */
+export const changeStatus = (prospect, status, now = new Date()) => {
+  if (prospect.status === status) return prospect;
+  return addEvent({ ...prospect, status }, 'status_changed', { from: prospect.status, to: status }, now);
+};
+
+/**
+ * Records that an email went out to a prospect. Emails sent through the
+ * companion server keep their message id so replies can be matched later.
+ * Prospects who had not been contacted move to Contacted.
+ * @param {object} prospect - The prospect.
+ * @param {object} [details]
+ * @param {string} [details.subject] - The subject line.
+ * @param {string} [details.messageId] - The Message-ID the email was sent with.
+ * @param {string} [details.step] - The sequence step the email belongs to.
+ * @param {string} [details.campaign] - The campaign the email belongs to.
+ * @param {string} [details.template] - The template the email was written from.
+ * @param {Date} [now=new Date()] - When the email was sent.
+ * @returns {object} The updated prospect.
+ */
+export const recordSentEmail = (prospect, details = {}, now = new Date()) => {
+  const { subject, messageId } = details;
+  const sent = messageId
+    ? { ...prospect, sentEmails: [...(prospect.sentEmails || []), { messageId, subject: subject || '', sentAt: now.toISOString() }] }
+    : prospect;
+  const updated = addEvent(sent, 'email_sent', Object.fromEntries(Object.entries(details).filter(([, value]) => value)), now);
+  return updated.status === 'Not Contacted' ? changeStatus(updated, 'Contacted', now) : updated;
+};
+
+// Lists such as tags are compared and recorded as comma-separated text.
+const toEditText = (value) => (Array.isArray(value) ? value.join(', ') : value ?? '');
+
+const diffFields = (before, after) => Object.keys(after)
+  .filter(field => toEditText(before[field]) !== toEditText(after[field]))
+  .map(field => ({ field, from: toEditText(before[field]), to: toEditText(after[field]) }));
+
+/**
+ * Applies edits to a prospect and records which fields changed, from what
+ * to what, and who made the change. Status changes are recorded as their
+ * own event.
+ * @param {object} prospect - The prospect.
+ * @param {object} changes - The new field values. Custom field values go
+ *   in a `custom` object and are merged with the existing ones.
+ * @param {string} [by] - Who made the change.
+ * @param {Date} [now=new Date()] - When the change happened.
+ * @returns {object} The updated prospect, unchanged if nothing changed.
+ */
+export const editProspect = (prospect, changes, by = '', now = new Date()) => {
+  const { status, custom, ...fields } = changes;
+  const changed = [
+    ...diffFields(prospect, fields),
+    ...(custom ? diffFields(prospect.custom || {}, custom) : []),
+  ];
+
+  let updated = prospect;
+  if (changed.length > 0) {
+    updated = addEvent(
+      {
+        ...prospect,
+        ...fields,
+        ...(custom ? { custom: { ...prospect.custom, ...custom } } : {}),
+        updatedAt: now.toISOString(),
+        updatedBy: by,
+      },
+      'edited',
+      { changes: changed, ...(by ? { by } : {}) },
+      now
+    );
+  }
+  return status ? changeStatus(updated, status, now) : updated;
+};
+
+/**
+ * Returns a prospect's events, newest first.
+ * @param {object} prospect - The prospect.
+ * @returns {object[]} The events.
+ */
+export const getTimeline = (prospect) => [...(prospect.history || [])].reverse();
+
+/**
+ * Describes an event in plain words.
+ * @param {object} event - The timeline event.
+ * @returns {string} The description.
+ */
+export const describeEvent = (event) => {
+  const describe = EVENT_DESCRIPTIONS[event.type];
+  return describe ? describe(event) : event.type;
+};
+
+/**
+ * Formats a prospect's timeline as text, one event per line, oldest first.
+ * @param {object} prospect - The prospect.
+ * @returns {string} The formatted history.
+ */
+export const formatHistory = (prospect) => (prospect.history || [])
+  .map(event => `${formatDateTime(event.at)}: ${describeEvent(event)}`)
+  .join('\n');
@@ -0,0 +1,107 @@
+import { createZip } from './zip.js';
+
+// --- XLSX Workbook Writer ---
+
+const escapeXML = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Control characters other than tab and line breaks are not allowed in XML.
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+
+/**
+ * Converts a zero-based column index to a spreadsheet column name (A, B, ... AA).
+ * @param {number} index - The column index.
+ * @returns {string} The column name.
+ */
+const columnName = (index) => {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    name = String.fromCharCode(65 + remainder) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+};
+
+const buildCell = (value, ref, styled) => {
+  const style = styled ? ' s="1"' : '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+  }
+  const text = value === null || value === undefined ? '' : String(value);
+  return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXML(text)}</t></is></c>`;
+};
+
+/**
+ * Builds a single-sheet .xlsx workbook. The first row is styled bold as a
+ * header. Numbers are written as numeric cells, everything else as text.
+ * @param {Array<Array<*>>} rows - The rows to write, header row included.
+ * @param {string} [sheetName='Sheet1'] - The worksheet name.
+ * @returns {Uint8Array} The workbook file bytes.
+ */
+export const createXLSX = (rows, sheetName = 'Sheet1') => {
+  const sheetRows = rows.map((row, r) => {
+    const cells = row.map((value, c) => buildCell(value, `${columnName(c)}${r + 1}`, r === 0)).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+
+  const safeSheetName = escapeXML(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/styles.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '</styleSheet>',
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + `<sheetData>${sheetRows}</sheetData>`
+        + '</worksheet>',
+    },
+  ]);
+};